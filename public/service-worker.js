@@ -0,0 +1,96 @@
+/* eslint-disable no-restricted-globals */
+// public/service-worker.js
+// Keeps the app shell available offline. River readings themselves are
+// cached by the app in IndexedDB (see src/services/snapshotStore.js).
+
+const CACHE_NAME = 'lk-flood-monitor-v1';
+const APP_SHELL = ['./', 'index.html', 'manifest.json', 'logo192.png', 'logo512.png'];
+
+// Third-party assets the page cannot render without
+const CDN_HOSTS = ['cdn.tailwindcss.com'];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL.map(scopeUrl)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Network first, falling back to the cached copy (used for pages)
+ */
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl || request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Serve from cache and refresh in the background (used for static assets)
+ */
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      // Opaque responses (no-cors CDN scripts) report status 0 but are usable
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, scopeUrl('index.html')));
+    return;
+  }
+
+  // Thresholds and risk weights change without a new build, so always try
+  // for the current file and only use the cached one offline
+  if (url.href.startsWith(scopeUrl('data/'))) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+
+  // Data feeds go straight to the network; the app falls back to IndexedDB
+});
+
+// Bring the dashboard to the front when a watch notification is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const existing = windows.find(client => client.url.startsWith(self.registration.scope));
+      return existing ? existing.focus() : self.clients.openWindow(self.registration.scope);
+    })
+  );
+});
@@ -0,0 +1,63 @@
+// scripts/build-cap-feed.mjs
+// Writes the current CAP alerts and their Atom index to build/cap/ so they are
+// published as static files with the site. Runs after `npm run build`.
+//
+// The feed reflects the readings at build time. A failure here never fails
+// the build: an empty index is written instead. The app's modules are loaded
+// with import() so that a Node version too old to load them (before 20.19)
+// only leaves the feed out.
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT_DIR = path.join(ROOT, 'build', 'cap');
+const FETCH_TIMEOUT_MS = 30000;
+
+const readJson = async (file) => JSON.parse(await readFile(path.join(ROOT, file), 'utf8'));
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms / 1000}s`)), ms).unref())
+]);
+
+const main = async () => {
+  const { homepage } = await readJson('package.json');
+  const baseUrl = `${(process.env.CAP_BASE_URL || homepage || '').replace(/\/$/, '')}/cap`;
+
+  const [
+    { fetchRiverData },
+    { parseThresholdConfig, setThresholdConfig },
+    { assessReadings },
+    { buildCapAlerts, buildAtomIndex }
+  ] = await Promise.all([
+    import('../src/services/dataService.js'),
+    import('../src/services/thresholds.js'),
+    import('../src/services/dataQuality.js'),
+    import('../src/services/capFeed.js')
+  ]);
+
+  let alerts = [];
+  try {
+    setThresholdConfig(parseThresholdConfig(await readJson('public/data/thresholds.json')));
+    const result = await withTimeout(fetchRiverData(), FETCH_TIMEOUT_MS);
+    if (result.isSample) {
+      console.warn('CAP feed: no live data available, writing an empty index');
+    } else {
+      alerts = buildCapAlerts(assessReadings(result.stations));
+    }
+  } catch (error) {
+    console.warn('CAP feed: could not build alerts, writing an empty index:', error.message);
+  }
+
+  await rm(OUTPUT_DIR, { recursive: true, force: true });
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  await Promise.all(alerts.map(alert => writeFile(path.join(OUTPUT_DIR, alert.fileName), alert.xml)));
+  await writeFile(path.join(OUTPUT_DIR, 'index.atom'), buildAtomIndex(alerts, { baseUrl }));
+
+  console.log(`CAP feed: ${alerts.length} alert(s) written to build/cap/`);
+};
+
+main().catch(error => {
+  console.warn('CAP feed: skipped:', error.message);
+});
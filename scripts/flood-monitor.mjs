@@ -0,0 +1,238 @@
+// scripts/flood-monitor.mjs
+// Command-line monitor: fetches (or reads from a file) the current river
+// levels with the app's own services and prints them as a table, JSON or CSV
+// with the national flood risk. For cron jobs, the exit status says whether
+// any watched station is at or above a chosen alert level.
+//
+//   npm run monitor -- [options]
+//
+// Exit status: 0 all clear, 1 error, 2 a watched station is at or above --fail-at.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { fetchRiverData, parseRiverSnapshot, getSourceLabel, getAlertSeverity, ALERT_ORDER, ALERT_LABELS } from '../src/services/dataService.js';
+import { parseThresholdConfig, setThresholdConfig } from '../src/services/thresholds.js';
+import { parseRiskWeights, setRiskWeights, calculateRisk } from '../src/services/riskModel.js';
+import { assessReadings } from '../src/services/dataQuality.js';
+import { fetchRainfall, attachRainfall } from '../src/services/rainfall.js';
+import { filterStations, sortStations, getRiverOptions, SORT_OPTIONS } from '../src/services/stationFilters.js';
+import { toCsv } from '../src/services/exportData.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FETCH_TIMEOUT_MS = 30000;
+const FORMATS = ['text', 'json', 'csv'];
+
+const EXIT_ALERT = 2;
+
+const USAGE = `Usage: npm run monitor -- [options]
+
+  --format <text|json|csv>   Output format (default: text)
+  --river <name>             Only stations on this river or basin (name or id, e.g. kelani-ganga)
+  --alert <levels>           Only these alert levels, comma-separated (${ALERT_ORDER.join(', ')})
+  --sort <order>             ${SORT_OPTIONS.join(', ')} (default: default)
+  --watch <station>          Station to check with --fail-at; repeat for more.
+                             Without it, every station shown is checked.
+  --fail-at <level>          Exit with status ${EXIT_ALERT} when a checked station is at or above this level
+  --snapshot <file>          Read a saved source file (e.g. an rwlds snapshot) instead of the network
+  --source <id>              Source adapter for --snapshot (default: try each)
+  --thresholds <file>        Thresholds file (default: public/data/thresholds.json)
+  --risk-weights <file>      Risk weights file (default: public/data/risk-weights.json)
+  --help                     Show this help`;
+
+const readJson = async (file) => JSON.parse(await readFile(path.resolve(ROOT, file), 'utf8'));
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms / 1000}s`)), ms).unref())
+]);
+
+const parseAlertCodes = (value, option) => {
+  const codes = value.split(',').map(code => code.trim()).filter(Boolean);
+  const unknown = codes.filter(code => !ALERT_ORDER.includes(code));
+  if (unknown.length > 0) throw new Error(`${option}: unknown alert level "${unknown.join(', ')}"`);
+  return codes;
+};
+
+/**
+ * Read and check the command line. Returns the options, or throws with a
+ * message for the user.
+ */
+const parseOptions = (args) => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string', default: 'text' },
+      river: { type: 'string' },
+      alert: { type: 'string' },
+      sort: { type: 'string', default: 'default' },
+      watch: { type: 'string', multiple: true, default: [] },
+      'fail-at': { type: 'string' },
+      snapshot: { type: 'string' },
+      source: { type: 'string' },
+      thresholds: { type: 'string', default: 'public/data/thresholds.json' },
+      'risk-weights': { type: 'string', default: 'public/data/risk-weights.json' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (!FORMATS.includes(values.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  if (!SORT_OPTIONS.includes(values.sort)) throw new Error(`--sort must be one of ${SORT_OPTIONS.join(', ')}`);
+  const failAt = values['fail-at'] ? parseAlertCodes(values['fail-at'], '--fail-at') : [];
+  if (failAt.length > 1) throw new Error('--fail-at takes a single alert level');
+
+  return {
+    ...values,
+    alerts: values.alert ? parseAlertCodes(values.alert, '--alert') : [],
+    failAt: failAt[0] || null
+  };
+};
+
+/**
+ * Load thresholds and risk weights. A missing or invalid file keeps the
+ * bundled values, as in the app.
+ */
+const loadConfiguration = async (options) => {
+  try {
+    setThresholdConfig(parseThresholdConfig(await readJson(options.thresholds)));
+  } catch (error) {
+    console.warn(`Using bundled thresholds: ${error.message}`);
+  }
+  try {
+    setRiskWeights(parseRiskWeights(await readJson(options['risk-weights'])));
+  } catch (error) {
+    console.warn(`Using default risk weights: ${error.message}`);
+  }
+};
+
+/**
+ * The readings to report, from the snapshot file or the live sources
+ */
+const loadReadings = async (options) => {
+  if (options.snapshot) {
+    const raw = JSON.parse(await readFile(path.resolve(options.snapshot), 'utf8'));
+    return parseRiverSnapshot(raw, { source: options.source });
+  }
+
+  const result = await withTimeout(fetchRiverData(), FETCH_TIMEOUT_MS);
+  // Sample data would look like a real flood to a cron job
+  if (result.isSample) {
+    const reasons = result.failures.map(failure => `${failure.source}: ${failure.reason}`).join('; ');
+    throw new Error(`No live source is available (${reasons})`);
+  }
+  return result;
+};
+
+const formatRate = (rate) => (rate === null ? '-' : `${rate > 0 ? '+' : ''}${rate.toFixed(3)}`);
+
+/**
+ * Plain-text table with a header line for the source and risk
+ */
+const formatText = (stations, { result, risk }) => {
+  const columns = [
+    ['Station', station => station.station],
+    ['River', station => station.river],
+    ['Level (m)', station => station.level.toFixed(2)],
+    ['Alert', station => ALERT_LABELS[station.alert]],
+    ['Rate (m/hr)', station => formatRate(station.rateOfRise)],
+    ['Rain 24h (mm)', station => (station.rainfall ? station.rainfall.mm.toFixed(0) : '-')],
+    ['Measured', station => station.lastMeasured],
+    ['Quality', station => station.quality.flags.join(' ')]
+  ];
+  const rows = stations.map(station => columns.map(([, value]) => String(value(station))));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  const topBasins = risk.basins
+    .slice(0, 3)
+    .map(basin => `${basin.basin} ${Math.round(basin.score)}%`)
+    .join(', ');
+
+  return [
+    `Source: ${getSourceLabel(result.source)}, updated ${result.sourceUpdatedAt || 'unknown'}`,
+    `Flood risk: ${Math.round(risk.score)}%${topBasins ? ` (highest: ${topBasins})` : ''}`,
+    '',
+    line(columns.map(([title]) => title)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line),
+    '',
+    `${stations.length} station(s)`
+  ].join('\n') + '\n';
+};
+
+const formatJson = (stations, { result, risk }) => JSON.stringify({
+  source: result.source,
+  fetchedAt: result.fetchedAt,
+  sourceUpdatedAt: result.sourceUpdatedAt,
+  risk: {
+    score: Math.round(risk.score),
+    basins: risk.basins.map(basin => ({ basin: basin.basin, score: Math.round(basin.score) }))
+  },
+  stations
+}, null, 2) + '\n';
+
+/**
+ * Watched stations at or above the fail-at level. Readings the quality
+ * checks exclude (weight 0) are ignored so a faulty gauge does not page anyone.
+ */
+const findBreaches = (allStations, shownStations, options) => {
+  if (!options.failAt) return [];
+
+  let checked = shownStations;
+  if (options.watch.length > 0) {
+    checked = allStations.filter(station => options.watch.includes(station.station));
+    options.watch
+      .filter(name => !checked.some(station => station.station === name))
+      .forEach(name => console.warn(`Watched station not found: ${name}`));
+  }
+  return checked.filter(station =>
+    station.quality.weight > 0 && getAlertSeverity(station.alert) >= getAlertSeverity(options.failAt)
+  );
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  await loadConfiguration(options);
+  const result = await loadReadings(options);
+  // Catchment rainfall only comes from the network; without it there are no rain points
+  const rainfall = options.snapshot ? null : await withTimeout(fetchRainfall(), FETCH_TIMEOUT_MS).catch(() => null);
+  const stations = assessReadings(attachRainfall(result.stations, rainfall ? rainfall.gauges : []));
+  const risk = calculateRisk(stations);
+
+  let river = null;
+  if (options.river) {
+    const needle = options.river.toLocaleLowerCase();
+    const match = getRiverOptions(stations).find(option => option.id === needle || option.name.toLocaleLowerCase() === needle);
+    if (!match) throw new Error(`No stations on river "${options.river}"`);
+    river = match.id;
+  }
+  const shown = sortStations(filterStations(stations, { river, alerts: options.alerts }), options.sort);
+
+  const formatters = { text: formatText, json: formatJson, csv: (list) => toCsv(list, { source: result.source }) };
+  process.stdout.write(formatters[options.format](shown, { result, risk }));
+
+  const breaches = findBreaches(stations, shown, options);
+  if (breaches.length > 0) {
+    console.warn(`At or above ${ALERT_LABELS[options.failAt]}: ${breaches.map(station => `${station.station} (${ALERT_LABELS[station.alert]})`).join(', ')}`);
+    return EXIT_ALERT;
+  }
+  return 0;
+};
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`flood-monitor: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,13 @@
+// scripts/spa-fallback.mjs
+// GitHub Pages has no rewrites, so a deep link such as /station/Hanwella would
+// get its 404 page. Serving the app as that page lets the client-side router
+// read the URL and show the right view. Vercel rewrites to index.html itself
+// (see vercel.json). Runs after `npm run build`.
+import { copyFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const BUILD_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'build');
+
+await copyFile(path.join(BUILD_DIR, 'index.html'), path.join(BUILD_DIR, '404.html'));
+console.log('SPA fallback: build/404.html written');
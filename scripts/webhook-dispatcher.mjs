@@ -0,0 +1,261 @@
+// scripts/webhook-dispatcher.mjs
+// Posts to chat channels and incident tools when a station's alert level
+// changes. Readings come from fetchRiverData (alert levels from
+// determineAlertLevel and the thresholds file); the level last notified for
+// each station is kept in a state file so restarts do not repeat messages,
+// along with the last accepted readings the data-quality checks compare new
+// ones with to spot spikes.
+//
+//   npm run webhooks -- [options]
+//
+// See scripts/webhooks.example.json for the config format and
+// scripts/webhook-sink.mjs for a local stand-in server to test against.
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { fetchRiverData, parseRiverSnapshot } from '../src/services/dataService.js';
+import { parseThresholdConfig, setThresholdConfig } from '../src/services/thresholds.js';
+import { assessReadings, getAcceptedReadings } from '../src/services/dataQuality.js';
+import {
+  parseWebhookConfig,
+  detectAlertChanges,
+  recordUnnotified,
+  isChangeWanted,
+  buildPayload,
+  describeChange,
+  sendWebhook
+} from '../src/services/webhooks.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FETCH_TIMEOUT_MS = 30000;
+
+const USAGE = `Usage: npm run webhooks -- [options]
+
+  --config <file>       Webhook config (default: webhooks.json)
+  --state <file>        Where the last notified levels are kept (default: .webhook-state.json)
+  --once                Check once and exit (for cron); otherwise check every intervalMinutes
+  --dry-run             Print the messages instead of sending them and leave the state file alone
+  --sink <url>          With --dry-run, post the messages to this stand-in server instead
+  --snapshot <file>     Read a saved source file instead of the network
+  --thresholds <file>   Thresholds file (default: public/data/thresholds.json)
+  --help                Show this help`;
+
+const readJson = async (file) => JSON.parse(await readFile(path.resolve(ROOT, file), 'utf8'));
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms / 1000}s`)), ms).unref())
+]);
+
+const log = (message) => console.log(`${new Date().toISOString()} ${message}`);
+
+/**
+ * Last notified levels and accepted readings ({ stations, accepted }), or an
+ * empty state on the first run
+ */
+const loadState = async (file) => {
+  try {
+    const saved = await readJson(file);
+    return { stations: saved.stations || {}, accepted: saved.accepted || [] };
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable state file ${file}: ${error.message}`);
+    return { stations: {}, accepted: [] };
+  }
+};
+
+/**
+ * Write the state through a temporary file so a crash cannot leave half a file
+ */
+const saveState = async (file, { stations, accepted }) => {
+  const target = path.resolve(ROOT, file);
+  await writeFile(`${target}.tmp`, JSON.stringify({ updatedAt: new Date().toISOString(), stations, accepted }, null, 2));
+  await rename(`${target}.tmp`, target);
+};
+
+/**
+ * Current readings, or null when only sample data is available
+ */
+const loadReadings = async (options) => {
+  if (options.snapshot) {
+    return parseRiverSnapshot(JSON.parse(await readFile(path.resolve(options.snapshot), 'utf8'))).stations;
+  }
+  const result = await withTimeout(fetchRiverData(), FETCH_TIMEOUT_MS);
+  return result.isSample ? null : result.stations;
+};
+
+/**
+ * Send (or in a dry run, show) one message. Resolves to whether it was delivered.
+ */
+const deliver = async (webhook, payload, { config, options }) => {
+  if (options['dry-run'] && !options.sink) {
+    log(`[dry run] ${webhook.name} (${webhook.template}): ${JSON.stringify(payload)}`);
+    return true;
+  }
+
+  const url = options['dry-run'] ? options.sink : webhook.url;
+  try {
+    const { status, attempts } = await sendWebhook(url, payload, {
+      headers: options['dry-run'] ? {} : webhook.headers,
+      retries: config.retries
+    });
+    log(`${webhook.name}: delivered (HTTP ${status}${attempts > 1 ? `, ${attempts} attempts` : ''})${options['dry-run'] ? ` to ${url}` : ''}`);
+    return true;
+  } catch (error) {
+    console.error(`${new Date().toISOString()} ${webhook.name}: delivery failed: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Send a change to each webhook in turn. Resolves to the names of the
+ * webhooks it could not be delivered to.
+ */
+const deliverAll = async (webhooks, change, context) => {
+  const undelivered = [];
+  for (const webhook of webhooks) {
+    if (!(await deliver(webhook, buildPayload(webhook, change, context.config), context))) undelivered.push(webhook.name);
+  }
+  return undelivered;
+};
+
+/**
+ * Resend changes some webhooks missed on an earlier check, while the station
+ * is still at that level. Updates `state` in place and resolves to the number
+ * of stations still pending.
+ */
+const retryPending = async (state, stations, context) => {
+  let failed = 0;
+  for (const station of stations) {
+    const { pending, ...entry } = state[station.station] || {};
+    if (!pending || (station.quality && station.quality.weight === 0)) continue;
+
+    // A station that has moved on since gets its new level sent instead
+    const webhooks = station.alert === pending.change.to
+      ? context.config.webhooks.filter(webhook => pending.webhooks.includes(webhook.name))
+      : [];
+    if (webhooks.length > 0) log(`Retrying: ${describeChange(pending.change)}`);
+    const undelivered = await deliverAll(webhooks, pending.change, context);
+    state[station.station] = undelivered.length > 0 ? { ...entry, pending: { ...pending, webhooks: undelivered } } : entry;
+    if (undelivered.length > 0) failed += 1;
+  }
+  return failed;
+};
+
+/**
+ * One check: compare the readings with the state, send what changed and
+ * return the new state. Readings are checked for spikes against the last
+ * accepted ones in the state. A change none of whose deliveries succeeded
+ * keeps the station's old state, so it is detected and sent again on the
+ * next check; one that reached only some webhooks is kept as `pending` for
+ * the others. A change no webhook wants does not start the cooldown.
+ * Resolves to { state, failed }.
+ */
+const runCheck = async (previous, { config, options }) => {
+  const readings = await loadReadings(options);
+  if (!readings) {
+    log('No live source is available; skipping this check');
+    return { state: previous, failed: 1 };
+  }
+
+  const previousState = previous.stations;
+  const stations = assessReadings(readings, { previousStations: previous.accepted });
+  const { changes, suppressed, state } = detectAlertChanges(stations, previousState, {
+    cooldownMinutes: config.cooldownMinutes
+  });
+  if (suppressed.length > 0) log(`Within cooldown, not sent yet: ${suppressed.join(', ')}`);
+
+  let failed = await retryPending(state, stations, { config, options });
+  for (const change of changes) {
+    log(describeChange(change));
+    const webhooks = config.webhooks.filter(webhook => isChangeWanted(webhook, change));
+    const undelivered = await deliverAll(webhooks, change, { config, options });
+    if (webhooks.length === 0) {
+      state[change.station] = recordUnnotified(previousState[change.station], change);
+    } else if (undelivered.length === webhooks.length) {
+      state[change.station] = previousState[change.station];
+      failed += 1;
+    } else if (undelivered.length > 0) {
+      state[change.station] = { ...state[change.station], pending: { change, webhooks: undelivered } };
+      failed += 1;
+    }
+  }
+
+  log(`Checked ${readings.length} stations: ${changes.length} change(s)`);
+  return { state: { stations: state, accepted: getAcceptedReadings(stations, previous.accepted) }, failed };
+};
+
+const main = async () => {
+  let options;
+  try {
+    ({ values: options } = parseArgs({
+      options: {
+        config: { type: 'string', default: 'webhooks.json' },
+        state: { type: 'string', default: '.webhook-state.json' },
+        once: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        sink: { type: 'string' },
+        snapshot: { type: 'string' },
+        thresholds: { type: 'string', default: 'public/data/thresholds.json' },
+        help: { type: 'boolean', default: false }
+      }
+    }));
+    if (options.sink && !options['dry-run']) throw new Error('--sink only applies with --dry-run');
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const { config, errors } = parseWebhookConfig(await readJson(options.config));
+  errors.forEach(error => console.warn(`${options.config}: ${error}`));
+  if (config.webhooks.length === 0) return 1;
+
+  try {
+    setThresholdConfig(parseThresholdConfig(await readJson(options.thresholds)));
+  } catch (error) {
+    console.warn(`Using bundled thresholds: ${error.message}`);
+  }
+
+  let state = await loadState(options.state);
+  const check = async () => {
+    try {
+      const result = await runCheck(state, { config, options });
+      state = result.state;
+      if (!options['dry-run']) await saveState(options.state, state);
+      return result.failed;
+    } catch (error) {
+      console.error(`${new Date().toISOString()} Check failed: ${error.message}`);
+      return 1;
+    }
+  };
+
+  if (options.once) return (await check()) > 0 ? 1 : 0;
+
+  log(`Watching ${config.webhooks.length} webhook(s), checking every ${config.intervalMinutes} minutes`);
+  let timer = null;
+  let stopped = false;
+  const loop = async () => {
+    await check();
+    if (!stopped) timer = setTimeout(loop, config.intervalMinutes * 60000);
+  };
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    log('Stopped');
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  await loop();
+  return 0;
+};
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`webhook-dispatcher: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,46 @@
+// scripts/webhook-sink.mjs
+// Local stand-in for a webhook receiver: prints every JSON body posted to it.
+// Use with `npm run webhooks -- --dry-run --sink http://localhost:8787`.
+//
+//   node scripts/webhook-sink.mjs [--port 8787] [--fail 2]
+//
+// --fail answers the first N requests with 503 to exercise the retries.
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    fail: { type: 'string', default: '0' }
+  }
+});
+
+let toFail = Number(options.fail);
+
+const server = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    if (toFail > 0) {
+      toFail -= 1;
+      console.log(`${request.method} ${request.url} -> 503 (simulated failure)`);
+      response.writeHead(503).end();
+      return;
+    }
+    try {
+      console.log(`${request.method} ${request.url}\n${JSON.stringify(JSON.parse(body), null, 2)}`);
+      response.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+    } catch (error) {
+      console.log(`${request.method} ${request.url}: invalid JSON body`);
+      response.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(Number(options.port), () => {
+  console.log(`Webhook sink listening on http://localhost:${options.port}`);
+});
+
+const stop = () => server.close(() => process.exit(0));
+process.once('SIGINT', stop);
+process.once('SIGTERM', stop);
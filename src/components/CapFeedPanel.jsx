@@ -0,0 +1,80 @@
+// src/components/CapFeedPanel.jsx
+// Download CAP 1.2 alerts for the current readings, and link to the feed
+// published with the site at build time
+import React, { useMemo } from 'react';
+import { Rss, FileDown, X } from 'lucide-react';
+import { buildCapAlerts, buildAtomIndex } from '../services/capFeed';
+import { downloadText } from './download';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const PUBLISHED_FEED_URL = `${process.env.PUBLIC_URL}/cap/index.atom`;
+
+const CapFeedPanel = ({ stations, dataInfo, onClose }) => {
+  const { t, place, alertLabel } = useTranslation();
+  const alerts = useMemo(
+    () => buildCapAlerts(stations, { isSample: dataInfo?.isSample, isCached: dataInfo?.isCached }),
+    [stations, dataInfo]
+  );
+
+  const downloadIndex = () => {
+    // Downloaded entries link to files saved next to the index
+    downloadText(buildAtomIndex(alerts), 'index.atom', 'application/atom+xml');
+  };
+
+  return (
+    <div className="bg-white text-gray-900 p-5 rounded-lg shadow-xl border border-gray-200">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Rss className="w-5 h-5 text-blue-700" />
+          {t('cap.title')}
+        </h3>
+        <button onClick={onClose} className="p-1 hover:bg-gray-200 rounded" title={t('common.close')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">{t('cap.intro')}</p>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('cap.published')}
+        {dataInfo?.isSample && ` ${t('cap.sampleNote')}`}
+        {dataInfo?.isCached && ` ${t('cap.cachedNote')}`}
+        {' '}
+        <a href={PUBLISHED_FEED_URL} className="text-blue-700 hover:underline font-semibold" target="_blank" rel="noopener noreferrer">
+          {t('cap.openPublished')}
+        </a>
+      </p>
+
+      {alerts.length === 0 ? (
+        <p className="text-sm text-gray-700">{t('cap.none')}</p>
+      ) : (
+        <>
+          <button
+            onClick={downloadIndex}
+            className="mb-3 flex items-center gap-2 px-4 py-2 bg-blue-700 text-white rounded-lg font-bold hover:bg-blue-800 transition-colors"
+          >
+            <FileDown className="w-4 h-4" />
+            {t('cap.downloadIndex', { count: alerts.length })}
+          </button>
+          <ul className="space-y-1 max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-2 text-sm">
+            {alerts.map(alert => (
+              <li key={alert.identifier} className="flex justify-between items-center gap-2">
+                <span>
+                  {alertLabel(alert.alert)}: {place(alert.station)}
+                  <span className="text-gray-500"> • {alert.severity}, {alert.urgency}</span>
+                </span>
+                <button
+                  onClick={() => downloadText(alert.xml, alert.fileName, 'application/cap+xml')}
+                  className="flex items-center gap-1 text-blue-700 hover:text-blue-900 hover:underline font-semibold"
+                >
+                  <FileDown className="w-3 h-3" />
+                  {alert.fileName}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CapFeedPanel;
@@ -0,0 +1,116 @@
+// src/components/DataProvenance.jsx
+// Banner and watermark shown when the dashboard is not on the primary live feed
+import React from 'react';
+import { AlertTriangle, Database, WifiOff } from 'lucide-react';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+/**
+ * Persistent banner explaining which source is in use and why
+ */
+export const DataSourceBanner = ({ dataInfo }) => {
+  const { t, sourceLabel, formatDateTime, formatAge } = useTranslation();
+  if (!dataInfo || (dataInfo.isPrimary && !dataInfo.isCached)) return null;
+
+  const failureList = dataInfo.failures.length > 0 && (
+    <ul className="mt-1 text-sm list-disc list-inside">
+      {dataInfo.failures.map(failure => (
+        <li key={failure.source}>
+          {sourceLabel(failure.source)}: {failure.reason}
+        </li>
+      ))}
+    </ul>
+  );
+
+  if (dataInfo.isCached) {
+    return (
+      <div className="mt-4 bg-gray-700 text-white px-4 py-3 rounded-lg border-2 border-gray-900" role="alert">
+        <p className="font-bold flex items-center gap-2">
+          <WifiOff className="w-5 h-5" />
+          {t('provenance.offlineTitle', { age: formatAge(dataInfo.fetchedAt) })}
+        </p>
+        <p className="text-sm mt-1">
+          {t('provenance.offlineFetched', { time: formatDateTime(dataInfo.fetchedAt), source: sourceLabel(dataInfo.source) })}
+          {dataInfo.sourceUpdatedAt && ` ${t('provenance.offlineSourceUpdated', { time: formatDateTime(dataInfo.sourceUpdatedAt), age: formatAge(dataInfo.sourceUpdatedAt) })}`}
+          {` ${t('provenance.mayHaveChanged')}`}
+        </p>
+        {failureList}
+      </div>
+    );
+  }
+
+  if (dataInfo.isSample) {
+    return (
+      <div className="mt-4 bg-red-700 text-white px-4 py-3 rounded-lg border-2 border-red-900" role="alert">
+        <p className="font-bold flex items-center gap-2">
+          <AlertTriangle className="w-5 h-5" />
+          {t('provenance.sampleTitle')}
+        </p>
+        <p className="text-sm mt-1">
+          {t('provenance.sampleDetail')}
+        </p>
+        {failureList}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4 bg-yellow-500 text-white px-4 py-3 rounded-lg" role="status">
+      <p className="font-bold flex items-center gap-2">
+        <Database className="w-5 h-5" />
+        {t('provenance.backupTitle', { source: sourceLabel(dataInfo.source) })}
+      </p>
+      <p className="text-sm mt-1">
+        {t('provenance.backupDetail')}
+        {dataInfo.sourceUpdatedAt && ` ${t('provenance.backupUpdated', { time: formatDateTime(dataInfo.sourceUpdatedAt) })}`}
+      </p>
+      {failureList}
+    </div>
+  );
+};
+
+/**
+ * Page-wide watermark so screenshots of non-primary data are identifiable
+ */
+export const DataWatermark = ({ dataInfo }) => {
+  const { t } = useTranslation();
+  if (!dataInfo || (dataInfo.isPrimary && !dataInfo.isCached)) return null;
+
+  let text = t('watermark.backup');
+  let color = 'text-yellow-600';
+  if (dataInfo.isCached) {
+    text = t('watermark.offline');
+    color = 'text-gray-600';
+  } else if (dataInfo.isSample) {
+    text = t('watermark.sample');
+    color = 'text-red-600';
+  }
+
+  return (
+    <div className="fixed inset-0 pointer-events-none flex items-center justify-center z-50 overflow-hidden" aria-hidden="true">
+      <p
+        className={`text-7xl md:text-9xl font-black uppercase whitespace-nowrap ${color}`}
+        style={{ transform: 'rotate(-30deg)', opacity: 0.12 }}
+      >
+        {text}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * One-line description of the data in use, for the footer
+ */
+export const DataSourceSummary = ({ dataInfo }) => {
+  const { t, sourceLabel, formatDateTime } = useTranslation();
+  if (!dataInfo) return null;
+
+  return (
+    <p className="text-xs text-gray-400 mt-2">
+      {t('provenance.showing', { source: sourceLabel(dataInfo.source) })}
+      {dataInfo.isCached && ` ${t('provenance.offlineCopy')}`}
+      {dataInfo.sourceUpdatedAt && ` • ${t('provenance.sourceUpdated', { time: formatDateTime(dataInfo.sourceUpdatedAt) })}`}
+      {` • ${t('provenance.fetched', { time: formatDateTime(dataInfo.fetchedAt) })}`}
+      {dataInfo.rejected?.length > 0 && ` • ${t('provenance.rejected', { count: dataInfo.rejected.length })}`}
+    </p>
+  );
+};
@@ -0,0 +1,40 @@
+// src/components/ExportButtons.jsx
+// CSV and GeoJSON downloads for a list of station records
+import React from 'react';
+import { FileDown } from 'lucide-react';
+import { toCsv, toGeoJson } from '../services/exportData';
+import { downloadText } from './download';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const ExportButtons = ({ stations, source, fileName, compact = false }) => {
+  const { t } = useTranslation();
+  const disabled = stations.length === 0;
+  const buttonClass = compact
+    ? 'flex items-center gap-1 px-2 py-1 rounded text-xs font-bold bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50'
+    : 'flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-bold bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50';
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => downloadText(toCsv(stations, { source }), `${fileName}.csv`, 'text/csv')}
+        disabled={disabled}
+        className={buttonClass}
+        title={t('export.csvTitle', { count: stations.length })}
+      >
+        <FileDown className={compact ? 'w-3 h-3' : 'w-4 h-4'} />
+        CSV
+      </button>
+      <button
+        onClick={() => downloadText(JSON.stringify(toGeoJson(stations, { source }), null, 2), `${fileName}.geojson`, 'application/geo+json')}
+        disabled={disabled}
+        className={buttonClass}
+        title={t('export.geoJsonTitle', { count: stations.length })}
+      >
+        <FileDown className={compact ? 'w-3 h-3' : 'w-4 h-4'} />
+        GeoJSON
+      </button>
+    </div>
+  );
+};
+
+export default ExportButtons;
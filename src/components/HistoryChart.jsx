@@ -0,0 +1,139 @@
+// src/components/HistoryChart.jsx
+// SVG water level chart with alert threshold bands
+import React from 'react';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 44 };
+
+const BANDS = [
+  { key: 'alert', fill: '#fef08a', stroke: '#ca8a04' },
+  { key: 'minor', fill: '#fed7aa', stroke: '#ea580c' },
+  { key: 'major', fill: '#fecaca', stroke: '#dc2626' }
+];
+
+/**
+ * Index of the band a level falls in (0 = normal, 3 = major flood)
+ */
+const getBandIndex = (level, thresholds) => {
+  if (level >= thresholds.major) return 3;
+  if (level >= thresholds.minor) return 2;
+  if (level >= thresholds.alert) return 1;
+  return 0;
+};
+
+/**
+ * Find the readings where the level moved into a different band
+ */
+export const findThresholdCrossings = (points, thresholds) => {
+  const crossings = [];
+  for (let i = 1; i < points.length; i++) {
+    const from = getBandIndex(points[i - 1].level, thresholds);
+    const to = getBandIndex(points[i].level, thresholds);
+    if (from !== to) {
+      crossings.push({ ...points[i], from, to, rising: to > from });
+    }
+  }
+  return crossings;
+};
+
+const HistoryChart = ({ points, thresholds }) => {
+  const { t, alertLabel, formatNumber, formatDateTime: formatTime } = useTranslation();
+  if (points.length === 0) return null;
+
+  const levels = points.map(p => p.level);
+  const minTime = points[0].time.getTime();
+  const maxTime = points[points.length - 1].time.getTime();
+
+  // Keep the alert line and the highest reading in view so bands are meaningful
+  const rawMin = Math.min(...levels, thresholds.alert);
+  const rawMax = Math.max(...levels, thresholds.major);
+  const margin = (rawMax - rawMin) * 0.1 || 1;
+  const minLevel = Math.max(0, rawMin - margin);
+  const maxLevel = rawMax + margin;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (time) => {
+    if (maxTime === minTime) return PADDING.left + plotWidth / 2;
+    return PADDING.left + ((time.getTime() - minTime) / (maxTime - minTime)) * plotWidth;
+  };
+  const y = (level) => {
+    const clamped = Math.min(maxLevel, Math.max(minLevel, level));
+    return PADDING.top + (1 - (clamped - minLevel) / (maxLevel - minLevel)) * plotHeight;
+  };
+
+  const bandTops = [thresholds.minor, thresholds.major, maxLevel];
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(f => minLevel + f * (maxLevel - minLevel));
+  const crossings = findThresholdCrossings(points, thresholds);
+  const line = points.map(p => `${x(p.time).toFixed(1)},${y(p.level).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={t('chart.aria')}>
+      {/* Threshold bands */}
+      {BANDS.map((band, idx) => (
+        <g key={band.key}>
+          <rect
+            x={PADDING.left}
+            y={y(bandTops[idx])}
+            width={plotWidth}
+            height={Math.max(0, y(thresholds[band.key]) - y(bandTops[idx]))}
+            fill={band.fill}
+            opacity="0.6"
+          />
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(thresholds[band.key])}
+            y2={y(thresholds[band.key])}
+            stroke={band.stroke}
+            strokeDasharray="4 3"
+          />
+          <text x={WIDTH - PADDING.right - 2} y={y(thresholds[band.key]) - 3} fontSize="10" textAnchor="end" fill={band.stroke}>
+            {alertLabel(band.key)} {formatNumber(thresholds[band.key], 1)}m
+          </text>
+        </g>
+      ))}
+
+      {/* Axes */}
+      {yTicks.map(tick => (
+        <text key={tick} x={PADDING.left - 6} y={y(tick) + 3} fontSize="10" textAnchor="end" fill="#4b5563">
+          {formatNumber(tick, 1)}
+        </text>
+      ))}
+      <line x1={PADDING.left} x2={PADDING.left} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} stroke="#9ca3af" />
+      <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={HEIGHT - PADDING.bottom} y2={HEIGHT - PADDING.bottom} stroke="#9ca3af" />
+      <text x={PADDING.left} y={HEIGHT - 8} fontSize="10" fill="#4b5563">{formatTime(points[0].time)}</text>
+      <text x={WIDTH - PADDING.right} y={HEIGHT - 8} fontSize="10" textAnchor="end" fill="#4b5563">
+        {formatTime(points[points.length - 1].time)}
+      </text>
+
+      {/* Water level */}
+      <polyline points={line} fill="none" stroke="#1d4ed8" strokeWidth="2" />
+      {points.map(p => (
+        <circle key={p.time.getTime()} cx={x(p.time)} cy={y(p.level)} r="2.5" fill="#1d4ed8">
+          <title>{`${formatTime(p.time)}: ${formatNumber(p.level)}m`}</title>
+        </circle>
+      ))}
+
+      {/* Band crossings */}
+      {crossings.map(c => (
+        <circle
+          key={`crossing-${c.time.getTime()}`}
+          cx={x(c.time)}
+          cy={y(c.level)}
+          r="6"
+          fill="none"
+          stroke={c.rising ? '#dc2626' : '#16a34a'}
+          strokeWidth="2"
+        >
+          <title>{t(c.rising ? 'chart.rose' : 'chart.fell', { time: formatTime(c.time), level: formatNumber(c.level) })}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default HistoryChart;
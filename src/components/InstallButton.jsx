@@ -0,0 +1,47 @@
+// src/components/InstallButton.jsx
+// "Install app" button shown when the browser offers home screen installation
+import React, { useState, useEffect } from 'react';
+import { Download } from 'lucide-react';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const InstallButton = () => {
+  const { t } = useTranslation();
+  const [installPrompt, setInstallPrompt] = useState(null);
+
+  useEffect(() => {
+    const handleBeforeInstall = (event) => {
+      // Keep the browser's mini-infobar from showing; we offer our own button
+      event.preventDefault();
+      setInstallPrompt(event);
+    };
+    const handleInstalled = () => setInstallPrompt(null);
+
+    window.addEventListener('beforeinstallprompt', handleBeforeInstall);
+    window.addEventListener('appinstalled', handleInstalled);
+    return () => {
+      window.removeEventListener('beforeinstallprompt', handleBeforeInstall);
+      window.removeEventListener('appinstalled', handleInstalled);
+    };
+  }, []);
+
+  if (!installPrompt) return null;
+
+  const install = async () => {
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    setInstallPrompt(null);
+  };
+
+  return (
+    <button
+      onClick={install}
+      className="flex items-center gap-1 px-3 py-1.5 bg-white text-blue-800 rounded-lg text-sm font-bold hover:bg-blue-50 transition-colors"
+      title={t('install.title')}
+    >
+      <Download className="w-4 h-4" />
+      {t('install.button')}
+    </button>
+  );
+};
+
+export default InstallButton;
@@ -0,0 +1,28 @@
+// src/components/LanguageSwitcher.jsx
+// Header control for choosing the interface language
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { LANGUAGES } from '../i18n';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const LanguageSwitcher = () => {
+  const { language, setLanguage, t } = useTranslation();
+
+  return (
+    <label className="flex items-center gap-1" title={t('language.label')}>
+      <Globe className="w-5 h-5" />
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="bg-blue-700 text-white text-sm font-semibold rounded-lg px-2 py-1 border border-blue-500"
+        aria-label={t('language.label')}
+      >
+        {LANGUAGES.map(option => (
+          <option key={option.code} value={option.code}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
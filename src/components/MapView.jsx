@@ -0,0 +1,87 @@
+// src/components/MapView.jsx
+// Station map with the station list below it
+import React, { useState } from 'react';
+import { Map as MapIcon, MapPin, LineChart } from 'lucide-react';
+import { getAlertStyle } from './alertStyles';
+import StationMap from './StationMap';
+import StationHistory from './StationHistory';
+import RouteLink from './RouteLink';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const MapView = ({ stations, forecasts, rainGauges }) => {
+  const { t, place, alertLabel, formatNumber } = useTranslation();
+  const [selectedStation, setSelectedStation] = useState(null);
+  const [historyStation, setHistoryStation] = useState(null);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden border border-gray-200">
+      <div className="bg-gray-800 text-white p-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <MapIcon className="w-5 h-5" />
+          {t('mapView.title', { count: stations.length })}
+        </h3>
+        <p className="text-sm text-gray-300 mt-1">{t('mapView.help')}</p>
+      </div>
+
+      <StationMap
+        stations={stations}
+        forecasts={forecasts}
+        rainGauges={rainGauges}
+        selectedStation={selectedStation}
+        onSelectStation={setSelectedStation}
+      />
+
+      {/* Station List Below Map */}
+      <div className="p-4 bg-gray-50 max-h-96 overflow-y-auto">
+        <h4 className="font-bold text-gray-900 mb-3">{t('mapView.details')}</h4>
+        <div className="space-y-2">
+          {stations.map((station, idx) => {
+            const alertStyle = getAlertStyle(station.alert);
+            return (
+              <div
+                key={idx}
+                className={`p-3 rounded-lg ${alertStyle.bgLight} border ${alertStyle.borderColor} hover:shadow-md transition-shadow`}
+              >
+                <div className="flex justify-between items-center">
+                  <div>
+                    <p className="font-bold text-gray-900">
+                      <RouteLink route={{ page: 'station', station: station.station }} className="hover:underline">
+                        {place(station.station)}
+                      </RouteLink>
+                    </p>
+                    <p className="text-sm text-gray-700">{place(station.river)}</p>
+                    <div className="flex gap-3 mt-1 text-xs font-semibold">
+                      <button
+                        onClick={() => setSelectedStation(station.station)}
+                        className="flex items-center gap-1 text-blue-700 hover:text-blue-900 hover:underline"
+                      >
+                        <MapPin className="w-3 h-3" />
+                        {t('mapView.showOnMap')}
+                      </button>
+                      <button
+                        onClick={() => setHistoryStation(historyStation === station.station ? null : station.station)}
+                        className="flex items-center gap-1 text-blue-700 hover:text-blue-900 hover:underline"
+                      >
+                        <LineChart className="w-3 h-3" />
+                        {t(historyStation === station.station ? 'mapView.hideHistory' : 'mapView.history')}
+                      </button>
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-lg font-bold text-gray-900">{formatNumber(station.level)}m</p>
+                    <p className={`text-xs font-semibold ${alertStyle.textColor}`}>
+                      {alertLabel(station.alert)}
+                    </p>
+                  </div>
+                </div>
+                {historyStation === station.station && <StationHistory stationName={station.station} />}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,200 @@
+// src/components/NearbyStations.jsx
+// "Near me" view: the stations closest to the user's position or to a town
+// picked from the bundled gazetteer, nearest first, within a chosen radius
+import React, { useState } from 'react';
+import { LocateFixed, MapPin, Search, TrendingUp, TrendingDown } from 'lucide-react';
+import { getAlertStyle } from './alertStyles';
+import RouteLink from './RouteLink';
+import {
+  TOWNS,
+  RADIUS_OPTIONS,
+  findTown,
+  searchTowns,
+  sortByDistance,
+  getCurrentPosition,
+  loadNearbyPreferences,
+  saveNearbyPreferences
+} from '../services/nearby';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const PERMISSION_DENIED = 1;
+
+const townOrigin = (town) => ({ lat: town.lat, lng: town.lng, town: town.name });
+
+const NearbyRow = ({ station, distance }) => {
+  const { t, place, alertLabel, formatNumber } = useTranslation();
+  const alertStyle = getAlertStyle(station.alert);
+
+  return (
+    <div className={`p-3 rounded-lg ${alertStyle.bgLight} border ${alertStyle.borderColor} flex justify-between items-center gap-3`}>
+      <div className="flex items-center gap-3">
+        <div className="text-center w-16 shrink-0">
+          <p className="text-lg font-bold text-gray-900">{formatNumber(distance, distance < 10 ? 1 : 0)}</p>
+          <p className="text-xs text-gray-600">km</p>
+        </div>
+        <div>
+          <p className="font-bold text-gray-900">
+            <RouteLink route={{ page: 'station', station: station.station }} className="hover:underline">
+              {place(station.station)}
+            </RouteLink>
+          </p>
+          <p className="text-sm text-gray-700">{place(station.river)}</p>
+        </div>
+      </div>
+      <div className="text-right">
+        <span className={`inline-block px-2 py-0.5 rounded text-xs font-bold text-white ${alertStyle.color}`}>
+          {alertLabel(station.alert)}
+        </span>
+        <p className="text-lg font-bold text-gray-900">{formatNumber(station.level)}m</p>
+        {station.rateOfRise !== null && (
+          <p className={`text-xs font-semibold flex items-center justify-end gap-1 ${station.rising ? 'text-red-700' : 'text-green-700'}`}>
+            {station.rising ? <TrendingUp className="w-3 h-3" /> : <TrendingDown className="w-3 h-3" />}
+            {t(station.rising ? 'nearby.rising' : 'nearby.falling', { rate: formatNumber(Math.abs(station.rateOfRise), 3) })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const NearbyStations = ({ stations }) => {
+  const { t, formatNumber } = useTranslation();
+  const [preferences, setPreferences] = useState(loadNearbyPreferences);
+  const [origin, setOrigin] = useState(() => {
+    const town = preferences.town && findTown(preferences.town);
+    return town ? townOrigin(town) : null;
+  });
+  const [query, setQuery] = useState(origin?.town || '');
+  const [status, setStatus] = useState(null); // message key for the location lookup
+
+  const updatePreferences = (changes) => {
+    const next = { ...preferences, ...changes };
+    setPreferences(next);
+    saveNearbyPreferences(next);
+  };
+
+  const locate = async () => {
+    setStatus('nearby.locating');
+    try {
+      setOrigin(await getCurrentPosition());
+      setQuery('');
+      updatePreferences({ town: null });
+      setStatus(null);
+    } catch (error) {
+      console.warn('Geolocation failed:', error.message);
+      setStatus(error.code === PERMISSION_DENIED ? 'nearby.denied' : 'nearby.unavailable');
+    }
+  };
+
+  const chooseTown = (value) => {
+    const town = findTown(value) || searchTowns(value, 1)[0];
+    if (!town) {
+      setStatus('nearby.unknownTown');
+      return;
+    }
+    setOrigin(townOrigin(town));
+    setQuery(town.name);
+    updatePreferences({ town: town.name });
+    setStatus(null);
+  };
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    // Picking a suggestion fills in the whole name
+    if (findTown(value)) chooseTown(value);
+  };
+
+  const ranked = origin ? sortByDistance(stations, origin) : [];
+  const inRadius = ranked.filter(entry => entry.distance <= preferences.radiusKm);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden border border-gray-200">
+      <div className="bg-gray-800 text-white p-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <MapPin className="w-5 h-5" />
+          {t('nearby.title')}
+        </h3>
+        <p className="text-sm text-gray-300 mt-1">{t('nearby.help')}</p>
+      </div>
+
+      <div className="p-4 border-b border-gray-200 flex flex-wrap items-end gap-3">
+        <button
+          onClick={locate}
+          disabled={status === 'nearby.locating'}
+          className="px-4 py-2 rounded-lg font-bold bg-blue-700 text-white hover:bg-blue-800 disabled:opacity-60 flex items-center gap-2"
+        >
+          <LocateFixed className="w-4 h-4" />
+          {t('nearby.useLocation')}
+        </button>
+        <form
+          className="flex items-end gap-2"
+          onSubmit={(event) => {
+            event.preventDefault();
+            chooseTown(query);
+          }}
+        >
+          <label className="text-sm font-semibold text-gray-700">
+            {t('nearby.town')}
+            <input
+              type="text"
+              list="nearby-towns"
+              value={query}
+              onChange={(event) => handleQueryChange(event.target.value)}
+              placeholder={t('nearby.townPlaceholder')}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg font-normal"
+            />
+          </label>
+          <datalist id="nearby-towns">
+            {TOWNS.map(town => (
+              <option key={town.name} value={town.name}>{town.postcode ? `${town.postcode}, ${town.district}` : town.district}</option>
+            ))}
+          </datalist>
+          <button type="submit" className="p-2.5 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300" title={t('nearby.search')}>
+            <Search className="w-4 h-4" />
+          </button>
+        </form>
+        <label className="text-sm font-semibold text-gray-700">
+          {t('nearby.radius')}
+          <select
+            value={preferences.radiusKm}
+            onChange={(event) => updatePreferences({ radiusKm: Number(event.target.value) })}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg font-normal"
+          >
+            {RADIUS_OPTIONS.map(km => (
+              <option key={km} value={km}>{t('nearby.radiusKm', { km })}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="p-4 bg-gray-50">
+        {status && <p className="mb-3 text-sm font-semibold text-gray-700">{t(status)}</p>}
+
+        {origin && (
+          <p className="mb-3 text-sm text-gray-700">
+            {origin.town
+              ? t('nearby.fromTown', { town: origin.town, count: inRadius.length, km: preferences.radiusKm })
+              : t('nearby.fromLocation', { count: inRadius.length, km: preferences.radiusKm })}
+          </p>
+        )}
+
+        {!origin && !status && <p className="text-sm text-gray-600">{t('nearby.prompt')}</p>}
+
+        {origin && inRadius.length === 0 && ranked.length > 0 && (
+          <>
+            <p className="mb-3 text-sm text-gray-700">
+              {t('nearby.noneInRadius', { km: preferences.radiusKm, distance: formatNumber(ranked[0].distance, 0) })}
+            </p>
+            <NearbyRow {...ranked[0]} />
+          </>
+        )}
+
+        <div className="space-y-2">
+          {inRadius.map(entry => <NearbyRow key={entry.station.station} {...entry} />)}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NearbyStations;
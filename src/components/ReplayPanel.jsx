@@ -0,0 +1,138 @@
+// src/components/ReplayPanel.jsx
+// Range picker and playback controls for replaying past snapshots. While a
+// frame is shown the dashboard draws it instead of the live readings.
+import React, { useState } from 'react';
+import { History, Pause, Play, SkipBack, SkipForward, X } from 'lucide-react';
+import { REPLAY_SPEEDS, MAX_REPLAY_FRAMES } from '../services/replay';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const DEFAULT_RANGE_HOURS = 72;
+
+/**
+ * A date as the local "YYYY-MM-DDTHH:mm" a datetime-local input expects
+ */
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const ReplayPanel = ({ replay, onClose }) => {
+  const { t, formatDateTime } = useTranslation();
+  const [from, setFrom] = useState(() => toInputValue(new Date(Date.now() - DEFAULT_RANGE_HOURS * 3600000)));
+  const [to, setTo] = useState(() => toInputValue(new Date()));
+  const validRange = from && to && new Date(from) < new Date(to);
+  const { status, frames, index, frame } = replay;
+
+  const close = () => {
+    replay.stop();
+    onClose();
+  };
+
+  return (
+    <div className="bg-white text-gray-900 p-4 rounded-lg shadow-xl border-2 border-indigo-600">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <History className="w-5 h-5 text-indigo-700" />
+          {t('replay.title')}
+          {frame && (
+            <span className="ml-2 px-2 py-0.5 rounded bg-indigo-700 text-white text-sm">
+              {t('replay.showing', { time: formatDateTime(frame.time) })}
+            </span>
+          )}
+        </h3>
+        <button onClick={close} className="p-1 hover:bg-gray-200 rounded" title={t('replay.exit')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-sm font-semibold text-gray-700">
+          {t('replay.from')}
+          <input
+            type="datetime-local"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="block mt-1 bg-gray-100 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </label>
+        <label className="text-sm font-semibold text-gray-700">
+          {t('replay.to')}
+          <input
+            type="datetime-local"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="block mt-1 bg-gray-100 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </label>
+        <button
+          onClick={() => replay.load({ from: new Date(from), to: new Date(to) })}
+          disabled={!validRange || status === 'loading'}
+          className="px-4 py-2 bg-indigo-700 text-white rounded-lg font-bold hover:bg-indigo-800 disabled:opacity-50"
+        >
+          {t('replay.load')}
+        </button>
+        <p className="text-xs text-gray-600">{t('replay.limit', { count: MAX_REPLAY_FRAMES })}</p>
+      </div>
+
+      {status === 'loading' && replay.progress && (
+        <div className="mt-3">
+          <p className="text-sm text-gray-700">
+            {replay.progress.total > 0
+              ? t('replay.loading', { loaded: replay.progress.loaded, total: replay.progress.total })
+              : t('replay.listing')}
+          </p>
+          <div className="h-2 mt-1 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-indigo-600 transition-all"
+              style={{ width: `${replay.progress.total > 0 ? (replay.progress.loaded / replay.progress.total) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+      )}
+      {status === 'empty' && <p className="mt-3 text-sm text-gray-700">{t('replay.empty')}</p>}
+      {status === 'error' && <p className="mt-3 text-sm text-red-700">{t('replay.error')}</p>}
+
+      {status === 'ready' && (
+        <div className="mt-4 flex flex-wrap items-center gap-3">
+          <button onClick={() => replay.seek(index - 1)} disabled={index === 0} className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-40" title={t('replay.previous')}>
+            <SkipBack className="w-5 h-5" />
+          </button>
+          <button
+            onClick={replay.playing ? replay.pause : replay.play}
+            className="p-2 rounded-lg bg-indigo-700 text-white hover:bg-indigo-800"
+            title={replay.playing ? t('replay.pause') : t('replay.play')}
+          >
+            {replay.playing ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+          </button>
+          <button onClick={() => replay.seek(index + 1)} disabled={index === frames.length - 1} className="p-2 rounded-lg hover:bg-gray-200 disabled:opacity-40" title={t('replay.next')}>
+            <SkipForward className="w-5 h-5" />
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={frames.length - 1}
+            value={index}
+            onChange={(e) => replay.seek(Number(e.target.value))}
+            aria-label={t('replay.position')}
+            className="flex-1 min-w-[12rem] accent-indigo-700"
+          />
+          <span className="text-sm text-gray-700 whitespace-nowrap">
+            {t('replay.frame', { index: index + 1, count: frames.length })}
+          </span>
+          <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+            {t('replay.speed')}
+            <select
+              value={replay.speed}
+              onChange={(e) => replay.setSpeed(Number(e.target.value))}
+              className="bg-gray-100 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              {REPLAY_SPEEDS.map(speed => <option key={speed} value={speed}>{speed}×</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReplayPanel;
@@ -0,0 +1,134 @@
+// src/components/RiskBreakdown.jsx
+// How the overall risk score is made up: the model's weights, each basin's
+// score and share of the total, and the stations and factors behind them
+import React, { useState } from 'react';
+import { Activity, ChevronDown, ChevronUp, X } from 'lucide-react';
+import RouteLink from './RouteLink';
+import { getRiskColor } from './alertStyles';
+import { slugify } from '../services/capFeed';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const ScoreBar = ({ score }) => (
+  <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+    <div className={`h-full ${getRiskColor(score).replace('text-', 'bg-')}`} style={{ width: `${Math.min(100, score)}%` }} />
+  </div>
+);
+
+const RiskBreakdown = ({ risk, onClose }) => {
+  const { t, place, alertLabel, formatNumber } = useTranslation();
+  const [expandedBasin, setExpandedBasin] = useState(null);
+  const { weights } = risk;
+  const round = (value) => formatNumber(value, 0);
+
+  return (
+    <div className="bg-white text-gray-900 p-5 rounded-lg shadow-xl border border-gray-200">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Activity className="w-5 h-5 text-blue-700" />
+          {t('risk.title')}
+          <span className={`ml-2 text-2xl ${getRiskColor(risk.score)}`}>{round(risk.score)}%</span>
+        </h3>
+        <button onClick={onClose} className="p-1 hover:bg-gray-200 rounded" title={t('common.close')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="text-sm text-gray-700 space-y-1 mb-4">
+        <p>
+          {t('risk.stationScore', {
+            points: ['alert', 'minor', 'major'].map(code => `${alertLabel(code)} ${weights.alert[code]}`).join(', '),
+            rising: weights.rising,
+            fastRise: weights.fastRise,
+            rate: formatNumber(weights.fastRiseRate)
+          })}
+          {' '}
+          {t('risk.rainScore', {
+            rain: weights.rain,
+            rainMm: weights.rainMm,
+            heavyRain: weights.heavyRain,
+            heavyRainMm: weights.heavyRainMm
+          })}
+        </p>
+        <p>
+          {t('risk.combine', {
+            peak: round(weights.peakShare * 100),
+            average: round((1 - weights.peakShare) * 100),
+            critical: weights.criticalStation
+          })}
+        </p>
+      </div>
+
+      {risk.basins.length === 0 ? (
+        <p className="text-sm text-gray-600">{t('risk.none')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {risk.basins.map(basin => {
+            const expanded = expandedBasin === basin.basin;
+            return (
+              <li key={basin.basin} className="p-3">
+                <button
+                  onClick={() => setExpandedBasin(expanded ? null : basin.basin)}
+                  className="w-full text-left"
+                  aria-expanded={expanded}
+                >
+                  <div className="flex justify-between items-center gap-3 mb-1">
+                    <span className="font-bold flex items-center gap-1">
+                      {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                      {place(basin.basin)}
+                    </span>
+                    <span className="text-sm text-gray-600">
+                      <span className={`font-bold text-base ${getRiskColor(basin.score)}`}>{round(basin.score)}%</span>
+                      {' • '}{t('risk.contribution', { points: formatNumber(basin.contribution, 1) })}
+                    </span>
+                  </div>
+                  <ScoreBar score={basin.score} />
+                </button>
+
+                {expanded && (
+                  <div className="mt-3 overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-600 uppercase">
+                          <th className="py-1 pr-3">{t('risk.station')}</th>
+                          <th className="py-1 pr-3 text-right">{t('risk.alertPoints')}</th>
+                          <th className="py-1 pr-3 text-right">{t('risk.trendPoints')}</th>
+                          <th className="py-1 pr-3 text-right">{t('risk.rainPoints')}</th>
+                          <th className="py-1 pr-3 text-right">{t('risk.weight')}</th>
+                          <th className="py-1 text-right">{t('risk.basinShare')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {basin.stations.map(entry => (
+                          <tr key={entry.station} className="border-t border-gray-100">
+                            <td className="py-1 pr-3">
+                              <RouteLink route={{ page: 'station', station: entry.station }} className="text-blue-700 font-semibold hover:underline">
+                                {place(entry.station)}
+                              </RouteLink>
+                            </td>
+                            <td className="py-1 pr-3 text-right">{entry.factors.alert}</td>
+                            <td className="py-1 pr-3 text-right">{entry.factors.trend}</td>
+                            <td className="py-1 pr-3 text-right">{entry.factors.rain}</td>
+                            <td className="py-1 pr-3 text-right">{formatNumber(entry.weight)}</td>
+                            <td className="py-1 text-right font-bold">{formatNumber(entry.contribution, 1)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <RouteLink
+                      route={{ page: 'dashboard', river: slugify(basin.basin) }}
+                      className="inline-block mt-2 text-sm text-blue-700 font-semibold hover:underline"
+                    >
+                      {t('risk.showStations', { basin: place(basin.basin) })}
+                    </RouteLink>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RiskBreakdown;
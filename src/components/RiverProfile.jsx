@@ -0,0 +1,171 @@
+// src/components/RiverProfile.jsx
+// Longitudinal view of a river: gauges from source to mouth with levels
+// shown relative to each gauge's own thresholds
+import React, { useState } from 'react';
+import { Waves, AlertTriangle } from 'lucide-react';
+import { getStationThresholds } from '../services/dataService';
+import { RIVER_NETWORK, buildRiverProfile } from '../services/riverNetwork';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const WIDTH = 800;
+const HEIGHT = 300;
+const PADDING = { top: 30, right: 60, bottom: 60, left: 60 };
+
+const BAND_COLORS = { alert: '#ca8a04', minor: '#ea580c', major: '#dc2626' };
+
+/**
+ * Level as a fraction of the gauge's Major Flood threshold. Gauges have
+ * different datums, so raw metres cannot be compared along a river.
+ */
+const toRatio = (level, thresholds) => level / thresholds.major;
+
+const ProfileChart = ({ profile }) => {
+  const { t, place, alertLabel, formatNumber, formatDateTime } = useTranslation();
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const ratios = profile.filter(g => g.station).map(g => toRatio(g.station.level, getStationThresholds(g.name)));
+  const maxRatio = Math.max(1.2, ...ratios) * 1.05;
+
+  const x = (index) => PADDING.left + (profile.length === 1 ? plotWidth / 2 : (index / (profile.length - 1)) * plotWidth);
+  const y = (ratio) => PADDING.top + (1 - Math.max(0, ratio) / maxRatio) * plotHeight;
+
+  const line = profile
+    .map((gauge, index) => gauge.station && `${x(index).toFixed(1)},${y(toRatio(gauge.station.level, getStationThresholds(gauge.name))).toFixed(1)}`)
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={t('profile.chartAria')}>
+      {/* Major Flood reference line */}
+      <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(1)} y2={y(1)} stroke={BAND_COLORS.major} strokeDasharray="6 4" />
+      <text x={WIDTH - PADDING.right + 4} y={y(1) + 4} fontSize="11" fill={BAND_COLORS.major}>{t('profile.major')}</text>
+      <text x={PADDING.left - 8} y={PADDING.top - 12} fontSize="11" fill="#4b5563">{t('profile.percentOfMajor')}</text>
+      {[0, 0.5, 1].map(tick => (
+        <text key={tick} x={PADDING.left - 8} y={y(tick) + 4} fontSize="10" textAnchor="end" fill="#4b5563">
+          {Math.round(tick * 100)}%
+        </text>
+      ))}
+
+      {/* Flow direction */}
+      <text x={PADDING.left} y={HEIGHT - 8} fontSize="11" fill="#4b5563">{t('profile.source')}</text>
+      <text x={WIDTH - PADDING.right} y={HEIGHT - 8} fontSize="11" textAnchor="end" fill="#4b5563">{t('profile.mouth')}</text>
+
+      {line && <polyline points={line} fill="none" stroke="#1d4ed8" strokeWidth="2" />}
+
+      {profile.map((gauge, index) => {
+        const thresholds = getStationThresholds(gauge.name);
+        const gx = x(index);
+        return (
+          <g key={gauge.name}>
+            <line x1={gx} x2={gx} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} stroke="#e5e7eb" />
+
+            {/* This gauge's own alert and minor thresholds */}
+            {['alert', 'minor'].map(level => (
+              <line
+                key={level}
+                x1={gx - 10}
+                x2={gx + 10}
+                y1={y(toRatio(thresholds[level], thresholds))}
+                y2={y(toRatio(thresholds[level], thresholds))}
+                stroke={BAND_COLORS[level]}
+                strokeWidth="2"
+              />
+            ))}
+
+            {gauge.station ? (
+              <>
+                <circle cx={gx} cy={y(toRatio(gauge.station.level, thresholds))} r="6" fill="#1d4ed8" stroke="#fff" strokeWidth="2">
+                  <title>{t('profile.pointTitle', {
+                    station: place(gauge.name),
+                    level: formatNumber(gauge.station.level),
+                    alert: alertLabel(gauge.station.alert),
+                    time: formatDateTime(gauge.station.lastMeasured)
+                  })}</title>
+                </circle>
+                <text x={gx} y={y(toRatio(gauge.station.level, thresholds)) - 12} fontSize="11" textAnchor="middle" fontWeight="700" fill="#111827">
+                  {formatNumber(gauge.station.level)}m {gauge.station.rateOfRise === null ? '' : gauge.station.rising ? '▲' : '▼'}
+                </text>
+              </>
+            ) : (
+              <text x={gx} y={y(0) - 6} fontSize="10" textAnchor="middle" fill="#9ca3af">{t('profile.noData')}</text>
+            )}
+
+            <text x={gx} y={HEIGHT - PADDING.bottom + 16} fontSize="11" textAnchor="middle" fontWeight="600" fill="#1f2937">
+              {place(gauge.name)}
+            </text>
+            {gauge.travelHoursToNext !== null && index < profile.length - 1 && (
+              <text x={(gx + x(index + 1)) / 2} y={HEIGHT - PADDING.bottom + 32} fontSize="10" textAnchor="middle" fill="#6b7280">
+                ~{gauge.travelHoursToNext} h →
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const RiverProfile = ({ stations, upstreamWarnings }) => {
+  const { t, place, formatNumber, formatDateTime } = useTranslation();
+  const [riverId, setRiverId] = useState(RIVER_NETWORK[0].id);
+  const river = RIVER_NETWORK.find(r => r.id === riverId);
+  const profile = buildRiverProfile(river, stations);
+  const riverWarnings = profile
+    .filter(gauge => upstreamWarnings[gauge.name])
+    .map(gauge => ({ downstream: gauge.name, warnings: upstreamWarnings[gauge.name] }));
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden border border-gray-200">
+      <div className="bg-gray-800 text-white p-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Waves className="w-5 h-5" />
+          {t('profile.title', { river: place(river.name) })}
+        </h3>
+        <p className="text-sm text-gray-300 mt-1">
+          {t('profile.help')}
+        </p>
+      </div>
+
+      <div className="p-4">
+        <div className="flex flex-wrap gap-2 mb-4">
+          {RIVER_NETWORK.map(r => (
+            <button
+              key={r.id}
+              onClick={() => setRiverId(r.id)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-bold transition-all ${
+                r.id === riverId
+                  ? 'bg-blue-700 text-white'
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {place(r.name)}
+            </button>
+          ))}
+        </div>
+
+        {riverWarnings.map(({ downstream, warnings }) => (
+          <div key={downstream} className="mb-3 bg-orange-100 border-l-4 border-orange-600 p-3 rounded-lg text-sm text-orange-900">
+            <p className="font-bold flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4" />
+              {t('profile.risingUpstream', { station: place(downstream) })}
+            </p>
+            <ul className="mt-1 list-disc list-inside">
+              {warnings.map(warning => (
+                <li key={warning.upstream.station}>
+                  {t('profile.warningLevel', { station: place(warning.upstream.station), level: formatNumber(warning.upstream.level) })}
+                  {warning.upstream.rateOfRise !== null && `, ${t('profile.warningRate', { rate: formatNumber(warning.upstream.rateOfRise, 3) })}`}
+                  {` — ${t('profile.warningReaches', { station: place(downstream), hours: warning.travelHours })}`}
+                  {warning.arrivesAt && ` (≈${formatDateTime(warning.arrivesAt)})`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        <ProfileChart profile={profile} />
+      </div>
+    </div>
+  );
+};
+
+export default RiverProfile;
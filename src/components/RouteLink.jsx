@@ -0,0 +1,22 @@
+// src/components/RouteLink.jsx
+// Anchor that changes route without reloading the page, while still
+// allowing open-in-new-tab with modifier keys or the middle button
+import React from 'react';
+import { buildUrl, navigate } from '../services/routing';
+
+const RouteLink = ({ route, children, ...props }) => {
+  const handleClick = (event) => {
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    event.preventDefault();
+    navigate(route);
+    window.scrollTo(0, 0);
+  };
+
+  return (
+    <a href={buildUrl(route)} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
+
+export default RouteLink;
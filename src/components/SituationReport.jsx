@@ -0,0 +1,198 @@
+// src/components/SituationReport.jsx
+// Print-ready situation report assembled from the current readings
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Printer, TrendingUp, TrendingDown, Phone } from 'lucide-react';
+import RouteLink from './RouteLink';
+import { getAlertStyle, getRiskColor } from './alertStyles';
+import { ALERT_ORDER } from '../services/dataService';
+import { STALE_HOURS } from '../services/dataQuality';
+import { getThresholdMargin } from '../services/stationFilters';
+import { buildSituationReport, loadLastReport, saveLastReport, EMERGENCY_CONTACTS } from '../services/situationReport';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const SEVERITY_FIRST = [...ALERT_ORDER].reverse();
+
+const Section = ({ title, children }) => (
+  <section className="mb-6 break-inside-avoid">
+    <h2 className="text-lg font-bold text-gray-900 border-b-2 border-gray-800 pb-1 mb-3">{title}</h2>
+    {children}
+  </section>
+);
+
+const Trend = ({ station }) => {
+  const { formatNumber } = useTranslation();
+  if (station.rateOfRise === null) return <span className="text-gray-500">-</span>;
+  return (
+    <span className={`inline-flex items-center gap-1 font-semibold ${station.rising ? 'text-red-700' : 'text-green-700'}`}>
+      {station.rising ? <TrendingUp className="w-4 h-4" /> : <TrendingDown className="w-4 h-4" />}
+      {formatNumber(Math.abs(station.rateOfRise), 3)} m/hr
+    </span>
+  );
+};
+
+const SituationReport = ({ stations, risk, dataInfo }) => {
+  const { t, place, alertLabel, sourceLabel, formatNumber, formatDateTime } = useTranslation();
+  // Read once, so printing (which records this report) does not change the page being printed
+  const [lastReport] = useState(loadLastReport);
+  const [generatedAt] = useState(() => new Date());
+  const report = buildSituationReport(stations, { lastReport });
+  const floodRisk = Math.round(risk.score);
+  // Sample and offline readings are not a fair baseline for the next report
+  const recordsLevels = Boolean(dataInfo) && !dataInfo.isSample && !dataInfo.isCached;
+
+  // Recorded on beforeprint so printing from the browser menu counts too
+  useEffect(() => {
+    if (!recordsLevels) return undefined;
+    const record = () => saveLastReport(stations);
+    window.addEventListener('beforeprint', record);
+    return () => window.removeEventListener('beforeprint', record);
+  }, [recordsLevels, stations]);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center flex-wrap gap-3 mb-5 print:hidden">
+        <RouteLink route={{ page: 'dashboard' }} className="inline-flex items-center gap-2 text-blue-700 font-bold hover:underline">
+          <ArrowLeft className="w-4 h-4" />
+          {t('station.back')}
+        </RouteLink>
+        <div className="flex items-center gap-3">
+          <p className="text-xs text-gray-700 max-w-sm">{t(recordsLevels ? 'report.printHelp' : 'report.notRecorded')}</p>
+          <button
+            onClick={() => window.print()}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-700 text-white rounded-lg font-bold hover:bg-blue-800 transition-colors"
+          >
+            <Printer className="w-4 h-4" />
+            {t('report.print')}
+          </button>
+        </div>
+      </div>
+
+      <article className="bg-white p-8 rounded-lg shadow-md border border-gray-200 print:shadow-none print:border-0 print:p-0 text-gray-900">
+        <header className="mb-6">
+          <h1 className="text-3xl font-bold">{t('report.title')}</h1>
+          <p className="text-sm text-gray-700 mt-1">{t('report.generatedAt', { time: formatDateTime(generatedAt) })}</p>
+          {dataInfo && (
+            <p className="text-sm text-gray-700">
+              {t('report.dataSource', { source: sourceLabel(dataInfo.source), time: formatDateTime(dataInfo.fetchedAt) })}
+              {dataInfo.sourceUpdatedAt && ` ${t('report.sourceUpdated', { time: formatDateTime(dataInfo.sourceUpdatedAt) })}`}
+            </p>
+          )}
+          {dataInfo && (dataInfo.isSample || dataInfo.isCached) && (
+            <p className="mt-2 font-bold text-red-700">
+              {t(dataInfo.isSample ? 'provenance.sampleTitle' : 'report.offlineWarning')}
+            </p>
+          )}
+        </header>
+
+        <Section title={t('report.overview')}>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <div className="border-2 border-gray-800 rounded-lg p-3">
+              <p className="text-xs font-semibold uppercase">{t('app.overallRisk')}</p>
+              <p className={`text-3xl font-bold ${getRiskColor(floodRisk)}`}>{floodRisk}%</p>
+            </div>
+            {SEVERITY_FIRST.map(alert => (
+              <div key={alert} className={`border-2 ${getAlertStyle(alert).borderColor} ${getAlertStyle(alert).bgLight} rounded-lg p-3`}>
+                <p className="text-xs font-semibold uppercase">{alertLabel(alert)}</p>
+                <p className="text-3xl font-bold">{report.counts[alert]}</p>
+              </div>
+            ))}
+          </div>
+          {risk.basins.length > 0 && (
+            <p className="text-sm mt-3">
+              {t('report.highestBasins', {
+                basins: risk.basins.slice(0, 3).map(basin => `${place(basin.basin)} ${Math.round(basin.score)}%`).join(', ')
+              })}
+            </p>
+          )}
+          {report.excludedCount > 0 && (
+            <p className="text-sm mt-1 text-gray-700">{t('app.qualityExcluded', { count: report.excludedCount })}</p>
+          )}
+        </Section>
+
+        <Section title={t('report.atRisk', { count: report.atRisk.length })}>
+          {report.atRisk.length === 0 ? (
+            <p className="text-sm">{t('report.noneAtRisk')}</p>
+          ) : (
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="text-left border-b border-gray-800">
+                  <th className="py-1 pr-2">{t('report.station')}</th>
+                  <th className="py-1 pr-2">{t('station.river')}</th>
+                  <th className="py-1 pr-2">{t('report.alert')}</th>
+                  <th className="py-1 pr-2 text-right">{t('report.level')}</th>
+                  <th className="py-1 pr-2 text-right">{t('report.margin')}</th>
+                  <th className="py-1 pr-2">{t('report.trend')}</th>
+                  <th className="py-1">{t('report.measured')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.atRisk.map(station => {
+                  const margin = getThresholdMargin(station);
+                  return (
+                    <tr key={station.station} className="border-b border-gray-200 break-inside-avoid">
+                      <td className="py-1 pr-2 font-semibold">{place(station.station)}</td>
+                      <td className="py-1 pr-2">{place(station.river)}</td>
+                      <td className="py-1 pr-2">
+                        <span className={`px-2 py-0.5 rounded text-xs font-bold text-white ${getAlertStyle(station.alert).color}`}>
+                          {alertLabel(station.alert)}
+                        </span>
+                      </td>
+                      <td className="py-1 pr-2 text-right">{formatNumber(station.level)} m</td>
+                      <td className="py-1 pr-2 text-right">
+                        {t(margin >= 0 ? 'report.belowMajor' : 'report.aboveMajor', { margin: formatNumber(Math.abs(margin)) })}
+                      </td>
+                      <td className="py-1 pr-2"><Trend station={station} /></td>
+                      <td className="py-1">
+                        {formatDateTime(station.lastMeasured)}
+                        {station.quality && station.quality.flags.includes('stale') && (
+                          <span className="ml-1 font-bold text-red-700" title={t('quality.staleDetail', { hours: STALE_HOURS })}>
+                            ({t('quality.stale')})
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </Section>
+
+        <Section title={t('report.escalated')}>
+          {!lastReport && <p className="text-sm">{t('report.noPrevious')}</p>}
+          {lastReport && (
+            <p className="text-sm text-gray-700 mb-2">{t('report.since', { time: formatDateTime(lastReport.issuedAt) })}</p>
+          )}
+          {lastReport && report.escalated.length === 0 && <p className="text-sm">{t('report.noneEscalated')}</p>}
+          {report.escalated.length > 0 && (
+            <ul className="text-sm list-disc list-inside">
+              {report.escalated.map(({ station, from }) => (
+                <li key={station.station}>
+                  {t('report.escalatedEntry', {
+                    station: place(station.station),
+                    river: place(station.river),
+                    from: alertLabel(from),
+                    to: alertLabel(station.alert)
+                  })}
+                </li>
+              ))}
+            </ul>
+          )}
+        </Section>
+
+        <Section title={t('report.contacts')}>
+          <ul className="text-sm space-y-1">
+            {EMERGENCY_CONTACTS.map(contact => (
+              <li key={contact.number} className="flex items-center gap-2">
+                <Phone className="w-4 h-4" />
+                {t(contact.label)}: <strong>{contact.number}</strong>
+              </li>
+            ))}
+          </ul>
+        </Section>
+      </article>
+    </div>
+  );
+};
+
+export default SituationReport;
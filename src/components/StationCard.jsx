@@ -0,0 +1,205 @@
+// src/components/StationCard.jsx
+import React, { useState } from 'react';
+import { Droplet, TrendingUp, TrendingDown, Clock, MapPin, LineChart, ChevronDown, ChevronUp, Bell, BellOff, ArrowDownRight, ShieldAlert, CloudRain, Pin, PinOff } from 'lucide-react';
+import { getAlertStyle } from './alertStyles';
+import { getStationThresholds } from '../services/dataService';
+import StationHistory from './StationHistory';
+import StationForecast from './StationForecast';
+import RouteLink from './RouteLink';
+import { isMajorFloodImminent, MAJOR_FLOOD_WARNING_HOURS } from '../services/forecast';
+import { STALE_HOURS } from '../services/dataQuality';
+import { getRiskWeights } from '../services/riskModel';
+import { isAboveWarningLevel } from '../services/watchlist';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const StationCard = ({ station, forecast, upstreamWarnings, watched, onToggleWatch, watchlistEntry, onTogglePin, showHistoryButton = true }) => {
+  const { t, place, alertLabel, formatNumber, formatDateTime } = useTranslation();
+  const [showHistory, setShowHistory] = useState(false);
+  const alertStyle = getAlertStyle(station.alert);
+  const isCritical = station.isCritical;
+  const timestamp = new Date(station.lastMeasured);
+  const quality = station.quality || { flags: [], weight: 1 };
+  const thresholds = getStationThresholds(station.station);
+  const majorImminent = forecast && isMajorFloodImminent(forecast);
+  const aboveWarningLevel = isAboveWarningLevel(station, watchlistEntry);
+  const heavyRain = station.rainfall && station.rainfall.mm >= getRiskWeights().heavyRainMm;
+  const thresholdDetails = [
+    ['alert', 'minor', 'major'].map(level => `${alertLabel(level)} ${formatNumber(thresholds[level])}m`).join(' • '),
+    thresholds.source && t('card.thresholdSource', { source: thresholds.source }),
+    thresholds.effectiveDate && t('card.thresholdEffective', { date: thresholds.effectiveDate })
+  ].filter(Boolean).join('\n');
+
+  return (
+    <div className={`${alertStyle.bgLight} border-l-4 ${alertStyle.borderColor} p-5 rounded-lg shadow-md hover:shadow-xl transition-all duration-200 border border-gray-200 ${majorImminent ? 'ring-4 ring-red-500' : ''}`}>
+      <div className="flex justify-between items-start mb-3">
+        <div className="flex-1">
+          <div className="flex items-center gap-2 mb-1">
+            <h3 className="font-bold text-xl text-gray-900">
+              <RouteLink route={{ page: 'station', station: station.station }} className="hover:underline">
+                {place(station.station)}
+              </RouteLink>
+            </h3>
+            {isCritical && (
+              <span className="bg-purple-700 text-white text-xs px-2.5 py-1 rounded-full font-bold shadow-sm">
+                {t('card.critical')}
+              </span>
+            )}
+            {majorImminent && (
+              <span className="bg-red-700 text-white text-xs px-2.5 py-1 rounded-full font-bold shadow-sm animate-pulse">
+                {t('card.majorSoon', { hours: MAJOR_FLOOD_WARNING_HOURS })}
+              </span>
+            )}
+            {aboveWarningLevel && (
+              <span className="bg-blue-700 text-white text-xs px-2.5 py-1 rounded-full font-bold shadow-sm">
+                {t('card.aboveWarningLevel', { level: formatNumber(watchlistEntry.warningLevel) })}
+              </span>
+            )}
+          </div>
+          <p className="text-sm text-gray-700 flex items-center gap-1 font-medium">
+            <Droplet className="w-4 h-4 text-blue-600" />
+            {place(station.river)}
+          </p>
+        </div>
+        <div className={`px-4 py-2 rounded-lg text-sm font-bold ${alertStyle.color} text-white shadow-sm`}>
+          {alertLabel(station.alert)}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-3">
+        <div className="bg-white p-3 rounded-lg border border-gray-200">
+          <p className="text-xs text-gray-600 uppercase font-semibold mb-1">{t('card.waterLevel')}</p>
+          <p className="text-3xl font-bold text-gray-900">{formatNumber(station.level)}<span className="text-lg text-gray-600">m</span></p>
+        </div>
+        <div className="bg-white p-3 rounded-lg border border-gray-200">
+          <p className="text-xs text-gray-600 uppercase font-semibold mb-1">{t('card.rateOfChange')}</p>
+          {station.rateOfRise === null ? (
+            <p className="text-xl font-bold text-gray-500">{t('card.notReported')}</p>
+          ) : (
+            <div className="flex items-center gap-1">
+              {station.rising ? (
+                <TrendingUp className="w-6 h-6 text-red-700" />
+              ) : (
+                <TrendingDown className="w-6 h-6 text-green-700" />
+              )}
+              <p className={`text-xl font-bold ${station.rising ? 'text-red-700' : 'text-green-700'}`}>
+                {formatNumber(Math.abs(station.rateOfRise), 3)}<span className="text-sm"> m/hr</span>
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {station.rainfall && (
+        <p
+          className={`mb-2 text-xs px-3 py-2 rounded-lg flex items-center gap-1 font-semibold ${heavyRain ? 'bg-blue-700 text-white' : 'bg-blue-100 text-blue-900'}`}
+          title={t('card.rainfallGauges', { count: station.rainfall.gaugeCount })}
+        >
+          <CloudRain className="w-4 h-4" />
+          {t('card.rainfall', { mm: formatNumber(station.rainfall.mm, 0) })}
+          {heavyRain && ` • ${t('card.heavyRain')}`}
+        </p>
+      )}
+
+      {upstreamWarnings && upstreamWarnings.length > 0 && (
+        <div className="mb-2 bg-orange-200 text-orange-900 text-xs px-3 py-2 rounded-lg">
+          {upstreamWarnings.map(warning => (
+            <p key={warning.upstream.station} className="flex items-center gap-1 font-semibold">
+              <ArrowDownRight className="w-3 h-3" />
+              {t('card.upstream', {
+                station: place(warning.upstream.station),
+                state: t(warning.upstream.rising ? 'card.upstreamRising' : 'card.upstreamElevated'),
+                alert: alertLabel(warning.upstream.alert),
+                hours: warning.travelHours
+              })}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {quality.flags.length > 0 && (
+        <div className="mb-2 flex flex-wrap items-center gap-1 text-xs">
+          <ShieldAlert className="w-4 h-4 text-gray-700" />
+          {quality.flags.map(flag => (
+            <span
+              key={flag}
+              className="bg-gray-700 text-white px-2 py-0.5 rounded-full font-bold"
+              title={t(`quality.${flag}Detail`, { hours: STALE_HOURS })}
+            >
+              {t(`quality.${flag}`)}
+            </span>
+          ))}
+          {quality.weight < 1 && (
+            <span className="text-gray-700 font-semibold">
+              {t(quality.weight === 0 ? 'quality.excluded' : 'quality.downWeighted')}
+            </span>
+          )}
+        </div>
+      )}
+
+      <StationForecast forecast={forecast} />
+
+      <p className="text-xs text-gray-600 mt-1" title={thresholdDetails}>
+        {t('card.thresholds')}{' '}
+        {thresholds.isDefault ? (
+          <span className="font-bold text-orange-700">{t('card.thresholdsDefault')}</span>
+        ) : (
+          <span className="font-bold text-gray-800">{t('card.thresholdsOfficial')}</span>
+        )}
+      </p>
+
+      {showHistory && <StationHistory stationName={station.station} />}
+
+      <div className="flex items-center justify-between text-xs text-gray-700 border-t border-gray-300 pt-3 mt-3">
+        <div className="flex items-center gap-1 font-medium">
+          <Clock className="w-4 h-4 text-gray-600" />
+          <span>
+            {formatDateTime(timestamp)}
+          </span>
+        </div>
+        <div className="flex items-center gap-3">
+          {onTogglePin && (
+            <button
+              onClick={onTogglePin}
+              className="flex items-center gap-1 text-blue-700 hover:text-blue-900 hover:underline font-semibold"
+              title={t(watchlistEntry ? 'card.unpinTitle' : 'card.pinTitle')}
+            >
+              {watchlistEntry ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+              {t(watchlistEntry ? 'card.unpin' : 'card.pin')}
+            </button>
+          )}
+          {onToggleWatch && (
+            <button
+              onClick={onToggleWatch}
+              className="flex items-center gap-1 text-blue-700 hover:text-blue-900 hover:underline font-semibold"
+              title={t(watched ? 'card.unwatchTitle' : 'card.watchTitle')}
+            >
+              {watched ? <BellOff className="w-4 h-4" /> : <Bell className="w-4 h-4" />}
+              {t(watched ? 'card.unwatch' : 'card.watch')}
+            </button>
+          )}
+          {showHistoryButton && (
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="flex items-center gap-1 text-blue-700 hover:text-blue-900 hover:underline font-semibold"
+            >
+              <LineChart className="w-4 h-4" />
+              {t('card.history')}
+              {showHistory ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+            </button>
+          )}
+          <a
+            href={`https://www.google.com/maps/place/${station.coordinates.lat},${station.coordinates.lng}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center gap-1 text-blue-700 hover:text-blue-900 hover:underline font-semibold"
+          >
+            <MapPin className="w-4 h-4" />
+            {t('card.viewMap')}
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StationCard;
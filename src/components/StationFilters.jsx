@@ -0,0 +1,107 @@
+// src/components/StationFilters.jsx
+// River, search, alert level and sort controls for the station list.
+// All values come from and go to the route so they can be combined and linked.
+import React from 'react';
+import { Search, X } from 'lucide-react';
+import { getAlertStyle } from './alertStyles';
+import { ALERT_ORDER } from '../services/dataService';
+import { getRiverOptions, SORT_OPTIONS } from '../services/stationFilters';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const StationFilters = ({ stations, route, onChange }) => {
+  const { t, place, alertLabel } = useTranslation();
+  const rivers = getRiverOptions(stations);
+  const hasRefinements = route.river || route.query || route.alerts.length > 0 || route.sort !== 'default';
+
+  const toggleAlert = (code) => {
+    const alerts = route.alerts.includes(code)
+      ? route.alerts.filter(alert => alert !== code)
+      : ALERT_ORDER.filter(alert => alert === code || route.alerts.includes(alert));
+    onChange({ alerts });
+  };
+
+  return (
+    <div className="mt-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 flex-1 min-w-[12rem] bg-gray-100 rounded-lg px-3 py-2 border border-gray-300">
+          <Search className="w-4 h-4 text-gray-500" />
+          <input
+            type="search"
+            value={route.query}
+            // Typing replaces the history entry rather than adding one per keystroke
+            onChange={(e) => onChange({ query: e.target.value }, { replace: true })}
+            placeholder={t('filters.searchPlaceholder')}
+            aria-label={t('filters.search')}
+            className="flex-1 bg-transparent outline-none text-sm text-gray-900"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+          {t('filters.sort')}
+          <select
+            value={route.sort}
+            onChange={(e) => onChange({ sort: e.target.value })}
+            className="bg-gray-100 border border-gray-300 rounded-lg px-2 py-2 text-sm text-gray-900"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option} value={option}>{t(`filters.sort.${option}`)}</option>
+            ))}
+          </select>
+        </label>
+        {hasRefinements && (
+          <button
+            onClick={() => onChange({ river: null, query: '', alerts: [], sort: 'default' })}
+            className="flex items-center gap-1 text-sm text-blue-700 font-semibold hover:underline"
+          >
+            <X className="w-4 h-4" />
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <p className="text-sm font-semibold text-gray-700">{t('filters.alerts')}</p>
+        {[...ALERT_ORDER].reverse().map(code => {
+          const selected = route.alerts.includes(code);
+          const style = getAlertStyle(code);
+          return (
+            <button
+              key={code}
+              onClick={() => toggleAlert(code)}
+              aria-pressed={selected}
+              className={`px-3 py-1 rounded-full text-sm font-bold border-2 ${style.borderColor} transition-all ${
+                selected ? `${style.color} text-white` : `bg-white ${style.textColor} hover:${style.bgLight}`
+              }`}
+            >
+              {alertLabel(code)}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <p className="text-sm font-semibold text-gray-700">{t('filters.river')}</p>
+        <button
+          onClick={() => onChange({ river: null })}
+          className={`px-3 py-1 rounded-lg text-sm font-bold transition-all ${
+            !route.river ? 'bg-blue-700 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'
+          }`}
+        >
+          {t('filters.allRivers')}
+        </button>
+        {rivers.map(river => (
+          <button
+            key={river.id}
+            onClick={() => onChange({ river: river.id })}
+            className={`px-3 py-1 rounded-lg text-sm font-bold transition-all ${
+              route.river === river.id ? 'bg-blue-700 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'
+            }`}
+          >
+            {place(river.name)} ({river.count})
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default StationFilters;
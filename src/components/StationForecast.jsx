@@ -0,0 +1,70 @@
+// src/components/StationForecast.jsx
+// One-line time-to-threshold projection for a station card
+import React from 'react';
+import { Clock } from 'lucide-react';
+import { FORECAST_HORIZON_HOURS, isMajorFloodImminent } from '../services/forecast';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const CONFIDENCE_STYLES = {
+  high: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-gray-200 text-gray-700'
+};
+
+const hoursFromNow = (iso) => (new Date(iso) - new Date()) / (60 * 60 * 1000);
+
+const describe = (forecast, { t, alertLabel, formatNumber, formatDuration, formatTime }) => {
+  if (forecast.status === 'steady') return t('forecast.steady');
+
+  const rising = forecast.status === 'rising';
+  if (!forecast.target) {
+    return t(rising ? 'forecast.aboveAll' : 'forecast.belowAlert');
+  }
+
+  const action = t(rising ? 'forecast.reaches' : 'forecast.dropsBelow', {
+    level: alertLabel(forecast.target.level),
+    threshold: formatNumber(forecast.target.threshold)
+  });
+
+  if (forecast.eta === null) {
+    return t('forecast.notWithin', { action, hours: FORECAST_HORIZON_HOURS });
+  }
+
+  const text = t('forecast.eta', { action, duration: formatDuration(hoursFromNow(forecast.eta)), time: formatTime(forecast.eta) });
+  if (isMajorFloodImminent(forecast) && forecast.target.level !== 'major') {
+    return t('forecast.majorIn', { text, duration: formatDuration(hoursFromNow(forecast.majorEta)) });
+  }
+  return text;
+};
+
+const StationForecast = ({ forecast }) => {
+  const translation = useTranslation();
+  const { t } = translation;
+  if (!forecast) return null;
+
+  if (forecast.status === 'insufficient') {
+    return (
+      <p className="text-xs text-gray-500 flex items-center gap-1" title={forecast.reason}>
+        <Clock className="w-3 h-3" />
+        {t('forecast.label')} {t('forecast.insufficient')}
+      </p>
+    );
+  }
+
+  const imminent = isMajorFloodImminent(forecast);
+
+  return (
+    <p className={`text-xs flex items-center gap-1 flex-wrap ${imminent ? 'text-red-800 font-bold' : 'text-gray-700'}`}>
+      <Clock className="w-3 h-3" />
+      <span>{t('forecast.label')} {describe(forecast, translation)}</span>
+      <span
+        className={`px-1.5 py-0.5 rounded text-[10px] font-bold uppercase ${CONFIDENCE_STYLES[forecast.confidence]}`}
+        title={t('forecast.basedOn', { basis: forecast.basis })}
+      >
+        {t(`forecast.confidence.${forecast.confidence}`)}
+      </span>
+    </p>
+  );
+};
+
+export default StationForecast;
@@ -0,0 +1,138 @@
+// src/components/StationHistory.jsx
+// Expandable water level history for a single station
+import React, { useState, useEffect, useRef } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { fetchHistoricalData, getStationThresholds, HISTORY_SOURCE } from '../services/dataService';
+import { slugify } from '../services/capFeed';
+import { saveHistory, loadHistory } from '../services/snapshotStore';
+import HistoryChart, { findThresholdCrossings } from './HistoryChart';
+import ExportButtons from './ExportButtons';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const RANGES = [24, 72, 168];
+
+/**
+ * Load history from the network, falling back to the offline copy.
+ * Resolves to { records, cachedAt } where cachedAt is null for live data.
+ */
+const loadStationHistory = async (stationName, hours) => {
+  const records = await fetchHistoricalData(stationName, hours);
+  if (records.length > 0) {
+    saveHistory(stationName, hours, records);
+    return { records, cachedAt: null };
+  }
+
+  const cached = await loadHistory(stationName, hours);
+  return cached ? { records: cached.records, cachedAt: cached.savedAt } : { records: [], cachedAt: null };
+};
+
+/**
+ * Turn historical station records into time-ordered chart points
+ */
+const toChartPoints = (records) => {
+  const byTime = new Map();
+  records.forEach(record => {
+    const time = new Date(record.lastMeasured);
+    if (!isNaN(time)) byTime.set(time.getTime(), { time, level: record.level });
+  });
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+};
+
+/**
+ * `onLoad`, when given, receives { hours, points } each time a range has loaded
+ */
+const StationHistory = ({ stationName, onLoad }) => {
+  const { t, formatNumber, formatDateTime } = useTranslation();
+  const [hours, setHours] = useState(24);
+  const [records, setRecords] = useState([]);
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [cachedAt, setCachedAt] = useState(null);
+  const thresholds = getStationThresholds(stationName);
+  const onLoadRef = useRef(onLoad);
+  onLoadRef.current = onLoad;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    loadStationHistory(stationName, hours).then(({ records, cachedAt }) => {
+      if (cancelled) return;
+      const points = toChartPoints(records);
+      setRecords(records);
+      setPoints(points);
+      setCachedAt(cachedAt);
+      setLoading(false);
+      if (onLoadRef.current) onLoadRef.current({ hours, points });
+    });
+    return () => { cancelled = true; };
+  }, [stationName, hours]);
+
+  const peak = points.reduce((max, p) => (!max || p.level > max.level ? p : max), null);
+  const latest = points[points.length - 1];
+  const crossings = findThresholdCrossings(points, thresholds);
+
+  return (
+    <div className="bg-white p-3 rounded-lg border border-gray-200 mt-3">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-xs text-gray-600 uppercase font-semibold">{t('history.title')}</p>
+        <div className="flex gap-1">
+          {RANGES.map(range => (
+            <button
+              key={range}
+              onClick={() => setHours(range)}
+              className={`px-2 py-1 rounded text-xs font-bold transition-all ${
+                hours === range
+                  ? 'bg-blue-700 text-white'
+                  : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              {t(`history.range.${range}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center gap-2 py-8 text-sm text-gray-500">
+          <RefreshCw className="w-4 h-4 animate-spin" />
+          {t('history.loading')}
+        </div>
+      ) : points.length === 0 ? (
+        <p className="py-8 text-center text-sm text-gray-500">{t('history.empty')}</p>
+      ) : (
+        <>
+          <HistoryChart points={points} thresholds={thresholds} />
+          <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-700 mt-2">
+            <span>
+              {t('history.peak')}: <strong>{formatNumber(peak.level)}m</strong> ({formatDateTime(peak.time)})
+            </span>
+            {latest !== peak && (
+              <span>
+                {t('history.belowPeak')}: <strong>{formatNumber(peak.level - latest.level)}m</strong>
+              </span>
+            )}
+            {latest === peak && points.length > 1 && (
+              <span className="text-red-700 font-bold">{t('history.latestIsPeak')}</span>
+            )}
+            <span>{t('history.crossings')}: <strong>{crossings.length}</strong></span>
+            {cachedAt && (
+              <span className="text-gray-500 font-semibold">
+                {t('history.offlineCopy', { time: formatDateTime(cachedAt) })}
+              </span>
+            )}
+          </div>
+          <div className="flex justify-end mt-2">
+            <ExportButtons
+              stations={records}
+              source={HISTORY_SOURCE}
+              fileName={`${slugify(stationName)}-history-${hours}h`}
+              compact
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StationHistory;
@@ -0,0 +1,286 @@
+// src/components/StationMap.jsx
+// Zoomable SVG map of stations over a bundled outline of Sri Lanka and its major
+// rivers, with an optional layer of 24-hour rainfall at the rain gauges
+import React, { useState, useRef, useEffect } from 'react';
+import { Plus, Minus, Maximize, X, TrendingUp, TrendingDown, CloudRain } from 'lucide-react';
+import { getAlertStyle } from './alertStyles';
+import StationForecast from './StationForecast';
+import { MAP_WIDTH, MAP_HEIGHT, project, geometryToPath } from './mapProjection';
+import sriLankaOutline from '../data/sriLankaOutline.json';
+import majorRivers from '../data/majorRivers.json';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 12;
+const MARKER_RADIUS = 7;
+const RAIN_COLOR = '#2563eb';
+
+// Rain gauge circles grow with the square root of the 24-hour total (mm)
+const rainRadius = (mm) => 3 + Math.sqrt(mm);
+
+// Marker fill colours matching the alert badge classes, most severe first
+const MARKER_COLORS = [
+  { alert: 'major', color: '#dc2626' },
+  { alert: 'minor', color: '#ea580c' },
+  { alert: 'alert', color: '#ca8a04' },
+  { alert: 'normal', color: '#16a34a' }
+];
+
+const getMarkerColor = (alert) => (MARKER_COLORS.find(marker => marker.alert === alert) || MARKER_COLORS[3]).color;
+
+const landPath = sriLankaOutline.features.map(feature => geometryToPath(feature.geometry)).join('');
+const riverPaths = majorRivers.features.map(feature => ({
+  name: feature.properties.name,
+  d: geometryToPath(feature.geometry)
+}));
+
+/**
+ * Convert a pointer position to map units (before the zoom/pan transform)
+ */
+const toSvgPoint = (svg, clientX, clientY) => {
+  const point = svg.createSVGPoint();
+  point.x = clientX;
+  point.y = clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+};
+
+/**
+ * Zoom a { k, x, y } view by a factor, keeping `center` fixed on screen
+ */
+const zoomView = (view, factor, center) => {
+  const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.k * factor));
+  const ratio = k / view.k;
+  return { k, x: center.x - (center.x - view.x) * ratio, y: center.y - (center.y - view.y) * ratio };
+};
+
+const StationPopup = ({ station, forecast, onClose }) => {
+  const { t, place, alertLabel, formatNumber, formatDateTime } = useTranslation();
+  const alertStyle = getAlertStyle(station.alert);
+
+  return (
+    <div className={`absolute top-3 left-3 w-72 max-w-[calc(100%-1.5rem)] ${alertStyle.bgLight} border-l-4 ${alertStyle.borderColor} rounded-lg shadow-xl p-4 border border-gray-200`}>
+      <div className="flex justify-between items-start gap-2">
+        <div>
+          <p className="font-bold text-lg text-gray-900">{place(station.station)}</p>
+          <p className="text-sm text-gray-700">{place(station.river)}</p>
+        </div>
+        <button onClick={onClose} className="p-1 hover:bg-white rounded" title={t('common.close')}>
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="flex items-center justify-between mt-3">
+        <p className="text-2xl font-bold text-gray-900">{formatNumber(station.level)}m</p>
+        <span className={`px-3 py-1 rounded-lg text-sm font-bold ${alertStyle.color} text-white`}>
+          {alertLabel(station.alert)}
+        </span>
+      </div>
+      {station.rateOfRise !== null && (
+        <p className={`flex items-center gap-1 text-sm font-semibold mt-1 ${station.rising ? 'text-red-700' : 'text-green-700'}`}>
+          {station.rising ? <TrendingUp className="w-4 h-4" /> : <TrendingDown className="w-4 h-4" />}
+          {t(station.rising ? 'map.rising' : 'map.falling')} {formatNumber(Math.abs(station.rateOfRise), 3)} m/hr
+        </p>
+      )}
+      <div className="mt-2">
+        <StationForecast forecast={forecast} />
+      </div>
+      {station.rainfall && (
+        <p className="flex items-center gap-1 text-sm font-semibold text-blue-800 mt-2">
+          <CloudRain className="w-4 h-4" />
+          {t('card.rainfall', { mm: formatNumber(station.rainfall.mm, 0) })}
+        </p>
+      )}
+      <p className="text-xs text-gray-600 mt-2">
+        {t('map.measured', { time: formatDateTime(station.lastMeasured) })}
+        {station.coordinatesEstimated && ` • ${t('map.locationUnknown')}`}
+      </p>
+    </div>
+  );
+};
+
+const StationMap = ({ stations, forecasts = {}, rainGauges = [], selectedStation, onSelectStation }) => {
+  const { t, place, alertLabel, formatNumber } = useTranslation();
+  const [view, setView] = useState({ k: 1, x: 0, y: 0 });
+  const [showRain, setShowRain] = useState(true);
+  const rainShown = showRain && rainGauges.length > 0;
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const zoomAt = (factor, center) => setView(prev => zoomView(prev, factor, center));
+
+  // Wheel zoom needs a non-passive listener to stop the page scrolling
+  useEffect(() => {
+    const svg = svgRef.current;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const center = toSvgPoint(svg, event.clientX, event.clientY);
+      setView(prev => zoomView(prev, event.deltaY < 0 ? 1.25 : 0.8, center));
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (event) => {
+    const start = toSvgPoint(svgRef.current, event.clientX, event.clientY);
+    dragRef.current = { start, view, moved: false };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toSvgPoint(svgRef.current, event.clientX, event.clientY);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    if (!drag.moved && Math.hypot(dx, dy) < 3) return;
+    if (!drag.moved) event.currentTarget.setPointerCapture(event.pointerId);
+    drag.moved = true;
+    setView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy });
+  };
+
+  const handlePointerUp = () => {
+    // Keep the flag until the click event has seen it
+    setTimeout(() => { dragRef.current = null; }, 0);
+  };
+
+  const handleMarkerClick = (station) => {
+    if (dragRef.current?.moved) return;
+    onSelectStation(station.station);
+  };
+
+  const mapCenter = { x: MAP_WIDTH / 2, y: MAP_HEIGHT / 2 };
+  const selected = stations.find(station => station.station === selectedStation);
+
+  // Draw the most severe stations last so they sit on top
+  const ordered = [...stations].sort((a, b) => getAlertStyle(a.alert).severity - getAlertStyle(b.alert).severity);
+
+  return (
+    <div className="relative bg-blue-50 select-none" style={{ height: '600px' }}>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${MAP_WIDTH.toFixed(0)} ${MAP_HEIGHT.toFixed(0)}`}
+        className="w-full h-full cursor-grab active:cursor-grabbing touch-none"
+        role="img"
+        aria-label={t('map.aria')}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      >
+        <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+          <path d={landPath} fill="#f5f5f4" stroke="#78716c" strokeWidth={1.5 / view.k} />
+          {riverPaths.map(river => (
+            <path key={river.name} d={river.d} fill="none" stroke="#60a5fa" strokeWidth={2 / view.k} strokeLinecap="round">
+              <title>{place(river.name)}</title>
+            </path>
+          ))}
+
+          {rainShown && rainGauges.filter(gauge => gauge.lat !== null && gauge.lng !== null).map(gauge => {
+            const { x, y } = project(gauge);
+            return (
+              <circle
+                key={gauge.gauge}
+                cx={x}
+                cy={y}
+                r={rainRadius(gauge.rainfall24h) / view.k}
+                fill={RAIN_COLOR}
+                fillOpacity={0.25}
+                stroke={RAIN_COLOR}
+                strokeWidth={1 / view.k}
+              >
+                <title>{t('map.rainGauge', { gauge: place(gauge.gauge), mm: formatNumber(gauge.rainfall24h, 0) })}</title>
+              </circle>
+            );
+          })}
+
+          {ordered.map(station => {
+            const { x, y } = project(station.coordinates);
+            const isSelected = station.station === selectedStation;
+            const color = getMarkerColor(station.alert);
+            return (
+              <g
+                key={station.station}
+                className="cursor-pointer"
+                onClick={() => handleMarkerClick(station)}
+              >
+                <circle
+                  cx={x}
+                  cy={y}
+                  r={(isSelected ? MARKER_RADIUS * 1.5 : MARKER_RADIUS) / view.k}
+                  fill={color}
+                  stroke={isSelected ? '#111827' : '#ffffff'}
+                  strokeWidth={2 / view.k}
+                  opacity={station.coordinatesEstimated ? 0.5 : 1}
+                >
+                  <title>{`${place(station.station)} - ${alertLabel(station.alert)} (${formatNumber(station.level)}m)`}</title>
+                </circle>
+                {view.k >= 2.5 && (
+                  <text
+                    x={x + (MARKER_RADIUS + 3) / view.k}
+                    y={y + 4 / view.k}
+                    fontSize={12 / view.k}
+                    fill="#1f2937"
+                    fontWeight="600"
+                  >
+                    {place(station.station)}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+
+      {/* Zoom controls */}
+      <div className="absolute top-3 right-3 flex flex-col bg-white rounded-lg shadow-md border border-gray-200">
+        <button onClick={() => zoomAt(1.5, mapCenter)} className="p-2 hover:bg-gray-100 rounded-t-lg" title={t('map.zoomIn')}>
+          <Plus className="w-4 h-4" />
+        </button>
+        <button onClick={() => zoomAt(1 / 1.5, mapCenter)} className="p-2 hover:bg-gray-100 border-t border-gray-200" title={t('map.zoomOut')}>
+          <Minus className="w-4 h-4" />
+        </button>
+        <button onClick={() => setView({ k: 1, x: 0, y: 0 })} className="p-2 hover:bg-gray-100 border-t border-gray-200 rounded-b-lg" title={t('map.resetView')}>
+          <Maximize className="w-4 h-4" />
+        </button>
+      </div>
+      {rainGauges.length > 0 && (
+        <button
+          onClick={() => setShowRain(!showRain)}
+          className={`absolute top-32 right-3 p-2 rounded-lg shadow-md border border-gray-200 ${showRain ? 'bg-blue-700 text-white' : 'bg-white hover:bg-gray-100'}`}
+          title={t(showRain ? 'map.hideRain' : 'map.showRain')}
+          aria-pressed={showRain}
+        >
+          <CloudRain className="w-4 h-4" />
+        </button>
+      )}
+
+      {/* Legend */}
+      <div className="absolute bottom-3 right-3 bg-white bg-opacity-90 rounded-lg shadow-md border border-gray-200 p-2 text-xs space-y-1">
+        {MARKER_COLORS.map(marker => (
+          <div key={marker.alert} className="flex items-center gap-2">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: marker.color }} />
+            {alertLabel(marker.alert)}
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <span className="inline-block w-3 h-0.5 bg-blue-400" />
+          {t('map.majorRivers')}
+        </div>
+        {rainShown && (
+          <div className="flex items-center gap-2">
+            <span className="inline-block w-3 h-3 rounded-full border" style={{ backgroundColor: `${RAIN_COLOR}40`, borderColor: RAIN_COLOR }} />
+            {t('map.rainLayer')}
+          </div>
+        )}
+      </div>
+
+      {selected && (
+        <StationPopup
+          station={selected}
+          forecast={forecasts[selected.station]}
+          onClose={() => onSelectStation(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default StationMap;
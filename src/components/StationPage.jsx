@@ -0,0 +1,249 @@
+// src/components/StationPage.jsx
+// Page for a single station, reached at /station/:name: current reading,
+// metadata, history with period statistics and the gauges up and down river
+import React, { useState } from 'react';
+import { ArrowLeft, ArrowDownRight, ArrowUpRight, Droplet, Info, Printer } from 'lucide-react';
+import StationCard from './StationCard';
+import StationHistory from './StationHistory';
+import RouteLink from './RouteLink';
+import { findThresholdCrossings } from './HistoryChart';
+import { getAlertStyle } from './alertStyles';
+import { ALERT_ORDER, getStationThresholds } from '../services/dataService';
+import { getThresholdInfo } from '../services/thresholds';
+import { getNeighbourStations, locateStation } from '../services/riverNetwork';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+/**
+ * Lowest and highest reading and the fastest rise between consecutive
+ * readings (m/hr), or null when there are no readings
+ */
+const summarizePoints = (points) => {
+  if (points.length === 0) return null;
+
+  let min = points[0];
+  let max = points[0];
+  let fastestRise = null;
+  points.forEach((point, i) => {
+    if (point.level < min.level) min = point;
+    if (point.level > max.level) max = point;
+    if (i === 0) return;
+    const hours = (point.time - points[i - 1].time) / (1000 * 60 * 60);
+    const rate = (point.level - points[i - 1].level) / hours;
+    if (hours > 0 && rate > 0 && (!fastestRise || rate > fastestRise.rate)) {
+      fastestRise = { rate, time: point.time };
+    }
+  });
+
+  return { min, max, fastestRise };
+};
+
+/**
+ * Most recent move between alert levels, including the step from the
+ * history to the current reading, as { time, from, to } with alert codes
+ */
+const findLastAlertChange = (points, station, thresholds) => {
+  const current = { time: new Date(station.lastMeasured), level: station.level };
+  const last = points[points.length - 1];
+  const series = !last || current.time > last.time ? [...points, current] : points;
+  const crossing = findThresholdCrossings(series, thresholds).pop();
+  return crossing ? { time: crossing.time, from: ALERT_ORDER[crossing.from], to: ALERT_ORDER[crossing.to] } : null;
+};
+
+const DetailRow = ({ label, children }) => (
+  <div className="flex justify-between gap-4 py-1.5 border-b border-gray-100 last:border-0">
+    <dt className="text-gray-600">{label}</dt>
+    <dd className="font-semibold text-gray-900 text-right">{children}</dd>
+  </div>
+);
+
+const NeighbourList = ({ title, icon: Icon, neighbours, stations }) => {
+  const { t, place, alertLabel, formatNumber } = useTranslation();
+
+  return (
+    <div>
+      <p className="text-xs text-gray-600 uppercase font-semibold mb-2 flex items-center gap-1">
+        <Icon className="w-4 h-4" />
+        {title}
+      </p>
+      {neighbours.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('station.none')}</p>
+      ) : (
+        <ul className="space-y-1 text-sm">
+          {neighbours.map(neighbour => {
+            const reading = stations.find(station => station.station === neighbour.name);
+            return (
+              <li key={neighbour.name} className="flex justify-between gap-2">
+                <RouteLink route={{ page: 'station', station: neighbour.name }} className="text-blue-700 font-semibold hover:underline">
+                  {place(neighbour.name)}
+                </RouteLink>
+                <span className="text-gray-700">
+                  {reading ? (
+                    <span className={`font-bold ${getAlertStyle(reading.alert).textColor}`}>
+                      {formatNumber(reading.level)}m, {alertLabel(reading.alert)}
+                    </span>
+                  ) : t('station.noReading')}
+                  {' • '}{t('station.travel', { hours: neighbour.travelHours })}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const StationPage = ({ stationName, station, stations, dataInfo, forecast, upstreamWarnings, watched, onToggleWatch, watchlistEntry, onTogglePin }) => {
+  const { t, place, alertLabel, sourceLabel, formatNumber, formatDateTime } = useTranslation();
+  const [history, setHistory] = useState(null);
+
+  const backLink = (
+    <RouteLink
+      route={{ page: 'dashboard' }}
+      className="inline-flex items-center gap-2 text-blue-700 font-bold hover:underline"
+    >
+      <ArrowLeft className="w-4 h-4" />
+      {t('station.back')}
+    </RouteLink>
+  );
+
+  if (!station) {
+    return (
+      <div>
+        {backLink}
+        <div className="text-center py-12">
+          <Droplet className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <p className="text-xl text-gray-600">{t('station.notFound', { station: place(stationName) })}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const thresholds = getStationThresholds(station.station);
+  const thresholdVersion = getThresholdInfo().version;
+  const location = locateStation(station.station);
+  const neighbours = getNeighbourStations(station.station);
+  const summary = history && summarizePoints(history.points);
+  const lastChange = history && findLastAlertChange(history.points, station, thresholds);
+  const rangeLabel = history && t(`history.range.${history.hours}`);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-5 print:hidden">
+        {backLink}
+        <button
+          onClick={() => window.print()}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-700 text-white rounded-lg font-bold hover:bg-blue-800 transition-colors"
+        >
+          <Printer className="w-4 h-4" />
+          {t('station.print')}
+        </button>
+      </div>
+      <p className="hidden print:block text-xs text-gray-600 mb-3">
+        {t('station.printedAt', { time: formatDateTime(new Date()) })}
+        {dataInfo && ` • ${t('provenance.showing', { source: sourceLabel(dataInfo.source) })}`}
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-5 mb-5">
+        <StationCard
+          station={station}
+          forecast={forecast}
+          upstreamWarnings={upstreamWarnings}
+          watched={watched}
+          onToggleWatch={onToggleWatch}
+          watchlistEntry={watchlistEntry}
+          onTogglePin={onTogglePin}
+          showHistoryButton={false}
+        />
+
+        <div className="bg-white p-5 rounded-lg shadow-md border border-gray-200">
+          <h3 className="text-lg font-bold text-gray-900 flex items-center gap-2 mb-2">
+            <Info className="w-5 h-5 text-blue-700" />
+            {t('station.details')}
+          </h3>
+          <dl className="text-sm">
+            <DetailRow label={t('station.river')}>{place(station.river)}</DetailRow>
+            <DetailRow label={t('station.network')}>
+              {location
+                ? t('station.networkPosition', {
+                    index: location.index + 1,
+                    count: location.river.stations.length,
+                    river: place(location.river.name)
+                  })
+                : t('station.notInNetwork')}
+            </DetailRow>
+            <DetailRow label={t('station.coordinates')}>
+              {station.coordinatesEstimated
+                ? t('station.coordinatesUnknown')
+                : `${formatNumber(station.coordinates.lat, 5)}, ${formatNumber(station.coordinates.lng, 5)}`}
+            </DetailRow>
+            {['alert', 'minor', 'major'].map(level => (
+              <DetailRow key={level} label={alertLabel(level)}>{formatNumber(thresholds[level])}m</DetailRow>
+            ))}
+            <DetailRow label={t('station.thresholdOrigin')}>
+              {thresholds.isDefault
+                ? t('station.thresholdsDefault', { version: thresholdVersion })
+                : t('station.thresholdsOfficial', { version: thresholdVersion })}
+              {thresholds.source && <span className="block font-normal">{t('card.thresholdSource', { source: thresholds.source })}</span>}
+              {thresholds.effectiveDate && <span className="block font-normal">{t('card.thresholdEffective', { date: thresholds.effectiveDate })}</span>}
+            </DetailRow>
+          </dl>
+        </div>
+      </div>
+
+      <StationHistory stationName={station.station} onLoad={setHistory} />
+      {summary && (
+        <div className="bg-white p-5 rounded-lg shadow-md border border-gray-200 mt-3">
+          <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <dt className="text-xs text-gray-600 uppercase font-semibold">{t('station.min', { range: rangeLabel })}</dt>
+              <dd className="font-bold text-gray-900">{formatNumber(summary.min.level)}m</dd>
+              <dd className="text-xs text-gray-600">{formatDateTime(summary.min.time)}</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-gray-600 uppercase font-semibold">{t('station.max', { range: rangeLabel })}</dt>
+              <dd className="font-bold text-gray-900">{formatNumber(summary.max.level)}m</dd>
+              <dd className="text-xs text-gray-600">{formatDateTime(summary.max.time)}</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-gray-600 uppercase font-semibold">{t('station.fastestRise', { range: rangeLabel })}</dt>
+              {summary.fastestRise ? (
+                <>
+                  <dd className="font-bold text-gray-900">{formatNumber(summary.fastestRise.rate, 3)} m/hr</dd>
+                  <dd className="text-xs text-gray-600">{formatDateTime(summary.fastestRise.time)}</dd>
+                </>
+              ) : (
+                <dd className="font-bold text-gray-500">{t('station.noRise')}</dd>
+              )}
+            </div>
+            <div>
+              <dt className="text-xs text-gray-600 uppercase font-semibold">{t('station.lastChange')}</dt>
+              {lastChange ? (
+                <>
+                  <dd className="font-bold text-gray-900">{alertLabel(lastChange.from)} → {alertLabel(lastChange.to)}</dd>
+                  <dd className="text-xs text-gray-600">{formatDateTime(lastChange.time)}</dd>
+                </>
+              ) : (
+                <dd className="font-bold text-gray-500">{t('station.noChange', { range: rangeLabel })}</dd>
+              )}
+            </div>
+          </dl>
+        </div>
+      )}
+
+      <div className="bg-white p-5 rounded-lg shadow-md border border-gray-200 mt-5">
+        <h3 className="text-lg font-bold text-gray-900 mb-3">
+          {neighbours.river ? t('station.neighbours', { river: place(neighbours.river.name) }) : t('station.neighboursNone')}
+        </h3>
+        {neighbours.river && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+            <NeighbourList title={t('station.upstream')} icon={ArrowUpRight} neighbours={neighbours.upstream} stations={stations} />
+            <NeighbourList title={t('station.downstream')} icon={ArrowDownRight} neighbours={neighbours.downstream} stations={stations} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StationPage;
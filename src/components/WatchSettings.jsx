@@ -0,0 +1,118 @@
+// src/components/WatchSettings.jsx
+// Panel for choosing watched stations/rivers and notification rules
+import React from 'react';
+import { Bell, BellOff, X } from 'lucide-react';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const WatchSettings = ({ stations, watch, onClose }) => {
+  const { t, place } = useTranslation();
+  const { preferences, updatePreferences, toggleStation, toggleRiver, permission, requestPermission } = watch;
+  const rivers = [...new Set(stations.map(station => station.river))].sort();
+  const stationNames = [...new Set(stations.map(station => station.station))].sort();
+
+  return (
+    <div className="bg-white text-gray-900 p-5 rounded-lg shadow-xl border border-gray-200">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-bold flex items-center gap-2">
+          <Bell className="w-5 h-5 text-blue-700" />
+          {t('watch.title')}
+        </h3>
+        <button onClick={onClose} className="p-1 hover:bg-gray-200 rounded" title={t('common.close')}>
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Permission */}
+      {permission === 'unsupported' && (
+        <p className="text-sm text-orange-700 mb-4">{t('watch.unsupported')}</p>
+      )}
+      {permission === 'denied' && (
+        <p className="text-sm text-orange-700 mb-4 flex items-center gap-1">
+          <BellOff className="w-4 h-4" />
+          {t('watch.blocked')}
+        </p>
+      )}
+      {permission === 'default' && (
+        <button
+          onClick={requestPermission}
+          className="mb-4 px-4 py-2 bg-blue-700 text-white rounded-lg font-bold hover:bg-blue-800 transition-colors"
+        >
+          {t('watch.enable')}
+        </button>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+        <div>
+          <p className="text-sm font-semibold text-gray-700 mb-2">{t('watch.rivers')}</p>
+          <div className="space-y-1 max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-2">
+            {rivers.map(river => (
+              <label key={river} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={preferences.rivers.includes(river)}
+                  onChange={() => toggleRiver(river)}
+                />
+                {place(river)}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div>
+          <p className="text-sm font-semibold text-gray-700 mb-2">{t('watch.stations')}</p>
+          <div className="space-y-1 max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-2">
+            {stationNames.map(name => (
+              <label key={name} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={preferences.stations.includes(name)}
+                  onChange={() => toggleStation(name)}
+                />
+                {place(name)}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 space-y-3 text-sm">
+        <p className="text-gray-700">
+          {t('watch.explain')}
+        </p>
+        <label className="flex items-center gap-2 flex-wrap">
+          {t('watch.rateLimit')}
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={preferences.rateThreshold ?? ''}
+            placeholder={t('watch.off')}
+            onChange={(e) => {
+              const rate = parseFloat(e.target.value);
+              updatePreferences({ rateThreshold: Number.isFinite(rate) ? rate : null });
+            }}
+            className="w-24 px-2 py-1 border border-gray-300 rounded"
+          />
+          m/hr
+        </label>
+        <label className="flex items-center gap-2 flex-wrap">
+          <input
+            type="checkbox"
+            checked={preferences.notifyStale}
+            onChange={(e) => updatePreferences({ notifyStale: e.target.checked })}
+          />
+          {t('watch.staleLimit')}
+          <input
+            type="number"
+            min="1"
+            value={preferences.staleHours}
+            onChange={(e) => updatePreferences({ staleHours: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className="w-16 px-2 py-1 border border-gray-300 rounded"
+          />
+          {t('watch.hours')}
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default WatchSettings;
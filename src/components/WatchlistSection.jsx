@@ -0,0 +1,159 @@
+// src/components/WatchlistSection.jsx
+// Pinned stations in the user's order, with personal warning levels and
+// JSON export/import so a team can share one setup
+import React, { useRef, useState } from 'react';
+import { Pin, PinOff, ArrowUp, ArrowDown, FileDown, Upload } from 'lucide-react';
+import StationCard from './StationCard';
+import { downloadText } from './download';
+import { getStationThresholds } from '../services/dataService';
+import { parseWatchlist, serializeWatchlist } from '../services/watchlist';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const iconButton = 'p-1 rounded text-gray-700 hover:bg-gray-200 disabled:opacity-30 disabled:hover:bg-transparent';
+
+/**
+ * Warning level field; the value is applied when the field loses focus
+ * or on Enter, so partly typed numbers are not saved
+ */
+const WarningLevelInput = ({ entry, onChange }) => {
+  const { t, alertLabel, formatNumber } = useTranslation();
+  const [value, setValue] = useState(entry.warningLevel === null ? '' : String(entry.warningLevel));
+  const official = getStationThresholds(entry.station);
+
+  const apply = () => {
+    const level = value.trim() === '' ? null : Number(value);
+    onChange(Number.isFinite(level) ? level : null);
+  };
+
+  return (
+    <label className="flex items-center gap-2 text-xs font-semibold text-gray-700">
+      {t('watchlist.warningLevel')}
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        value={value}
+        onChange={(event) => setValue(event.target.value)}
+        onBlur={apply}
+        onKeyDown={(event) => { if (event.key === 'Enter') apply(); }}
+        placeholder={t('watchlist.officialAlert', { label: alertLabel('alert'), level: formatNumber(official.alert) })}
+        className="w-40 px-2 py-1 border border-gray-300 rounded font-normal"
+      />
+    </label>
+  );
+};
+
+const WatchlistSection = ({ stations, watchlist, forecasts, upstreamWarnings, watch }) => {
+  const { t, place } = useTranslation();
+  const fileInput = useRef(null);
+  const [message, setMessage] = useState(null);
+  const { entries } = watchlist;
+
+  const importFile = async (file) => {
+    try {
+      const { watchlist: imported, errors } = parseWatchlist(JSON.parse(await file.text()));
+      errors.forEach(error => console.warn(`${file.name}: ${error}`));
+      if (entries.length > 0 && !window.confirm(t('watchlist.confirmImport', { current: entries.length, count: imported.length }))) return;
+      watchlist.replace(imported);
+      setMessage(t('watchlist.imported', { count: imported.length, skipped: errors.length }));
+    } catch (error) {
+      console.error('Error importing watchlist:', error);
+      setMessage(t('watchlist.importError'));
+    }
+  };
+
+  return (
+    <div className="mb-8">
+      <div className="flex items-center justify-between flex-wrap gap-3 mb-5 bg-blue-100 p-4 rounded-lg border-l-4 border-blue-700">
+        <h2 className="text-2xl font-bold text-gray-900 flex items-center gap-3">
+          <Pin className="w-7 h-7 text-blue-700" />
+          {t('watchlist.title')}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => downloadText(serializeWatchlist(entries), 'flood-watchlist.json', 'application/json')}
+            disabled={entries.length === 0}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-bold bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50"
+            title={t('watchlist.exportTitle')}
+          >
+            <FileDown className="w-4 h-4" />
+            {t('watchlist.export')}
+          </button>
+          <button
+            onClick={() => fileInput.current.click()}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-bold bg-gray-200 text-gray-800 hover:bg-gray-300"
+            title={t('watchlist.importTitle')}
+          >
+            <Upload className="w-4 h-4" />
+            {t('watchlist.import')}
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(event) => {
+              if (event.target.files[0]) importFile(event.target.files[0]);
+              event.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+
+      {message && <p className="-mt-3 mb-4 text-sm font-semibold text-gray-700">{message}</p>}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-700">{t('watchlist.empty')}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+          {entries.map((entry, index) => {
+            const station = stations.find(item => item.station === entry.station);
+            return (
+              <div key={entry.station}>
+                <div className="flex items-center justify-between flex-wrap gap-2 mb-2">
+                  <div className="flex items-center gap-1">
+                    <button onClick={() => watchlist.move(entry.station, -1)} disabled={index === 0} className={iconButton} title={t('watchlist.moveUp')}>
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => watchlist.move(entry.station, 1)} disabled={index === entries.length - 1} className={iconButton} title={t('watchlist.moveDown')}>
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <WarningLevelInput
+                    key={`${entry.station}:${entry.warningLevel}`}
+                    entry={entry}
+                    onChange={(level) => watchlist.setWarningLevel(entry.station, level)}
+                  />
+                </div>
+                {station ? (
+                  <StationCard
+                    station={station}
+                    forecast={forecasts[station.station]}
+                    upstreamWarnings={upstreamWarnings[station.station]}
+                    watched={watch.preferences.stations.includes(station.station)}
+                    onToggleWatch={() => watch.toggleStation(station.station)}
+                    watchlistEntry={entry}
+                    onTogglePin={() => watchlist.togglePin(station.station)}
+                  />
+                ) : (
+                  <div className="bg-white p-5 rounded-lg shadow-md border border-gray-200 flex items-center justify-between gap-3">
+                    <p className="text-sm text-gray-700">{t('watchlist.noReading', { station: place(entry.station) })}</p>
+                    <button
+                      onClick={() => watchlist.togglePin(entry.station)}
+                      className="flex items-center gap-1 text-xs text-blue-700 hover:text-blue-900 hover:underline font-semibold"
+                    >
+                      <PinOff className="w-4 h-4" />
+                      {t('card.unpin')}
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistSection;
@@ -0,0 +1,24 @@
+// src/components/alertStyles.js
+// Shared colour scheme for alert levels, keyed by alert level code
+
+export const alertLevels = {
+  major: { color: 'bg-red-600', textColor: 'text-red-900', bgLight: 'bg-red-100', borderColor: 'border-red-600', severity: 4 },
+  minor: { color: 'bg-orange-600', textColor: 'text-orange-900', bgLight: 'bg-orange-100', borderColor: 'border-orange-600', severity: 3 },
+  alert: { color: 'bg-yellow-600', textColor: 'text-yellow-900', bgLight: 'bg-yellow-100', borderColor: 'border-yellow-600', severity: 2 },
+  normal: { color: 'bg-green-600', textColor: 'text-green-900', bgLight: 'bg-green-100', borderColor: 'border-green-600', severity: 1 }
+};
+
+/**
+ * Get the style for an alert level, defaulting to Normal
+ */
+export const getAlertStyle = (alert) => alertLevels[alert] || alertLevels.normal;
+
+/**
+ * Text colour for a 0-100 risk score
+ */
+export const getRiskColor = (risk) => {
+  if (risk >= 75) return 'text-red-600';
+  if (risk >= 50) return 'text-orange-600';
+  if (risk >= 25) return 'text-yellow-600';
+  return 'text-green-600';
+};
@@ -0,0 +1,14 @@
+// src/components/download.js
+// Browser file downloads for generated text
+
+/**
+ * Save text as a file through a temporary object URL
+ */
+export const downloadText = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,50 @@
+// src/components/mapProjection.js
+// Projection from latitude/longitude to SVG coordinates for the station map.
+//
+// Equirectangular with the longitude scaled by cos(latitude) at the island's
+// centre. Over Sri Lanka's extent the distortion is well under 1%, and the
+// same projection is used for the outline, rivers and stations so they line up.
+
+export const MAP_BOUNDS = { minLng: 79.5, maxLng: 82.1, minLat: 5.7, maxLat: 10.0 };
+
+// SVG units per degree of latitude
+const UNITS_PER_DEGREE = 200;
+const REFERENCE_LAT = (MAP_BOUNDS.minLat + MAP_BOUNDS.maxLat) / 2;
+const LNG_SCALE = Math.cos((REFERENCE_LAT * Math.PI) / 180);
+
+export const MAP_WIDTH = (MAP_BOUNDS.maxLng - MAP_BOUNDS.minLng) * LNG_SCALE * UNITS_PER_DEGREE;
+export const MAP_HEIGHT = (MAP_BOUNDS.maxLat - MAP_BOUNDS.minLat) * UNITS_PER_DEGREE;
+
+/**
+ * Project { lat, lng } to { x, y } in map units
+ */
+export const project = ({ lat, lng }) => ({
+  x: (lng - MAP_BOUNDS.minLng) * LNG_SCALE * UNITS_PER_DEGREE,
+  y: (MAP_BOUNDS.maxLat - lat) * UNITS_PER_DEGREE
+});
+
+const ringToPath = (ring, close) => {
+  const d = ring.map(([lng, lat], idx) => {
+    const { x, y } = project({ lat, lng });
+    return `${idx === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join('');
+  return close ? `${d}Z` : d;
+};
+
+/**
+ * SVG path data for a GeoJSON geometry (Polygon, LineString and their Multi forms)
+ */
+export const geometryToPath = (geometry) => {
+  switch (geometry.type) {
+    case 'Polygon':
+      return geometry.coordinates.map(ring => ringToPath(ring, true)).join('');
+    case 'MultiPolygon':
+      return geometry.coordinates.map(polygon => polygon.map(ring => ringToPath(ring, true)).join('')).join('');
+    case 'LineString':
+      return ringToPath(geometry.coordinates, false);
+    case 'MultiLineString':
+      return geometry.coordinates.map(line => ringToPath(line, false)).join('');
+    default:
+      return '';
+  }
+};
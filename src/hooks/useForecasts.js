@@ -0,0 +1,48 @@
+// src/hooks/useForecasts.js
+import { useState, useEffect, useMemo } from 'react';
+import { fetchStationHistories } from '../services/dataService';
+import { forecastStation } from '../services/forecast';
+
+// Stations whose rate-only projection reaches Major Flood within this many
+// hours get their forecast refined with recent history
+const REFINE_WITHIN_HOURS = 24;
+
+// Cap how many stations are refined so the forecast list stays focused on the most urgent
+const MAX_REFINED_STATIONS = 5;
+
+const HISTORY_HOURS = 12;
+
+/**
+ * Forecasts for every station, keyed by station name
+ */
+export const useForecasts = (stations) => {
+  const [histories, setHistories] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const candidates = stations
+      .map(station => ({ station, forecast: forecastStation(station) }))
+      .filter(({ forecast }) => forecast.hoursToMajor !== null && forecast.hoursToMajor <= REFINE_WITHIN_HOURS)
+      .sort((a, b) => a.forecast.hoursToMajor - b.forecast.hoursToMajor)
+      .slice(0, MAX_REFINED_STATIONS);
+
+    const loadHistories = async () => {
+      if (candidates.length === 0) return;
+      // One call shares the snapshot downloads between all the stations
+      const loaded = await fetchStationHistories(candidates.map(({ station }) => station.station), HISTORY_HOURS);
+      if (!cancelled) setHistories(prev => ({ ...prev, ...loaded }));
+    };
+    loadHistories();
+
+    return () => { cancelled = true; };
+  }, [stations]);
+
+  return useMemo(() => {
+    const forecasts = {};
+    stations.forEach(station => {
+      forecasts[station.station] = forecastStation(station, histories[station.station] || []);
+    });
+    return forecasts;
+  }, [stations, histories]);
+};
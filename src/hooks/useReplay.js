@@ -0,0 +1,79 @@
+// src/hooks/useReplay.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { loadReplayFrames, FRAME_INTERVAL_MS } from '../services/replay';
+
+const IDLE = { status: 'idle', frames: [], progress: null };
+
+/**
+ * Replay state: loading frames for a range, the frame being shown and playback.
+ * status is 'idle', 'loading', 'ready', 'empty' (nothing in the range) or 'error'.
+ */
+export const useReplay = () => {
+  const [state, setState] = useState(IDLE);
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  // Bumped on every load and on stop so an earlier load can tell it was superseded
+  const loadId = useRef(0);
+
+  const load = useCallback(async (range) => {
+    const id = ++loadId.current;
+    const isCancelled = () => loadId.current !== id;
+    setPlaying(false);
+    setIndex(0);
+    setState({ status: 'loading', frames: [], progress: { loaded: 0, total: 0 } });
+
+    try {
+      const frames = await loadReplayFrames(range, {
+        isCancelled,
+        onProgress: (progress) => {
+          if (!isCancelled()) setState(prev => ({ ...prev, progress }));
+        }
+      });
+      if (isCancelled()) return;
+      setState({ status: frames.length > 0 ? 'ready' : 'empty', frames, progress: null });
+    } catch (error) {
+      console.error('Error loading replay snapshots:', error);
+      if (!isCancelled()) setState({ status: 'error', frames: [], progress: null });
+    }
+  }, []);
+
+  const stop = useCallback(() => {
+    loadId.current += 1;
+    setPlaying(false);
+    setIndex(0);
+    setState(IDLE);
+  }, []);
+
+  const lastIndex = state.frames.length - 1;
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (index >= lastIndex) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setIndex(index + 1), FRAME_INTERVAL_MS / speed);
+    return () => clearTimeout(timer);
+  }, [playing, index, lastIndex, speed]);
+
+  const play = () => {
+    // Playing from the end starts over
+    if (index >= lastIndex) setIndex(0);
+    setPlaying(true);
+  };
+
+  return {
+    ...state,
+    index,
+    frame: state.status === 'ready' ? state.frames[index] : null,
+    playing,
+    speed,
+    load,
+    stop,
+    play,
+    pause: () => setPlaying(false),
+    seek: (value) => setIndex(Math.max(0, Math.min(lastIndex, value))),
+    setSpeed
+  };
+};
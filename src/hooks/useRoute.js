@@ -0,0 +1,18 @@
+// src/hooks/useRoute.js
+import { useState, useEffect } from 'react';
+import { parseLocation } from '../services/routing';
+
+/**
+ * The current route, updated on back/forward and on navigate()
+ */
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseLocation(window.location));
+
+  useEffect(() => {
+    const handlePopState = () => setRoute(parseLocation(window.location));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return route;
+};
@@ -0,0 +1,52 @@
+// src/hooks/useWatchNotifications.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  loadWatchPreferences,
+  saveWatchPreferences,
+  loadWatchState,
+  saveWatchState,
+  detectWatchEvents,
+  showNotification
+} from '../services/watchNotifications';
+import { useTranslation } from '../i18n/LanguageProvider';
+
+const getPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+/**
+ * Watch preferences plus notifications whenever new data arrives
+ */
+export const useWatchNotifications = (stations, dataInfo) => {
+  const [preferences, setPreferences] = useState(loadWatchPreferences);
+  const [permission, setPermission] = useState(getPermission);
+  // Kept in a ref so changing language does not re-run detection
+  const translator = useRef(null);
+  translator.current = useTranslation();
+
+  useEffect(() => {
+    saveWatchPreferences(preferences);
+  }, [preferences]);
+
+  const updatePreferences = useCallback((changes) => {
+    setPreferences(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const toggleStation = (name) => updatePreferences({ stations: toggle(preferences.stations, name) });
+  const toggleRiver = (river) => updatePreferences({ rivers: toggle(preferences.rivers, river) });
+
+  const requestPermission = async () => {
+    if (permission === 'unsupported') return;
+    setPermission(await Notification.requestPermission());
+  };
+
+  useEffect(() => {
+    if (!dataInfo || stations.length === 0) return;
+
+    const { events, state } = detectWatchEvents(stations, dataInfo, preferences, loadWatchState(), translator.current);
+    saveWatchState(state);
+    events.forEach(showNotification);
+  }, [stations, dataInfo, preferences]);
+
+  return { preferences, updatePreferences, toggleStation, toggleRiver, permission, requestPermission };
+};
@@ -0,0 +1,31 @@
+// src/hooks/useWatchlist.js
+import { useState, useCallback, useEffect } from 'react';
+import {
+  loadWatchlist,
+  saveWatchlist,
+  togglePinned,
+  moveEntry,
+  setWarningLevel
+} from '../services/watchlist';
+
+/**
+ * The personal watchlist, saved to localStorage whenever it changes
+ */
+export const useWatchlist = () => {
+  const [entries, setEntries] = useState(loadWatchlist);
+
+  useEffect(() => {
+    saveWatchlist(entries);
+  }, [entries]);
+
+  const update = useCallback((change) => setEntries(change), []);
+
+  return {
+    entries,
+    getEntry: (stationName) => entries.find(entry => entry.station === stationName) || null,
+    togglePin: (stationName) => update(list => togglePinned(list, stationName)),
+    move: (stationName, offset) => update(list => moveEntry(list, stationName, offset)),
+    setWarningLevel: (stationName, level) => update(list => setWarningLevel(list, stationName, level)),
+    replace: (watchlist) => update(() => watchlist)
+  };
+};
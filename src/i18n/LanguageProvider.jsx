@@ -0,0 +1,30 @@
+// src/i18n/LanguageProvider.jsx
+// Makes the chosen language's translator available to every component
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createTranslator, loadLanguage, saveLanguage } from './index';
+
+const LanguageContext = createContext({ ...createTranslator(), setLanguage: () => {} });
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(loadLanguage);
+
+  const value = useMemo(() => ({
+    ...createTranslator(language),
+    setLanguage: (code) => {
+      saveLanguage(code);
+      setLanguageState(code);
+    }
+  }), [language]);
+
+  // Lets the browser pick suitable fonts and screen readers the right voice
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+};
+
+/**
+ * Translation helpers for the current language (see createTranslator)
+ */
+export const useTranslation = () => useContext(LanguageContext);
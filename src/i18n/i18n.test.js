@@ -0,0 +1,42 @@
+// src/i18n/i18n.test.js
+import en from './messages/en';
+import si from './messages/si';
+import ta from './messages/ta';
+import { PLACE_NAMES } from './places';
+import { createTranslator } from './index';
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+describe.each([['si', si], ['ta', ta]])('%s messages', (code, messages) => {
+  it('have exactly the English keys', () => {
+    expect(Object.keys(messages).sort()).toEqual(Object.keys(en).sort());
+  });
+
+  it('use the same placeholders as English', () => {
+    Object.keys(en).forEach(key => {
+      if (messages[key] !== undefined) expect([key, placeholders(messages[key])]).toEqual([key, placeholders(en[key])]);
+    });
+  });
+});
+
+describe('PLACE_NAMES', () => {
+  it('has a Sinhala and Tamil name for every place', () => {
+    Object.entries(PLACE_NAMES).forEach(([name, names]) => {
+      expect([name, Boolean(names.si && names.ta)]).toEqual([name, true]);
+    });
+  });
+});
+
+describe('createTranslator', () => {
+  it('fills placeholders and translates alert codes and places', () => {
+    const { t, alertLabel, place } = createTranslator('si');
+    expect(t('watchlist.imported', { count: 2, skipped: 1 })).toBe(si['watchlist.imported'].replace('{count}', '2').replace('{skipped}', '1'));
+    expect(alertLabel('major')).toBe(si['alert.major']);
+    expect(place('Hanwella')).toBe(PLACE_NAMES.Hanwella.si);
+    expect(place('Unlisted gauge')).toBe('Unlisted gauge');
+  });
+
+  it('falls back to English for an unknown language', () => {
+    expect(createTranslator('fr').language).toBe('en');
+  });
+});
@@ -0,0 +1,107 @@
+// src/i18n/index.js
+// Translation layer: interface text, station/river names and number/date
+// formatting for English, Sinhala and Tamil
+import en from './messages/en.js';
+import si from './messages/si.js';
+import ta from './messages/ta.js';
+import { PLACE_NAMES } from './places.js';
+import { getSourceLabel } from '../services/dataService.js';
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English', locale: 'en-GB' },
+  { code: 'si', label: 'සිංහල', locale: 'si-LK' },
+  { code: 'ta', label: 'தமிழ்', locale: 'ta-LK' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = { en, si, ta };
+const LANGUAGE_KEY = 'lk-flood-monitor:language';
+
+const isSupported = (code) => LANGUAGES.some(language => language.code === code);
+
+/**
+ * The saved language, else the browser's preferred one if supported, else English
+ */
+export const loadLanguage = () => {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (isSupported(saved)) return saved;
+  } catch (error) {
+    console.error('Error reading language preference:', error);
+  }
+  const browser = typeof navigator !== 'undefined' && navigator.language ? navigator.language.slice(0, 2) : null;
+  return isSupported(browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (code) => {
+  try {
+    localStorage.setItem(LANGUAGE_KEY, code);
+  } catch (error) {
+    console.error('Error saving language preference:', error);
+  }
+};
+
+/**
+ * Fill {name} placeholders from params
+ */
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined ? match : String(params[name])
+));
+
+/**
+ * Build the translation helpers for a language:
+ * t(key, params), place(name), alertLabel(code), sourceLabel(id), formatNumber(value, digits),
+ * formatDateTime(value), formatTime(value), formatDuration(hours), formatAge(value)
+ */
+export const createTranslator = (code = DEFAULT_LANGUAGE) => {
+  const language = isSupported(code) ? code : DEFAULT_LANGUAGE;
+  const { locale } = LANGUAGES.find(entry => entry.code === language);
+  const messages = MESSAGES[language];
+  const numberFormats = new Map();
+
+  const t = (key, params = {}) => {
+    const text = messages[key] ?? en[key];
+    if (text === undefined) {
+      console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+    return interpolate(text, params);
+  };
+
+  const formatNumber = (value, digits = 2) => {
+    if (!numberFormats.has(digits)) {
+      numberFormats.set(digits, new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    }
+    return numberFormats.get(digits).format(value);
+  };
+
+  const formatDuration = (hours) => {
+    const minutes = Math.max(0, Math.round(hours * 60));
+    if (minutes < 60) return t('duration.minutes', { minutes });
+    return t('duration.hoursMinutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 });
+  };
+
+  const formatAge = (value) => {
+    const minutes = Math.max(0, Math.round((new Date() - new Date(value)) / 60000));
+    if (minutes < 60) return t('age.minutes', { minutes });
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return t('age.hoursMinutes', { hours, minutes: minutes % 60 });
+    return t('age.days', { days: Math.floor(hours / 24) });
+  };
+
+  return {
+    language,
+    locale,
+    t,
+    place: (name) => PLACE_NAMES[name]?.[language] || name,
+    alertLabel: (alert) => t(`alert.${alert}`),
+    // Sources added without a translation keep their adapter label
+    sourceLabel: (sourceId) => (en[`source.${sourceId}`] ? t(`source.${sourceId}`) : getSourceLabel(sourceId)),
+    formatNumber,
+    formatDateTime: (value) => new Date(value).toLocaleString(locale, { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }),
+    formatTime: (value) => new Date(value).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }),
+    formatDuration,
+    formatAge
+  };
+};
@@ -0,0 +1,363 @@
+// src/i18n/messages/en.js
+// English interface text. Other languages fall back to these entries,
+// so every key must exist here. Placeholders are written {name}.
+const en = {
+  'language.label': 'Language',
+  'common.close': 'Close',
+
+  'alert.normal': 'Normal',
+  'alert.alert': 'Alert',
+  'alert.minor': 'Minor Flood',
+  'alert.major': 'Major Flood',
+
+  'duration.minutes': '{minutes} min',
+  'duration.hoursMinutes': '{hours} h {minutes} min',
+  'age.minutes': '{minutes} min ago',
+  'age.hoursMinutes': '{hours} h {minutes} min ago',
+  'age.days': '{days} days ago',
+
+  'app.title': 'Sri Lanka Flood Monitoring',
+  'app.subtitle': 'Real-time river water levels and flood alerts',
+  'app.loading': 'Loading river data...',
+  'app.loadingDetail': 'Fetching latest water levels',
+  'app.loadError': 'Failed to load river data.',
+  'app.overallRisk': 'Overall Risk',
+  'app.riskBreakdown': 'Show how the risk score is made up',
+  'app.replay': 'Replay past readings',
+  'app.lastUpdated': 'Last Updated',
+  'app.refresh': 'Refresh data',
+  'app.watchSettings': 'Watch stations and notifications',
+  'app.capFeed': 'CAP alert feed',
+  'app.situationReport': 'Situation report',
+  'app.imminentMajor': 'Projected to reach Major Flood within {hours} hours:',
+  'app.filterStations': 'Filter Stations:',
+  'app.view.cards': 'Card View',
+  'app.view.map': 'Map View',
+  'app.view.river': 'River Profile',
+  'app.view.near': 'Near Me',
+  'app.filter.all': 'All Stations ({count})',
+  'app.filter.critical': 'Critical Stations ({count})',
+  'app.filter.risk': 'Risk Zones ({count})',
+
+  'app.section.critical': 'Critical Gauging Stations',
+  'app.section.risk': 'Other Risk Zones',
+  'app.section.all': 'All Monitoring Stations',
+  'app.section.river': '{river} Stations',
+  'app.qualityExcluded': '{count} reading(s) with data-quality problems are left out of the totals and count less in the overall risk',
+  'app.noStations': 'No stations found for this filter',
+  'app.viewAll': 'View All Stations',
+
+  'filters.search': 'Search stations',
+  'filters.searchPlaceholder': 'Search by station or river name',
+  'filters.sort': 'Sort by',
+  'filters.sort.default': 'Feed order',
+  'filters.sort.severity': 'Alert severity',
+  'filters.sort.margin': 'Closest to Major Flood',
+  'filters.sort.rate': 'Fastest rising',
+  'filters.sort.freshness': 'Most recent reading',
+  'filters.clear': 'Clear filters',
+  'filters.alerts': 'Alert level:',
+  'filters.river': 'River / basin:',
+  'filters.allRivers': 'All rivers',
+
+  'footer.dataSource': 'Data Source:',
+  'footer.irrigation': 'Sri Lanka Irrigation Department',
+  'footer.via': 'via',
+  'footer.updates': 'Updates every 3 minutes',
+  'footer.emergency': 'Emergency contacts:',
+  'footer.dmc': 'Disaster Management Centre',
+  'footer.builtWith': 'Built with React • Deployed on GitHub Pages & Vercel',
+  'footer.monitoring': 'Monitoring {count} stations across Sri Lanka',
+  'footer.thresholds': 'Thresholds version {version} • {count} stations using default thresholds',
+  'footer.thresholdErrors': '{count} threshold file problem(s), see console',
+
+  'card.critical': 'CRITICAL',
+  'card.majorSoon': 'MAJOR FLOOD <{hours}H',
+  'card.waterLevel': 'Water Level',
+  'card.rateOfChange': 'Rate of Change',
+  'card.notReported': 'Not reported',
+  'card.rainfall': 'Catchment rain (24h): {mm} mm',
+  'card.rainfallGauges': 'Average of {count} rain gauge(s) in the catchment',
+  'card.heavyRain': 'Heavy rain',
+  'card.upstream': 'Upstream: {station} {state} ({alert}), reaches here in ~{hours} h',
+  'card.upstreamRising': 'rising',
+  'card.upstreamElevated': 'elevated',
+  'card.thresholds': 'Thresholds:',
+  'card.thresholdsDefault': 'default (no official levels for this gauge)',
+  'card.thresholdsOfficial': 'official',
+  'card.thresholdSource': 'Source: {source}',
+  'card.thresholdEffective': 'Effective: {date}',
+  'card.watch': 'Watch',
+  'card.unwatch': 'Unwatch',
+  'card.watchTitle': 'Notify me when this station escalates',
+  'card.unwatchTitle': 'Stop notifications for this station',
+  'card.pin': 'Pin',
+  'card.unpin': 'Unpin',
+  'card.pinTitle': 'Add this station to your watchlist',
+  'card.unpinTitle': 'Remove this station from your watchlist',
+  'card.aboveWarningLevel': 'Above your level ({level}m)',
+  'card.history': 'History',
+  'card.viewMap': 'View Map',
+
+  'station.back': 'Back to all stations',
+  'station.notFound': 'No current reading for {station}. It may have been renamed or is not reporting.',
+  'station.print': 'Print summary',
+  'station.printedAt': 'Printed {time}',
+  'station.details': 'Station details',
+  'station.river': 'River / basin',
+  'station.network': 'River network',
+  'station.networkPosition': 'Gauge {index} of {count} on the {river}, counted from the source',
+  'station.notInNetwork': 'Not part of the mapped river network',
+  'station.coordinates': 'Coordinates',
+  'station.coordinatesUnknown': 'Unknown (shown at the map centre)',
+  'station.thresholdOrigin': 'Threshold origin',
+  'station.thresholdsDefault': 'Default levels, thresholds version {version}',
+  'station.thresholdsOfficial': 'Official levels, thresholds version {version}',
+  'station.min': 'Lowest ({range})',
+  'station.max': 'Highest ({range})',
+  'station.fastestRise': 'Fastest rise ({range})',
+  'station.noRise': 'No rise',
+  'station.lastChange': 'Last alert change',
+  'station.noChange': 'No change in {range}',
+  'station.neighbours': 'Gauges on the {river}',
+  'station.neighboursNone': 'No upstream or downstream gauges are mapped for this station',
+  'station.upstream': 'Upstream',
+  'station.downstream': 'Downstream',
+  'station.none': 'None',
+  'station.noReading': 'no current reading',
+  'station.travel': '~{hours} h',
+
+  'quality.stale': 'Stale',
+  'quality.staleDetail': 'No new reading for over {hours} hours',
+  'quality.spike': 'Sudden jump',
+  'quality.spikeDetail': 'Changed too fast since the previous reading to be plausible',
+  'quality.outOfRange': 'Implausible value',
+  'quality.outOfRangeDetail': 'Level or rate of change is outside the plausible range',
+  'quality.duplicate': 'Duplicate',
+  'quality.duplicateDetail': 'This station appears more than once in the feed; its newest reading is used',
+  'quality.missingCoordinates': 'No location',
+  'quality.missingCoordinatesDetail': 'The feed gives no coordinates for this gauge',
+  'quality.excluded': 'Not counted in the risk score or totals',
+  'quality.downWeighted': 'Counts less in the risk score',
+
+  'forecast.label': 'Forecast:',
+  'forecast.insufficient': 'insufficient data',
+  'forecast.steady': 'Level steady — no threshold change expected',
+  'forecast.aboveAll': 'Rising above all thresholds',
+  'forecast.belowAlert': 'Falling, already below Alert',
+  'forecast.reaches': 'Reaches {level} ({threshold}m)',
+  'forecast.dropsBelow': 'Drops below {level} ({threshold}m)',
+  'forecast.notWithin': '{action} — not within {hours} h',
+  'forecast.eta': '{action} in ~{duration} (≈{time})',
+  'forecast.majorIn': '{text}; Major Flood in ~{duration}',
+  'forecast.confidence.high': 'high confidence',
+  'forecast.confidence.medium': 'medium confidence',
+  'forecast.confidence.low': 'low confidence',
+  'forecast.basedOn': 'Based on {basis}',
+
+  'history.title': 'Water Level History',
+  'history.range.24': '24h',
+  'history.range.72': '3 days',
+  'history.range.168': '7 days',
+  'history.loading': 'Loading history...',
+  'history.empty': 'No history available for this period',
+  'history.peak': 'Peak',
+  'history.belowPeak': 'Now below peak by',
+  'history.latestIsPeak': 'Latest reading is the highest in this period',
+  'history.crossings': 'Threshold crossings',
+  'history.offlineCopy': 'Offline copy saved {time}',
+
+  'chart.aria': 'Water level history',
+  'chart.rose': 'Rose through threshold at {time} ({level}m)',
+  'chart.fell': 'Fell through threshold at {time} ({level}m)',
+
+  'source.lk_irrigation': 'Irrigation Department (lk_irrigation)',
+  'source.lk_dmc_vis': 'Disaster Management Centre (lk_dmc_vis)',
+  'source.sample': 'Built-in sample data',
+
+  'provenance.offlineTitle': 'Offline — showing the last data received {age}',
+  'provenance.offlineFetched': 'Fetched {time} from {source}.',
+  'provenance.offlineSourceUpdated': 'The source was last updated {time} ({age}).',
+  'provenance.mayHaveChanged': 'Levels may have changed since.',
+  'provenance.sampleTitle': 'SAMPLE DATA — these are NOT live readings',
+  'provenance.sampleDetail': 'No live source could be reached, so the dashboard is showing built-in demonstration values. Do not act on the levels or alerts below.',
+  'provenance.backupTitle': 'Showing backup source: {source}',
+  'provenance.backupDetail': 'The primary feed is unavailable.',
+  'provenance.backupUpdated': 'Backup data last updated {time}.',
+  'provenance.showing': 'Showing: {source}',
+  'provenance.offlineCopy': '(offline copy)',
+  'provenance.sourceUpdated': 'Source updated {time}',
+  'provenance.fetched': 'Fetched {time}',
+  'provenance.rejected': '{count} record(s) rejected by validation',
+  'watermark.backup': 'Backup Source',
+  'watermark.offline': 'Offline Copy',
+  'watermark.sample': 'Sample Data',
+
+  'mapView.title': 'Interactive Map - {count} Stations',
+  'mapView.help': 'Click markers to view station details • Scroll or use the buttons to zoom, drag to pan',
+  'mapView.details': 'Station Details',
+  'mapView.showOnMap': 'Show on Map',
+  'mapView.history': 'History',
+  'mapView.hideHistory': 'Hide History',
+
+  'nearby.title': 'Stations Near You',
+  'nearby.help': 'Use your location or type a town or postcode. Your location stays in this browser.',
+  'nearby.useLocation': 'Use my location',
+  'nearby.town': 'Town or postcode',
+  'nearby.townPlaceholder': 'e.g. Kaduwela or 10640',
+  'nearby.search': 'Find town',
+  'nearby.radius': 'Within',
+  'nearby.radiusKm': '{km} km',
+  'nearby.locating': 'Finding your location…',
+  'nearby.denied': 'Location access was refused. Type a town or postcode instead.',
+  'nearby.unavailable': 'Your location could not be found. Type a town or postcode instead.',
+  'nearby.unknownTown': 'Town or postcode not found. Try the nearest large town.',
+  'nearby.prompt': 'Choose a location to see the nearest stations.',
+  'nearby.fromTown': '{count} station(s) within {km} km of {town}, nearest first',
+  'nearby.fromLocation': '{count} station(s) within {km} km of your location, nearest first',
+  'nearby.noneInRadius': 'No stations within {km} km. The nearest is {distance} km away:',
+  'nearby.rising': 'Rising {rate} m/hr',
+  'nearby.falling': 'Falling {rate} m/hr',
+
+  'watchlist.title': 'Your Watchlist',
+  'watchlist.empty': 'Pin stations to keep them here, in your own order. A watchlist file from your team can be imported.',
+  'watchlist.export': 'Export',
+  'watchlist.exportTitle': 'Download the watchlist as a JSON file to share',
+  'watchlist.import': 'Import',
+  'watchlist.importTitle': 'Replace the watchlist with one from a JSON file',
+  'watchlist.imported': 'Imported {count} station(s); {skipped} entry(ies) skipped',
+  'watchlist.confirmImport': 'Replace your {current} pinned station(s) with the {count} in this file?',
+  'watchlist.importError': 'That file is not a watchlist',
+  'watchlist.moveUp': 'Move up',
+  'watchlist.moveDown': 'Move down',
+  'watchlist.warningLevel': 'Your warning level (m)',
+  'watchlist.officialAlert': '{label} is {level}m',
+  'watchlist.noReading': 'No current reading for {station}',
+
+  'report.title': 'Flood Situation Report',
+  'report.print': 'Print / Save as PDF',
+  'report.printHelp': 'Printing records these alert levels, so the next report lists the stations that escalated since.',
+  'report.notRecorded': 'These are not live readings, so printing this report does not record its alert levels for the next one.',
+  'report.generatedAt': 'Generated {time}',
+  'report.dataSource': 'Data: {source}, fetched {time}.',
+  'report.sourceUpdated': 'Source last updated {time}.',
+  'report.offlineWarning': 'Offline copy: these readings may be out of date.',
+  'report.overview': 'Overview',
+  'report.highestBasins': 'Highest risk basins: {basins}',
+  'report.atRisk': 'Stations at Alert or above ({count})',
+  'report.noneAtRisk': 'No station is at Alert or above.',
+  'report.station': 'Station',
+  'report.alert': 'Alert level',
+  'report.level': 'Level',
+  'report.margin': 'Major Flood margin',
+  'report.belowMajor': '{margin} m below',
+  'report.aboveMajor': '{margin} m above',
+  'report.trend': 'Trend',
+  'report.measured': 'Measured',
+  'report.escalated': 'Newly escalated',
+  'report.since': 'Since the report printed {time}',
+  'report.noPrevious': 'No earlier report was printed from this browser.',
+  'report.noneEscalated': 'No station has escalated.',
+  'report.escalatedEntry': '{station} ({river}): {from} to {to}',
+  'report.contacts': 'Emergency contacts',
+  'report.emergencyServices': 'Emergency Services',
+
+  'map.aria': 'Map of monitoring stations in Sri Lanka',
+  'map.rising': 'Rising',
+  'map.falling': 'Falling',
+  'map.measured': 'Measured {time}',
+  'map.locationUnknown': 'location unknown, shown at map centre',
+  'map.zoomIn': 'Zoom in',
+  'map.zoomOut': 'Zoom out',
+  'map.resetView': 'Reset view',
+  'map.majorRivers': 'Major rivers',
+  'map.rainLayer': 'Rainfall (24h)',
+  'map.showRain': 'Show rainfall',
+  'map.hideRain': 'Hide rainfall',
+  'map.rainGauge': '{gauge}: {mm} mm in 24 hours',
+
+  'profile.title': 'River Profile - {river}',
+  'profile.help': 'Gauges from source to mouth. Levels are shown as a share of each gauge\'s Major Flood level; travel times are approximate.',
+  'profile.risingUpstream': 'Rising upstream of {station}',
+  'profile.warningLevel': '{station} at {level}m',
+  'profile.warningRate': 'rising {rate} m/hr',
+  'profile.warningReaches': 'reaches {station} in ~{hours} h',
+  'profile.chartAria': 'River level profile from source to mouth',
+  'profile.major': 'Major',
+  'profile.percentOfMajor': '% of Major Flood level',
+  'profile.source': 'Source',
+  'profile.mouth': 'Mouth →',
+  'profile.noData': 'no data',
+  'profile.pointTitle': '{station}: {level}m ({alert}) at {time}',
+
+  'watch.title': 'Watch Notifications',
+  'watch.unsupported': 'This browser does not support notifications.',
+  'watch.blocked': 'Notifications are blocked. Allow them in your browser\'s site settings.',
+  'watch.enable': 'Enable browser notifications',
+  'watch.rivers': 'Whole rivers',
+  'watch.stations': 'Individual stations',
+  'watch.explain': 'You are notified when a watched station\'s alert level goes up. Checks run with each refresh while this page or the installed app is open.',
+  'watch.rateLimit': 'Also notify when rising faster than',
+  'watch.off': 'off',
+  'watch.staleLimit': 'Notify when the data feed has had no new readings for',
+  'watch.hours': 'hours',
+
+  'notify.alertTitle': '{station}: {alert}',
+  'notify.alertBody': '{river} has risen to {level}m.',
+  'notify.rateTitle': '{station} rising fast',
+  'notify.rateBody': 'Rising at {rate} m/hr (your limit: {limit} m/hr). Level {level}m.',
+  'notify.staleTitle': 'Flood data is not up to date',
+  'notify.staleUnreachable': 'Live river data could not be reached.',
+  'notify.staleBody': 'No new readings for over {hours} hours.',
+
+  'export.label': 'Export:',
+  'export.csvTitle': 'Download {count} readings as CSV',
+  'export.geoJsonTitle': 'Download {count} readings as GeoJSON',
+
+  'risk.title': 'Flood risk breakdown',
+  'risk.stationScore': 'Each station scores the points for its alert level ({points}), plus {rising} when rising or {fastRise} when rising faster than {rate} m/hr, up to 100.',
+  'risk.rainScore': 'Rain over the catchment adds {rain} from {rainMm} mm in 24 hours, or {heavyRain} from {heavyRainMm} mm.',
+  'risk.combine': 'Each basin takes {peak}% of its score from its highest-scoring station and {average}% from the average of all its stations, with critical stations counting {critical}×. The national score combines the basins the same way.',
+  'risk.none': 'No stations to score.',
+  'risk.contribution': '{points} points of the national score',
+  'risk.station': 'Station',
+  'risk.alertPoints': 'Alert points',
+  'risk.trendPoints': 'Rising points',
+  'risk.rainPoints': 'Rain points',
+  'risk.weight': 'Weight',
+  'risk.basinShare': 'Points of basin score',
+  'risk.showStations': 'Show {basin} stations',
+
+  'replay.title': 'Replay',
+  'replay.showing': 'Showing {time}',
+  'replay.exit': 'Exit replay and show live readings',
+  'replay.from': 'From',
+  'replay.to': 'To',
+  'replay.load': 'Load snapshots',
+  'replay.limit': 'Up to {count} snapshots; longer ranges are thinned evenly.',
+  'replay.listing': 'Finding snapshots...',
+  'replay.loading': 'Loading snapshot {loaded} of {total}...',
+  'replay.empty': 'No snapshots were found in this range.',
+  'replay.error': 'The snapshot list could not be loaded.',
+  'replay.previous': 'Previous snapshot',
+  'replay.next': 'Next snapshot',
+  'replay.play': 'Play',
+  'replay.pause': 'Pause',
+  'replay.position': 'Replay position',
+  'replay.frame': '{index} of {count}',
+  'replay.speed': 'Speed',
+
+  'install.button': 'Install App',
+  'install.title': 'Install on this device for offline use',
+
+  'cap.title': 'CAP Alert Feed',
+  'cap.intro': 'Common Alerting Protocol (CAP 1.2) messages for every station at Alert or above, for use in other alerting systems. Messages are in English.',
+  'cap.published': 'The published feed is regenerated each time the site is deployed; downloads below reflect the readings on screen.',
+  'cap.openPublished': 'Open published feed',
+  'cap.sampleNote': 'Sample data is marked as a test message.',
+  'cap.cachedNote': 'Offline copies are marked as test messages, as the readings may be out of date.',
+  'cap.none': 'No stations are at Alert or above, so there are no CAP messages.',
+  'cap.downloadIndex': 'Download Atom index ({count} alerts)'
+};
+
+export default en;
@@ -0,0 +1,362 @@
+// src/i18n/messages/si.js
+// Sinhala interface text. Missing keys fall back to English.
+const si = {
+  'language.label': 'භාෂාව',
+  'common.close': 'වසන්න',
+
+  'alert.normal': 'සාමාන්‍ය',
+  'alert.alert': 'අනතුරු ඇඟවීම',
+  'alert.minor': 'සුළු ගංවතුර',
+  'alert.major': 'බරපතල ගංවතුර',
+
+  'duration.minutes': 'මිනි. {minutes}',
+  'duration.hoursMinutes': 'පැය {hours} මිනි. {minutes}',
+  'age.minutes': 'මිනි. {minutes}කට පෙර',
+  'age.hoursMinutes': 'පැය {hours} මිනි. {minutes}කට පෙර',
+  'age.days': 'දින {days}කට පෙර',
+
+  'app.title': 'ශ්‍රී ලංකා ගංවතුර නිරීක්ෂණය',
+  'app.subtitle': 'ගංගා ජල මට්ටම් සහ ගංවතුර අනතුරු ඇඟවීම් සජීවීව',
+  'app.loading': 'ගංගා දත්ත පූරණය වෙමින්...',
+  'app.loadingDetail': 'නවතම ජල මට්ටම් ලබා ගනිමින්',
+  'app.loadError': 'ගංගා දත්ත පූරණය කිරීමට නොහැකි විය.',
+  'app.overallRisk': 'සමස්ත අවදානම',
+  'app.riskBreakdown': 'අවදානම් ලකුණු සැකසී ඇති ආකාරය පෙන්වන්න',
+  'app.replay': 'පසුගිය කියවීම් නැවත ධාවනය කරන්න',
+  'app.lastUpdated': 'අවසන් යාවත්කාලීනය',
+  'app.refresh': 'දත්ත නැවුම් කරන්න',
+  'app.watchSettings': 'ස්ථාන නිරීක්ෂණය සහ දැනුම්දීම්',
+  'app.capFeed': 'CAP අනතුරු ඇඟවීම් පෝෂකය',
+  'app.situationReport': 'තත්ත්ව වාර්තාව',
+  'app.imminentMajor': 'පැය {hours}ක් ඇතුළත බරපතල ගංවතුර මට්ටමට ළඟා වීමට අපේක්ෂිත:',
+  'app.filterStations': 'ස්ථාන පෙරන්න:',
+  'app.view.cards': 'කාඩ්පත් දසුන',
+  'app.view.map': 'සිතියම් දසුන',
+  'app.view.river': 'ගංගා පැතිකඩ',
+  'app.view.near': 'මා අසල',
+  'app.filter.all': 'සියලු ස්ථාන ({count})',
+  'app.filter.critical': 'තීරණාත්මක ස්ථාන ({count})',
+  'app.filter.risk': 'අවදානම් කලාප ({count})',
+
+  'app.section.critical': 'තීරණාත්මක මිනුම් ස්ථාන',
+  'app.section.risk': 'වෙනත් අවදානම් කලාප',
+  'app.section.all': 'සියලු නිරීක්ෂණ ස්ථාන',
+  'app.section.river': '{river} ස්ථාන',
+  'app.qualityExcluded': 'දත්ත ගුණාත්මක ගැටලු ඇති කියවීම් {count} ක් එකතුවලින් ඉවත් කර සමස්ත අවදානමට අඩුවෙන් ගණන් ගැනේ',
+  'app.noStations': 'මෙම පෙරහන සඳහා ස්ථාන හමු නොවීය',
+  'app.viewAll': 'සියලු ස්ථාන බලන්න',
+
+  'filters.search': 'මධ්‍යස්ථාන සොයන්න',
+  'filters.searchPlaceholder': 'මධ්‍යස්ථානයේ හෝ ගඟේ නමින් සොයන්න',
+  'filters.sort': 'අනුපිළිවෙළ',
+  'filters.sort.default': 'දත්ත අනුපිළිවෙළ',
+  'filters.sort.severity': 'අනතුරු ඇඟවීමේ බරපතලකම',
+  'filters.sort.margin': 'බරපතල ගංවතුරට ආසන්නම',
+  'filters.sort.rate': 'වේගයෙන්ම ඉහළ යන',
+  'filters.sort.freshness': 'නවතම කියවීම',
+  'filters.clear': 'පෙරහන් ඉවත් කරන්න',
+  'filters.alerts': 'අනතුරු ඇඟවීමේ මට්ටම:',
+  'filters.river': 'ගඟ / ද්‍රෝණිය:',
+  'filters.allRivers': 'සියලු ගංගා',
+
+  'footer.dataSource': 'දත්ත මූලාශ්‍රය:',
+  'footer.irrigation': 'ශ්‍රී ලංකා වාරිමාර්ග දෙපාර්තමේන්තුව',
+  'footer.via': 'හරහා',
+  'footer.updates': 'සෑම මිනිත්තු 3කට වරක් යාවත්කාලීන වේ',
+  'footer.emergency': 'හදිසි ඇමතුම්:',
+  'footer.dmc': 'ආපදා කළමනාකරණ මධ්‍යස්ථානය',
+  'footer.builtWith': 'React මගින් නිර්මිතයි • GitHub Pages සහ Vercel හි ස්ථාපිතයි',
+  'footer.monitoring': 'ශ්‍රී ලංකාව පුරා ස්ථාන {count}ක් නිරීක්ෂණය කරයි',
+  'footer.thresholds': 'සීමා අනුවාදය {version} • පෙරනිමි සීමා භාවිත කරන ස්ථාන {count}',
+  'footer.thresholdErrors': 'සීමා ගොනුවේ ගැටලු {count}ක්, කොන්සෝලය බලන්න',
+
+  'card.critical': 'තීරණාත්මක',
+  'card.majorSoon': 'බරපතල ගංවතුර <පැය {hours}',
+  'card.waterLevel': 'ජල මට්ටම',
+  'card.rateOfChange': 'වෙනස් වීමේ වේගය',
+  'card.notReported': 'වාර්තා කර නැත',
+  'card.rainfall': 'ජලපෝෂක ප්‍රදේශයේ වර්ෂාපතනය (පැය 24): මි.මී. {mm}',
+  'card.rainfallGauges': 'ජලපෝෂක ප්‍රදේශයේ වර්ෂාමාන {count} ක සාමාන්‍යය',
+  'card.heavyRain': 'අධික වැසි',
+  'card.upstream': 'ඉහළ ගඟ: {station} {state} ({alert}), පැය ~{hours}කින් මෙතැනට ළඟා වේ',
+  'card.upstreamRising': 'ඉහළ යමින්',
+  'card.upstreamElevated': 'ඉහළ මට්ටමක',
+  'card.thresholds': 'සීමා:',
+  'card.thresholdsDefault': 'පෙරනිමි (මෙම මිනුමට නිල මට්ටම් නැත)',
+  'card.thresholdsOfficial': 'නිල',
+  'card.thresholdSource': 'මූලාශ්‍රය: {source}',
+  'card.thresholdEffective': 'බලපැවැත්වෙන දිනය: {date}',
+  'card.watch': 'නිරීක්ෂණය',
+  'card.unwatch': 'නිරීක්ෂණය නවත්වන්න',
+  'card.watchTitle': 'මෙම ස්ථානය ඉහළ මට්ටමකට ගිය විට මට දන්වන්න',
+  'card.unwatchTitle': 'මෙම ස්ථානය සඳහා දැනුම්දීම් නවත්වන්න',
+  'card.pin': 'අමුණන්න',
+  'card.unpin': 'ඉවත් කරන්න',
+  'card.pinTitle': 'මෙම ස්ථානය ඔබගේ නිරීක්ෂණ ලැයිස්තුවට එක් කරන්න',
+  'card.unpinTitle': 'මෙම ස්ථානය ඔබගේ නිරීක්ෂණ ලැයිස්තුවෙන් ඉවත් කරන්න',
+  'card.aboveWarningLevel': 'ඔබගේ මට්ටමට ඉහළින් (මී. {level})',
+  'card.history': 'ඉතිහාසය',
+  'card.viewMap': 'සිතියම බලන්න',
+
+  'station.back': 'සියලු මධ්‍යස්ථාන වෙත ආපසු',
+  'station.notFound': '{station} සඳහා වත්මන් කියවීමක් නැත. එය නැවත නම් කර හෝ වාර්තා නොකරමින් සිටිය හැක.',
+  'station.print': 'සාරාංශය මුද්‍රණය කරන්න',
+  'station.printedAt': 'මුද්‍රිත {time}',
+  'station.details': 'මධ්‍යස්ථාන විස්තර',
+  'station.river': 'ගඟ / ද්‍රෝණිය',
+  'station.network': 'ගංගා ජාලය',
+  'station.networkPosition': '{river} හි මූලාශ්‍රයේ සිට ගණන් කළ විට මිනුම් ස්ථාන {count} න් {index} වැන්න',
+  'station.notInNetwork': 'සිතියම්ගත ගංගා ජාලයේ කොටසක් නොවේ',
+  'station.coordinates': 'ඛණ්ඩාංක',
+  'station.coordinatesUnknown': 'නොදනී (සිතියමේ මැද පෙන්වා ඇත)',
+  'station.thresholdOrigin': 'සීමා මට්ටම් මූලාශ්‍රය',
+  'station.thresholdsDefault': 'පෙරනිමි මට්ටම්, සීමා අනුවාදය {version}',
+  'station.thresholdsOfficial': 'නිල මට්ටම්, සීමා අනුවාදය {version}',
+  'station.min': 'අවම ({range})',
+  'station.max': 'උපරිම ({range})',
+  'station.fastestRise': 'වේගවත්ම ඉහළ යාම ({range})',
+  'station.noRise': 'ඉහළ යාමක් නැත',
+  'station.lastChange': 'අවසන් අනතුරු ඇඟවීම් වෙනස',
+  'station.noChange': '{range} තුළ වෙනසක් නැත',
+  'station.neighbours': '{river} හි මිනුම් ස්ථාන',
+  'station.neighboursNone': 'මෙම මධ්‍යස්ථානයට ඉහළ හෝ පහළ මිනුම් ස්ථාන සිතියම්ගත කර නැත',
+  'station.upstream': 'ඉහළ ගඟ',
+  'station.downstream': 'පහළ ගඟ',
+  'station.none': 'නැත',
+  'station.noReading': 'වත්මන් කියවීමක් නැත',
+  'station.travel': 'පැය ~{hours}',
+
+  'quality.stale': 'යල් පැන ගිය',
+  'quality.staleDetail': 'පැය {hours} කට වැඩි කාලයක් නව කියවීමක් නැත',
+  'quality.spike': 'හදිසි පැනීම',
+  'quality.spikeDetail': 'පෙර කියවීමේ සිට විශ්වාස කළ නොහැකි තරම් වේගයෙන් වෙනස් විය',
+  'quality.outOfRange': 'විශ්වාස කළ නොහැකි අගය',
+  'quality.outOfRangeDetail': 'මට්ටම හෝ වෙනස් වීමේ වේගය විය හැකි පරාසයෙන් පිටත ය',
+  'quality.duplicate': 'අනුපිටපත',
+  'quality.duplicateDetail': 'මෙම මධ්‍යස්ථානය දත්තවල කිහිප වරක් ඇත; නවතම කියවීම භාවිත වේ',
+  'quality.missingCoordinates': 'ස්ථානයක් නැත',
+  'quality.missingCoordinatesDetail': 'මෙම මිනුම් ස්ථානය සඳහා ඛණ්ඩාංක ලබා දී නැත',
+  'quality.excluded': 'අවදානම් ලකුණු හෝ එකතුවලට ගණන් නොගැනේ',
+  'quality.downWeighted': 'අවදානම් ලකුණුවලට අඩුවෙන් ගණන් ගැනේ',
+
+  'forecast.label': 'පුරෝකථනය:',
+  'forecast.insufficient': 'ප්‍රමාණවත් දත්ත නැත',
+  'forecast.steady': 'මට්ටම ස්ථාවරයි — සීමා වෙනසක් අපේක්ෂා නොකෙරේ',
+  'forecast.aboveAll': 'සියලු සීමාවන්ට ඉහළින් ඉහළ යමින්',
+  'forecast.belowAlert': 'අඩු වෙමින්, දැනටමත් අනතුරු ඇඟවීමේ මට්ටමට පහළින්',
+  'forecast.reaches': '{level} ({threshold}m) වෙත ළඟා වේ',
+  'forecast.dropsBelow': '{level} ({threshold}m) ට පහළට බසී',
+  'forecast.notWithin': '{action} — පැය {hours}ක් ඇතුළත නොවේ',
+  'forecast.eta': '{action}, ~{duration}කින් (≈{time})',
+  'forecast.majorIn': '{text}; ~{duration}කින් බරපතල ගංවතුර',
+  'forecast.confidence.high': 'ඉහළ විශ්වාසය',
+  'forecast.confidence.medium': 'මධ්‍යම විශ්වාසය',
+  'forecast.confidence.low': 'අඩු විශ්වාසය',
+  'forecast.basedOn': 'පදනම: {basis}',
+
+  'history.title': 'ජල මට්ටම් ඉතිහාසය',
+  'history.range.24': 'පැය 24',
+  'history.range.72': 'දින 3',
+  'history.range.168': 'දින 7',
+  'history.loading': 'ඉතිහාසය පූරණය වෙමින්...',
+  'history.empty': 'මෙම කාලය සඳහා ඉතිහාසයක් නැත',
+  'history.peak': 'උපරිමය',
+  'history.belowPeak': 'දැන් උපරිමයට වඩා අඩු ප්‍රමාණය',
+  'history.latestIsPeak': 'නවතම මිනුම මෙම කාලයේ ඉහළම අගයයි',
+  'history.crossings': 'සීමා තරණය',
+  'history.offlineCopy': 'නොබැඳි පිටපත සුරකින ලදී {time}',
+
+  'chart.aria': 'ජල මට්ටම් ඉතිහාසය',
+  'chart.rose': '{time} දී සීමාව ඉක්මවා ඉහළ ගියේය ({level}m)',
+  'chart.fell': '{time} දී සීමාවට පහළට බැස්සේය ({level}m)',
+
+  'source.lk_irrigation': 'වාරිමාර්ග දෙපාර්තමේන්තුව (lk_irrigation)',
+  'source.lk_dmc_vis': 'ආපදා කළමනාකරණ මධ්‍යස්ථානය (lk_dmc_vis)',
+  'source.sample': 'අන්තර්ගත නියැදි දත්ත',
+
+  'provenance.offlineTitle': 'නොබැඳි — {age} ලැබුණු අවසන් දත්ත පෙන්වයි',
+  'provenance.offlineFetched': '{time} දී {source} වෙතින් ලබා ගන්නා ලදී.',
+  'provenance.offlineSourceUpdated': 'මූලාශ්‍රය අවසන් වරට යාවත්කාලීන වූයේ {time} ({age}).',
+  'provenance.mayHaveChanged': 'එතැන් සිට මට්ටම් වෙනස් වී තිබිය හැක.',
+  'provenance.sampleTitle': 'නියැදි දත්ත — මේවා සජීවී මිනුම් නොවේ',
+  'provenance.sampleDetail': 'කිසිදු සජීවී මූලාශ්‍රයකට සම්බන්ධ විය නොහැකි වූ බැවින් අන්තර්ගත ආදර්ශන අගයන් පෙන්වයි. පහත මට්ටම් හෝ අනතුරු ඇඟවීම් මත ක්‍රියා නොකරන්න.',
+  'provenance.backupTitle': 'උපස්ථ මූලාශ්‍රය පෙන්වයි: {source}',
+  'provenance.backupDetail': 'ප්‍රධාන පෝෂකය ලබා ගත නොහැක.',
+  'provenance.backupUpdated': 'උපස්ථ දත්ත අවසන් වරට යාවත්කාලීන වූයේ {time}.',
+  'provenance.showing': 'පෙන්වන්නේ: {source}',
+  'provenance.offlineCopy': '(නොබැඳි පිටපත)',
+  'provenance.sourceUpdated': 'මූලාශ්‍රය යාවත්කාලීන වූයේ {time}',
+  'provenance.fetched': 'ලබා ගත්තේ {time}',
+  'provenance.rejected': 'වලංගු කිරීමේදී වාර්තා {count}ක් ප්‍රතික්ෂේප විය',
+  'watermark.backup': 'උපස්ථ මූලාශ්‍රය',
+  'watermark.offline': 'නොබැඳි පිටපත',
+  'watermark.sample': 'නියැදි දත්ත',
+
+  'mapView.title': 'අන්තර්ක්‍රියාකාරී සිතියම - ස්ථාන {count}',
+  'mapView.help': 'ස්ථාන විස්තර බැලීමට සලකුණු ක්ලික් කරන්න • විශාලනයට අනුචලනය කරන්න හෝ බොත්තම් භාවිත කරන්න, ගෙනයාමට අදින්න',
+  'mapView.details': 'ස්ථාන විස්තර',
+  'mapView.showOnMap': 'සිතියමේ පෙන්වන්න',
+  'mapView.history': 'ඉතිහාසය',
+  'mapView.hideHistory': 'ඉතිහාසය සඟවන්න',
+
+  'nearby.title': 'ඔබ අසල ස්ථාන',
+  'nearby.help': 'ඔබගේ ස්ථානය භාවිත කරන්න හෝ නගරයක් හෝ තැපැල් කේතයක් ටයිප් කරන්න. ඔබගේ ස්ථානය මෙම බ්‍රව්සරයේ පමණක් රැඳේ.',
+  'nearby.useLocation': 'මගේ ස්ථානය භාවිත කරන්න',
+  'nearby.town': 'නගරය හෝ තැපැල් කේතය',
+  'nearby.townPlaceholder': 'උදා. කඩුවෙල හෝ 10640',
+  'nearby.search': 'නගරය සොයන්න',
+  'nearby.radius': 'දුර',
+  'nearby.radiusKm': 'කි.මී. {km}',
+  'nearby.locating': 'ඔබගේ ස්ථානය සොයමින්…',
+  'nearby.denied': 'ස්ථාන ප්‍රවේශය ප්‍රතික්ෂේප විය. ඒ වෙනුවට නගරයක් හෝ තැපැල් කේතයක් ටයිප් කරන්න.',
+  'nearby.unavailable': 'ඔබගේ ස්ථානය සොයාගත නොහැකි විය. ඒ වෙනුවට නගරයක් හෝ තැපැල් කේතයක් ටයිප් කරන්න.',
+  'nearby.unknownTown': 'නගරය හෝ තැපැල් කේතය හමු නොවීය. ආසන්නතම විශාල නගරය උත්සාහ කරන්න.',
+  'nearby.prompt': 'ආසන්නතම ස්ථාන බැලීමට ස්ථානයක් තෝරන්න.',
+  'nearby.fromTown': '{town} සිට කි.මී. {km} ක් ඇතුළත ස්ථාන {count}, ආසන්නතම ඒවා මුලින්',
+  'nearby.fromLocation': 'ඔබගේ ස්ථානයේ සිට කි.මී. {km} ක් ඇතුළත ස්ථාන {count}, ආසන්නතම ඒවා මුලින්',
+  'nearby.noneInRadius': 'කි.මී. {km} ක් ඇතුළත ස්ථාන නැත. ආසන්නතම ස්ථානය කි.මී. {distance} ක් දුරින්:',
+  'nearby.rising': 'පැයට මී. {rate} කින් ඉහළ යයි',
+  'nearby.falling': 'පැයට මී. {rate} කින් පහළ යයි',
+
+  'watchlist.title': 'ඔබගේ නිරීක්ෂණ ලැයිස්තුව',
+  'watchlist.empty': 'ස්ථාන ඔබ කැමති පිළිවෙලට මෙහි තබා ගැනීමට ඒවා අමුණන්න. ඔබගේ කණ්ඩායමේ නිරීක්ෂණ ලැයිස්තු ගොනුවක් ආයාත කළ හැක.',
+  'watchlist.export': 'අපනයනය',
+  'watchlist.exportTitle': 'බෙදා ගැනීමට නිරීක්ෂණ ලැයිස්තුව JSON ගොනුවක් ලෙස බාගන්න',
+  'watchlist.import': 'ආයාතය',
+  'watchlist.importTitle': 'නිරීක්ෂණ ලැයිස්තුව JSON ගොනුවක ඇති එකකින් ප්‍රතිස්ථාපනය කරන්න',
+  'watchlist.imported': 'ස්ථාන {count} ක් ආයාත කළා; ඇතුළත් කිරීම් {skipped} ක් මඟ හැරියා',
+  'watchlist.confirmImport': 'ඔබ ඇමිණූ ස්ථාන {current} මෙම ගොනුවේ ඇති ස්ථාන {count} මඟින් ප්‍රතිස්ථාපනය කරන්නද?',
+  'watchlist.importError': 'එම ගොනුව නිරීක්ෂණ ලැයිස්තුවක් නොවේ',
+  'watchlist.moveUp': 'ඉහළට',
+  'watchlist.moveDown': 'පහළට',
+  'watchlist.warningLevel': 'ඔබගේ අනතුරු ඇඟවීමේ මට්ටම (මී.)',
+  'watchlist.officialAlert': '{label} මී. {level}',
+  'watchlist.noReading': '{station} සඳහා වත්මන් කියවීමක් නැත',
+
+  'report.title': 'ගංවතුර තත්ත්ව වාර්තාව',
+  'report.print': 'මුද්‍රණය / PDF ලෙස සුරකින්න',
+  'report.printHelp': 'මුද්‍රණය කිරීමෙන් මෙම අනතුරු ඇඟවීමේ මට්ටම් සටහන් වන අතර, ඊළඟ වාර්තාව ඉන් පසු ඉහළ ගිය ස්ථාන ලැයිස්තුගත කරයි.',
+  'report.notRecorded': 'මේවා සජීවී කියවීම් නොවන බැවින්, මෙම වාර්තාව මුද්‍රණය කිරීමෙන් ඊළඟ වාර්තාව සඳහා එහි අනතුරු ඇඟවීමේ මට්ටම් සටහන් නොවේ.',
+  'report.generatedAt': 'සකස් කළේ {time}',
+  'report.dataSource': 'දත්ත: {source}, ලබාගත්තේ {time}.',
+  'report.sourceUpdated': 'මූලාශ්‍රය අවසන් වරට යාවත්කාලීන කළේ {time}.',
+  'report.offlineWarning': 'නොබැඳි පිටපත: මෙම කියවීම් යල් පැන ගොස් තිබිය හැක.',
+  'report.overview': 'සාරාංශය',
+  'report.highestBasins': 'ඉහළම අවදානම් සහිත ද්‍රෝණි: {basins}',
+  'report.atRisk': 'අනතුරු ඇඟවීමේ මට්ටමේ හෝ ඊට ඉහළ ස්ථාන ({count})',
+  'report.noneAtRisk': 'අනතුරු ඇඟවීමේ මට්ටමේ හෝ ඊට ඉහළ ස්ථානයක් නැත.',
+  'report.station': 'ස්ථානය',
+  'report.alert': 'අනතුරු ඇඟවීමේ මට්ටම',
+  'report.level': 'මට්ටම',
+  'report.margin': 'මහා ගංවතුර පරතරය',
+  'report.belowMajor': 'මී. {margin} පහළින්',
+  'report.aboveMajor': 'මී. {margin} ඉහළින්',
+  'report.trend': 'ප්‍රවණතාව',
+  'report.measured': 'මැනූ වේලාව',
+  'report.escalated': 'අලුතින් ඉහළ ගිය',
+  'report.since': '{time} මුද්‍රණය කළ වාර්තාවේ සිට',
+  'report.noPrevious': 'මෙම බ්‍රව්සරයෙන් පෙර වාර්තාවක් මුද්‍රණය කර නැත.',
+  'report.noneEscalated': 'කිසිදු ස්ථානයක් ඉහළ ගොස් නැත.',
+  'report.escalatedEntry': '{station} ({river}): {from} සිට {to} දක්වා',
+  'report.contacts': 'හදිසි ඇමතුම් අංක',
+  'report.emergencyServices': 'හදිසි සේවා',
+
+  'map.aria': 'ශ්‍රී ලංකාවේ නිරීක්ෂණ ස්ථාන සිතියම',
+  'map.rising': 'ඉහළ යමින්',
+  'map.falling': 'පහළ යමින්',
+  'map.measured': 'මැන්නේ {time}',
+  'map.locationUnknown': 'ස්ථානය නොදනී, සිතියමේ මැද පෙන්වා ඇත',
+  'map.zoomIn': 'විශාලනය',
+  'map.zoomOut': 'කුඩා කරන්න',
+  'map.resetView': 'දසුන යළි සකසන්න',
+  'map.majorRivers': 'ප්‍රධාන ගංගා',
+  'map.rainLayer': 'වර්ෂාපතනය (පැය 24)',
+  'map.showRain': 'වර්ෂාපතනය පෙන්වන්න',
+  'map.hideRain': 'වර්ෂාපතනය සඟවන්න',
+  'map.rainGauge': '{gauge}: පැය 24 තුළ මි.මී. {mm}',
+
+  'profile.title': 'ගංගා පැතිකඩ - {river}',
+  'profile.help': 'උල්පතේ සිට මෝය දක්වා මිනුම් ස්ථාන. මට්ටම් එක් එක් ස්ථානයේ බරපතල ගංවතුර මට්ටමේ ප්‍රතිශතයක් ලෙස පෙන්වා ඇත; ගමන් කාල ආසන්න අගයන් වේ.',
+  'profile.risingUpstream': '{station} ට ඉහළින් ජලය ඉහළ යමින්',
+  'profile.warningLevel': '{station} {level}m',
+  'profile.warningRate': 'පැයට {rate} m ඉහළ යමින්',
+  'profile.warningReaches': 'පැය ~{hours}කින් {station} වෙත ළඟා වේ',
+  'profile.chartAria': 'උල්පතේ සිට මෝය දක්වා ගංගා මට්ටම් පැතිකඩ',
+  'profile.major': 'බරපතල',
+  'profile.percentOfMajor': 'බරපතල ගංවතුර මට්ටමේ %',
+  'profile.source': 'උල්පත',
+  'profile.mouth': 'මෝය →',
+  'profile.noData': 'දත්ත නැත',
+  'profile.pointTitle': '{station}: {level}m ({alert}) {time}',
+
+  'watch.title': 'නිරීක්ෂණ දැනුම්දීම්',
+  'watch.unsupported': 'මෙම බ්‍රව්සරය දැනුම්දීම් සඳහා සහාය නොදක්වයි.',
+  'watch.blocked': 'දැනුම්දීම් අවහිර කර ඇත. ඔබගේ බ්‍රව්සරයේ අඩවි සැකසුම් තුළ ඒවාට ඉඩ දෙන්න.',
+  'watch.enable': 'බ්‍රව්සර දැනුම්දීම් සක්‍රිය කරන්න',
+  'watch.rivers': 'සම්පූර්ණ ගංගා',
+  'watch.stations': 'තනි ස්ථාන',
+  'watch.explain': 'නිරීක්ෂණය කරන ස්ථානයක අනතුරු ඇඟවීමේ මට්ටම ඉහළ ගිය විට ඔබට දන්වනු ලැබේ. මෙම පිටුව හෝ ස්ථාපිත යෙදුම විවෘතව ඇති විට සෑම නැවුම් කිරීමකදීම පරීක්ෂා කෙරේ.',
+  'watch.rateLimit': 'මෙම වේගයට වඩා ඉක්මනින් ඉහළ යන විටද දන්වන්න',
+  'watch.off': 'අක්‍රිය',
+  'watch.staleLimit': 'දත්ත පෝෂකයට නව මිනුම් නොලැබුණු විට දන්වන්න, කාලය',
+  'watch.hours': 'පැය',
+
+  'notify.alertTitle': '{station}: {alert}',
+  'notify.alertBody': '{river} {level}m දක්වා ඉහළ ගොස් ඇත.',
+  'notify.rateTitle': '{station} වේගයෙන් ඉහළ යමින්',
+  'notify.rateBody': 'පැයට {rate} m ඉහළ යමින් (ඔබගේ සීමාව: පැයට {limit} m). මට්ටම {level}m.',
+  'notify.staleTitle': 'ගංවතුර දත්ත යාවත්කාලීන නැත',
+  'notify.staleUnreachable': 'සජීවී ගංගා දත්ත ලබා ගත නොහැකි විය.',
+  'notify.staleBody': 'පැය {hours}කට වැඩි කාලයක් නව මිනුම් නැත.',
+
+  'export.label': 'අපනයනය:',
+  'export.csvTitle': 'කියවීම් {count} CSV ලෙස බාගන්න',
+  'export.geoJsonTitle': 'කියවීම් {count} GeoJSON ලෙස බාගන්න',
+
+  'risk.title': 'ගංවතුර අවදානම් විශ්ලේෂණය',
+  'risk.stationScore': 'සෑම මධ්‍යස්ථානයක්ම එහි අනතුරු ඇඟවීමේ මට්ටමට ලකුණු ({points}) ලබයි, ඉහළ යන විට {rising} ක් හෝ පැයට {rate} m ට වඩා වේගයෙන් ඉහළ යන විට {fastRise} ක් එකතු වේ, උපරිම 100 දක්වා.',
+  'risk.rainScore': 'ජලපෝෂක ප්‍රදේශයට පැය 24 තුළ මි.මී. {rainMm} සිට වැසි ලැබුණු විට {rain} ක් ද, මි.මී. {heavyRainMm} සිට {heavyRain} ක් ද එකතු වේ.',
+  'risk.combine': 'සෑම ද්‍රෝණියක්ම එහි ලකුණුවලින් {peak}% ක් ඉහළම ලකුණු ඇති මධ්‍යස්ථානයෙන් ද {average}% ක් සියලු මධ්‍යස්ථානවල සාමාන්‍යයෙන් ද ගනී; තීරණාත්මක මධ්‍යස්ථාන {critical}× ලෙස ගණන් ගැනේ. ජාතික ලකුණු ද්‍රෝණි එලෙසම ඒකාබද්ධ කරයි.',
+  'risk.none': 'ලකුණු දීමට මධ්‍යස්ථාන නැත.',
+  'risk.contribution': 'ජාතික ලකුණුවලින් ලකුණු {points}',
+  'risk.station': 'මධ්‍යස්ථානය',
+  'risk.alertPoints': 'අනතුරු ඇඟවීමේ ලකුණු',
+  'risk.trendPoints': 'ඉහළ යාමේ ලකුණු',
+  'risk.rainPoints': 'වැසි ලකුණු',
+  'risk.weight': 'බර',
+  'risk.basinShare': 'ද්‍රෝණි ලකුණුවලට දායකත්වය',
+  'risk.showStations': '{basin} මධ්‍යස්ථාන පෙන්වන්න',
+
+  'replay.title': 'නැවත ධාවනය',
+  'replay.showing': '{time} පෙන්වයි',
+  'replay.exit': 'නැවත ධාවනයෙන් ඉවත් වී සජීවී කියවීම් පෙන්වන්න',
+  'replay.from': 'සිට',
+  'replay.to': 'දක්වා',
+  'replay.load': 'සැණරූ පූරණය කරන්න',
+  'replay.limit': 'සැණරූ {count} දක්වා; දිගු කාල පරාස ඒකාකාරව අඩු කෙරේ.',
+  'replay.listing': 'සැණරූ සොයමින්...',
+  'replay.loading': 'සැණරූ {total} න් {loaded} පූරණය වෙමින්...',
+  'replay.empty': 'මෙම කාල පරාසයේ සැණරූ හමු නොවීය.',
+  'replay.error': 'සැණරූ ලැයිස්තුව පූරණය කළ නොහැකි විය.',
+  'replay.previous': 'පෙර සැණරුව',
+  'replay.next': 'ඊළඟ සැණරුව',
+  'replay.play': 'ධාවනය',
+  'replay.pause': 'විරාමය',
+  'replay.position': 'නැවත ධාවන ස්ථානය',
+  'replay.frame': '{count} න් {index}',
+  'replay.speed': 'වේගය',
+
+  'install.button': 'යෙදුම ස්ථාපනය කරන්න',
+  'install.title': 'නොබැඳිව භාවිතයට මෙම උපාංගයේ ස්ථාපනය කරන්න',
+
+  'cap.title': 'CAP අනතුරු ඇඟවීම් පෝෂකය',
+  'cap.intro': 'අනතුරු ඇඟවීමේ මට්ටමේ හෝ ඊට ඉහළ සෑම ස්ථානයක් සඳහාම Common Alerting Protocol (CAP 1.2) පණිවිඩ, වෙනත් අනතුරු ඇඟවීම් පද්ධතිවල භාවිතයට. පණිවිඩ ඉංග්‍රීසියෙන් වේ.',
+  'cap.published': 'ප්‍රකාශිත පෝෂකය අඩවිය ස්ථාපනය කරන සෑම වරකම නැවත සාදනු ලැබේ; පහත බාගැනීම් තිරයේ ඇති මිනුම් පිළිබිඹු කරයි.',
+  'cap.openPublished': 'ප්‍රකාශිත පෝෂකය විවෘත කරන්න',
+  'cap.sampleNote': 'නියැදි දත්ත පරීක්ෂණ පණිවිඩ ලෙස සලකුණු කෙරේ.',
+  'cap.cachedNote': 'නොබැඳි පිටපත්වල කියවීම් යල් පැන ගොස් තිබිය හැකි බැවින් ඒවා පරීක්ෂණ පණිවිඩ ලෙස සලකුණු කෙරේ.',
+  'cap.none': 'අනතුරු ඇඟවීමේ මට්ටමේ හෝ ඊට ඉහළ ස්ථාන නැති බැවින් CAP පණිවිඩ නැත.',
+  'cap.downloadIndex': 'Atom සුචිය බාගන්න (අනතුරු ඇඟවීම් {count})'
+};
+
+export default si;
@@ -0,0 +1,362 @@
+// src/i18n/messages/ta.js
+// Tamil interface text. Missing keys fall back to English.
+const ta = {
+  'language.label': 'மொழி',
+  'common.close': 'மூடு',
+
+  'alert.normal': 'சாதாரணம்',
+  'alert.alert': 'எச்சரிக்கை',
+  'alert.minor': 'சிறு வெள்ளம்',
+  'alert.major': 'பெரு வெள்ளம்',
+
+  'duration.minutes': '{minutes} நிமி.',
+  'duration.hoursMinutes': '{hours} மணி {minutes} நிமி.',
+  'age.minutes': '{minutes} நிமிடங்களுக்கு முன்',
+  'age.hoursMinutes': '{hours} மணி {minutes} நிமிடங்களுக்கு முன்',
+  'age.days': '{days} நாட்களுக்கு முன்',
+
+  'app.title': 'இலங்கை வெள்ள கண்காணிப்பு',
+  'app.subtitle': 'ஆறுகளின் நீர் மட்டங்களும் வெள்ள எச்சரிக்கைகளும் நேரலையில்',
+  'app.loading': 'ஆற்றுத் தரவு ஏற்றப்படுகிறது...',
+  'app.loadingDetail': 'சமீபத்திய நீர் மட்டங்களைப் பெறுகிறது',
+  'app.loadError': 'ஆற்றுத் தரவை ஏற்ற முடியவில்லை.',
+  'app.overallRisk': 'ஒட்டுமொத்த அபாயம்',
+  'app.riskBreakdown': 'அபாய மதிப்பெண் எவ்வாறு அமைந்தது எனக் காட்டு',
+  'app.replay': 'கடந்த அளவீடுகளை மீண்டும் இயக்கு',
+  'app.lastUpdated': 'கடைசியாகப் புதுப்பிக்கப்பட்டது',
+  'app.refresh': 'தரவைப் புதுப்பி',
+  'app.watchSettings': 'நிலையங்களைக் கண்காணித்தல் மற்றும் அறிவிப்புகள்',
+  'app.capFeed': 'CAP எச்சரிக்கை ஊட்டம்',
+  'app.situationReport': 'நிலைமை அறிக்கை',
+  'app.imminentMajor': '{hours} மணி நேரத்திற்குள் பெரு வெள்ள மட்டத்தை அடையும் என எதிர்பார்க்கப்படுகிறது:',
+  'app.filterStations': 'நிலையங்களை வடிகட்டு:',
+  'app.view.cards': 'அட்டைக் காட்சி',
+  'app.view.map': 'வரைபடக் காட்சி',
+  'app.view.river': 'ஆற்று விவரக்கோடு',
+  'app.view.near': 'எனக்கு அருகில்',
+  'app.filter.all': 'அனைத்து நிலையங்கள் ({count})',
+  'app.filter.critical': 'முக்கிய நிலையங்கள் ({count})',
+  'app.filter.risk': 'அபாய வலயங்கள் ({count})',
+
+  'app.section.critical': 'முக்கிய அளவீட்டு நிலையங்கள்',
+  'app.section.risk': 'ஏனைய அபாய வலயங்கள்',
+  'app.section.all': 'அனைத்து கண்காணிப்பு நிலையங்கள்',
+  'app.section.river': '{river} நிலையங்கள்',
+  'app.qualityExcluded': 'தரவுத் தரச் சிக்கல்கள் உள்ள {count} அளவீடுகள் மொத்தங்களிலிருந்து விலக்கப்பட்டு ஒட்டுமொத்த அபாயத்தில் குறைவாகக் கணக்கிடப்படுகின்றன',
+  'app.noStations': 'இந்த வடிகட்டிக்கு நிலையங்கள் எதுவும் இல்லை',
+  'app.viewAll': 'அனைத்து நிலையங்களையும் காட்டு',
+
+  'filters.search': 'நிலையங்களைத் தேடு',
+  'filters.searchPlaceholder': 'நிலையம் அல்லது ஆற்றின் பெயரால் தேடு',
+  'filters.sort': 'வரிசைப்படுத்து',
+  'filters.sort.default': 'தரவு வரிசை',
+  'filters.sort.severity': 'எச்சரிக்கை தீவிரம்',
+  'filters.sort.margin': 'பெரும் வெள்ளத்துக்கு மிக அருகில்',
+  'filters.sort.rate': 'வேகமாக உயர்வது',
+  'filters.sort.freshness': 'மிகச் சமீபத்திய அளவீடு',
+  'filters.clear': 'வடிகட்டிகளை அழி',
+  'filters.alerts': 'எச்சரிக்கை நிலை:',
+  'filters.river': 'ஆறு / வடிநிலம்:',
+  'filters.allRivers': 'அனைத்து ஆறுகளும்',
+
+  'footer.dataSource': 'தரவு மூலம்:',
+  'footer.irrigation': 'இலங்கை நீர்ப்பாசனத் திணைக்களம்',
+  'footer.via': 'வழியாக',
+  'footer.updates': 'ஒவ்வொரு 3 நிமிடங்களுக்கும் புதுப்பிக்கப்படும்',
+  'footer.emergency': 'அவசரத் தொடர்புகள்:',
+  'footer.dmc': 'அனர்த்த முகாமைத்துவ நிலையம்',
+  'footer.builtWith': 'React கொண்டு உருவாக்கப்பட்டது • GitHub Pages மற்றும் Vercel இல் வெளியிடப்பட்டது',
+  'footer.monitoring': 'இலங்கை முழுவதும் {count} நிலையங்கள் கண்காணிக்கப்படுகின்றன',
+  'footer.thresholds': 'வரம்புகள் பதிப்பு {version} • {count} நிலையங்கள் இயல்புநிலை வரம்புகளைப் பயன்படுத்துகின்றன',
+  'footer.thresholdErrors': 'வரம்புக் கோப்பில் {count} சிக்கல்(கள்), console ஐப் பார்க்கவும்',
+
+  'card.critical': 'முக்கியம்',
+  'card.majorSoon': 'பெரு வெள்ளம் <{hours} மணி',
+  'card.waterLevel': 'நீர் மட்டம்',
+  'card.rateOfChange': 'மாற்ற வீதம்',
+  'card.notReported': 'அறிவிக்கப்படவில்லை',
+  'card.rainfall': 'நீரேந்து பகுதி மழை (24 மணி): {mm} மி.மீ',
+  'card.rainfallGauges': 'நீரேந்து பகுதியிலுள்ள {count} மழைமானிகளின் சராசரி',
+  'card.heavyRain': 'கனமழை',
+  'card.upstream': 'மேல்நீரோட்டம்: {station} {state} ({alert}), ~{hours} மணி நேரத்தில் இங்கு வந்தடையும்',
+  'card.upstreamRising': 'உயர்கிறது',
+  'card.upstreamElevated': 'உயர் மட்டத்தில்',
+  'card.thresholds': 'வரம்புகள்:',
+  'card.thresholdsDefault': 'இயல்புநிலை (இந்த அளவீட்டு நிலையத்திற்கு உத்தியோகபூர்வ மட்டங்கள் இல்லை)',
+  'card.thresholdsOfficial': 'உத்தியோகபூர்வம்',
+  'card.thresholdSource': 'மூலம்: {source}',
+  'card.thresholdEffective': 'நடைமுறைக்கு வரும் திகதி: {date}',
+  'card.watch': 'கண்காணி',
+  'card.unwatch': 'கண்காணிப்பை நிறுத்து',
+  'card.watchTitle': 'இந்த நிலையம் உயர் மட்டத்திற்குச் சென்றால் எனக்கு அறிவி',
+  'card.unwatchTitle': 'இந்த நிலையத்திற்கான அறிவிப்புகளை நிறுத்து',
+  'card.pin': 'பொருத்து',
+  'card.unpin': 'நீக்கு',
+  'card.pinTitle': 'இந்த நிலையத்தை உங்கள் கண்காணிப்புப் பட்டியலில் சேர்க்கவும்',
+  'card.unpinTitle': 'இந்த நிலையத்தை உங்கள் கண்காணிப்புப் பட்டியலிலிருந்து நீக்கவும்',
+  'card.aboveWarningLevel': 'உங்கள் மட்டத்துக்கு மேல் ({level}மீ)',
+  'card.history': 'வரலாறு',
+  'card.viewMap': 'வரைபடத்தில் பார்',
+
+  'station.back': 'அனைத்து நிலையங்களுக்கும் திரும்பு',
+  'station.notFound': '{station} க்கு தற்போதைய அளவீடு இல்லை. அது பெயர் மாற்றப்பட்டிருக்கலாம் அல்லது தரவு அனுப்பாமல் இருக்கலாம்.',
+  'station.print': 'சுருக்கத்தை அச்சிடு',
+  'station.printedAt': 'அச்சிடப்பட்டது {time}',
+  'station.details': 'நிலைய விவரங்கள்',
+  'station.river': 'ஆறு / வடிநிலம்',
+  'station.network': 'ஆற்று வலையமைப்பு',
+  'station.networkPosition': '{river} இல் மூலத்திலிருந்து {count} அளவீட்டு நிலையங்களில் {index} ஆவது',
+  'station.notInNetwork': 'வரைபடமாக்கப்பட்ட ஆற்று வலையமைப்பில் இல்லை',
+  'station.coordinates': 'ஆள்கூறுகள்',
+  'station.coordinatesUnknown': 'தெரியவில்லை (வரைபட மையத்தில் காட்டப்படுகிறது)',
+  'station.thresholdOrigin': 'வரம்பு மூலம்',
+  'station.thresholdsDefault': 'இயல்புநிலை மட்டங்கள், வரம்புப் பதிப்பு {version}',
+  'station.thresholdsOfficial': 'அதிகாரப்பூர்வ மட்டங்கள், வரம்புப் பதிப்பு {version}',
+  'station.min': 'குறைந்தபட்சம் ({range})',
+  'station.max': 'அதிகபட்சம் ({range})',
+  'station.fastestRise': 'வேகமான உயர்வு ({range})',
+  'station.noRise': 'உயர்வு இல்லை',
+  'station.lastChange': 'கடைசி எச்சரிக்கை மாற்றம்',
+  'station.noChange': '{range} இல் மாற்றம் இல்லை',
+  'station.neighbours': '{river} இல் உள்ள அளவீட்டு நிலையங்கள்',
+  'station.neighboursNone': 'இந்த நிலையத்திற்கு மேல் அல்லது கீழ் அளவீட்டு நிலையங்கள் வரைபடமாக்கப்படவில்லை',
+  'station.upstream': 'மேல்நோக்கி',
+  'station.downstream': 'கீழ்நோக்கி',
+  'station.none': 'இல்லை',
+  'station.noReading': 'தற்போதைய அளவீடு இல்லை',
+  'station.travel': '~{hours} மணி',
+
+  'quality.stale': 'பழையது',
+  'quality.staleDetail': '{hours} மணி நேரத்துக்கு மேல் புதிய அளவீடு இல்லை',
+  'quality.spike': 'திடீர் தாவல்',
+  'quality.spikeDetail': 'முந்தைய அளவீட்டிலிருந்து நம்பமுடியாத வேகத்தில் மாறியது',
+  'quality.outOfRange': 'நம்பமுடியாத மதிப்பு',
+  'quality.outOfRangeDetail': 'மட்டம் அல்லது மாற்ற வேகம் சாத்தியமான வரம்புக்கு வெளியே உள்ளது',
+  'quality.duplicate': 'நகல்',
+  'quality.duplicateDetail': 'இந்த நிலையம் தரவில் பல முறை உள்ளது; புதிய அளவீடு பயன்படுத்தப்படுகிறது',
+  'quality.missingCoordinates': 'இருப்பிடம் இல்லை',
+  'quality.missingCoordinatesDetail': 'இந்த அளவீட்டு நிலையத்துக்கு ஆள்கூறுகள் வழங்கப்படவில்லை',
+  'quality.excluded': 'அபாய மதிப்பெண் அல்லது மொத்தங்களில் கணக்கிடப்படவில்லை',
+  'quality.downWeighted': 'அபாய மதிப்பெண்ணில் குறைவாகக் கணக்கிடப்படுகிறது',
+
+  'forecast.label': 'முன்னறிவிப்பு:',
+  'forecast.insufficient': 'போதுமான தரவு இல்லை',
+  'forecast.steady': 'மட்டம் நிலையாக உள்ளது — வரம்பு மாற்றம் எதிர்பார்க்கப்படவில்லை',
+  'forecast.aboveAll': 'அனைத்து வரம்புகளுக்கும் மேலாக உயர்கிறது',
+  'forecast.belowAlert': 'குறைகிறது, ஏற்கனவே எச்சரிக்கை மட்டத்திற்குக் கீழே',
+  'forecast.reaches': '{level} ({threshold}m) மட்டத்தை அடையும்',
+  'forecast.dropsBelow': '{level} ({threshold}m) மட்டத்திற்குக் கீழே இறங்கும்',
+  'forecast.notWithin': '{action} — {hours} மணி நேரத்திற்குள் அல்ல',
+  'forecast.eta': '{action}, ~{duration} இல் (≈{time})',
+  'forecast.majorIn': '{text}; ~{duration} இல் பெரு வெள்ளம்',
+  'forecast.confidence.high': 'உயர் நம்பகத்தன்மை',
+  'forecast.confidence.medium': 'நடுத்தர நம்பகத்தன்மை',
+  'forecast.confidence.low': 'குறைந்த நம்பகத்தன்மை',
+  'forecast.basedOn': 'அடிப்படை: {basis}',
+
+  'history.title': 'நீர் மட்ட வரலாறு',
+  'history.range.24': '24 மணி',
+  'history.range.72': '3 நாட்கள்',
+  'history.range.168': '7 நாட்கள்',
+  'history.loading': 'வரலாறு ஏற்றப்படுகிறது...',
+  'history.empty': 'இந்தக் காலப்பகுதிக்கு வரலாறு இல்லை',
+  'history.peak': 'உச்சம்',
+  'history.belowPeak': 'தற்போது உச்சத்தை விடக் குறைவு',
+  'history.latestIsPeak': 'சமீபத்திய அளவீடே இந்தக் காலப்பகுதியில் அதிகூடியது',
+  'history.crossings': 'வரம்புக் கடப்புகள்',
+  'history.offlineCopy': 'இணைப்பற்ற நகல் சேமிக்கப்பட்டது {time}',
+
+  'chart.aria': 'நீர் மட்ட வரலாறு',
+  'chart.rose': '{time} இல் வரம்பைக் கடந்து உயர்ந்தது ({level}m)',
+  'chart.fell': '{time} இல் வரம்பிற்குக் கீழே இறங்கியது ({level}m)',
+
+  'source.lk_irrigation': 'நீர்ப்பாசனத் திணைக்களம் (lk_irrigation)',
+  'source.lk_dmc_vis': 'அனர்த்த முகாமைத்துவ நிலையம் (lk_dmc_vis)',
+  'source.sample': 'உள்ளமைந்த மாதிரித் தரவு',
+
+  'provenance.offlineTitle': 'இணைப்பு இல்லை — {age} பெறப்பட்ட கடைசித் தரவு காட்டப்படுகிறது',
+  'provenance.offlineFetched': '{time} இல் {source} இலிருந்து பெறப்பட்டது.',
+  'provenance.offlineSourceUpdated': 'மூலம் கடைசியாகப் புதுப்பிக்கப்பட்டது {time} ({age}).',
+  'provenance.mayHaveChanged': 'அதன் பின்னர் மட்டங்கள் மாறியிருக்கலாம்.',
+  'provenance.sampleTitle': 'மாதிரித் தரவு — இவை நேரலை அளவீடுகள் அல்ல',
+  'provenance.sampleDetail': 'எந்த நேரலை மூலத்தையும் அணுக முடியாததால் உள்ளமைந்த மாதிரி மதிப்புகள் காட்டப்படுகின்றன. கீழே உள்ள மட்டங்கள் அல்லது எச்சரிக்கைகளின் அடிப்படையில் செயல்பட வேண்டாம்.',
+  'provenance.backupTitle': 'காப்பு மூலம் காட்டப்படுகிறது: {source}',
+  'provenance.backupDetail': 'முதன்மை ஊட்டம் கிடைக்கவில்லை.',
+  'provenance.backupUpdated': 'காப்புத் தரவு கடைசியாகப் புதுப்பிக்கப்பட்டது {time}.',
+  'provenance.showing': 'காட்டப்படுவது: {source}',
+  'provenance.offlineCopy': '(இணைப்பற்ற நகல்)',
+  'provenance.sourceUpdated': 'மூலம் புதுப்பிக்கப்பட்டது {time}',
+  'provenance.fetched': 'பெறப்பட்டது {time}',
+  'provenance.rejected': 'சரிபார்ப்பில் {count} பதிவு(கள்) நிராகரிக்கப்பட்டன',
+  'watermark.backup': 'காப்பு மூலம்',
+  'watermark.offline': 'இணைப்பற்ற நகல்',
+  'watermark.sample': 'மாதிரித் தரவு',
+
+  'mapView.title': 'ஊடாடும் வரைபடம் - {count} நிலையங்கள்',
+  'mapView.help': 'நிலைய விவரங்களைக் காண குறிகளைச் சொடுக்கவும் • பெரிதாக்க உருட்டவும் அல்லது பொத்தான்களைப் பயன்படுத்தவும், நகர்த்த இழுக்கவும்',
+  'mapView.details': 'நிலைய விவரங்கள்',
+  'mapView.showOnMap': 'வரைபடத்தில் காட்டு',
+  'mapView.history': 'வரலாறு',
+  'mapView.hideHistory': 'வரலாற்றை மறை',
+
+  'nearby.title': 'உங்களுக்கு அருகிலுள்ள நிலையங்கள்',
+  'nearby.help': 'உங்கள் இருப்பிடத்தைப் பயன்படுத்துங்கள் அல்லது ஒரு நகரம் அல்லது அஞ்சல் குறியீட்டைத் தட்டச்சு செய்யுங்கள். உங்கள் இருப்பிடம் இந்த உலாவியிலேயே இருக்கும்.',
+  'nearby.useLocation': 'என் இருப்பிடத்தைப் பயன்படுத்து',
+  'nearby.town': 'நகரம் அல்லது அஞ்சல் குறியீடு',
+  'nearby.townPlaceholder': 'எ.கா. கடுவெல அல்லது 10640',
+  'nearby.search': 'நகரத்தைத் தேடு',
+  'nearby.radius': 'தூரம்',
+  'nearby.radiusKm': '{km} கி.மீ',
+  'nearby.locating': 'உங்கள் இருப்பிடம் கண்டறியப்படுகிறது…',
+  'nearby.denied': 'இருப்பிட அனுமதி மறுக்கப்பட்டது. பதிலாக நகரம் அல்லது அஞ்சல் குறியீட்டைத் தட்டச்சு செய்யுங்கள்.',
+  'nearby.unavailable': 'உங்கள் இருப்பிடத்தைக் கண்டறிய முடியவில்லை. பதிலாக நகரம் அல்லது அஞ்சல் குறியீட்டைத் தட்டச்சு செய்யுங்கள்.',
+  'nearby.unknownTown': 'நகரம் அல்லது அஞ்சல் குறியீடு கிடைக்கவில்லை. அருகிலுள்ள பெரிய நகரத்தை முயற்சிக்கவும்.',
+  'nearby.prompt': 'அருகிலுள்ள நிலையங்களைக் காண ஒரு இருப்பிடத்தைத் தேர்ந்தெடுக்கவும்.',
+  'nearby.fromTown': '{town} இலிருந்து {km} கி.மீ க்குள் {count} நிலையம்(கள்), அருகிலுள்ளவை முதலில்',
+  'nearby.fromLocation': 'உங்கள் இருப்பிடத்திலிருந்து {km} கி.மீ க்குள் {count} நிலையம்(கள்), அருகிலுள்ளவை முதலில்',
+  'nearby.noneInRadius': '{km} கி.மீ க்குள் நிலையங்கள் இல்லை. அருகிலுள்ளது {distance} கி.மீ தொலைவில்:',
+  'nearby.rising': 'மணிக்கு {rate} மீ உயர்கிறது',
+  'nearby.falling': 'மணிக்கு {rate} மீ குறைகிறது',
+
+  'watchlist.title': 'உங்கள் கண்காணிப்புப் பட்டியல்',
+  'watchlist.empty': 'நிலையங்களை உங்கள் சொந்த வரிசையில் இங்கே வைத்திருக்க அவற்றைப் பொருத்துங்கள். உங்கள் குழுவின் கண்காணிப்புப் பட்டியல் கோப்பை இறக்குமதி செய்யலாம்.',
+  'watchlist.export': 'ஏற்றுமதி',
+  'watchlist.exportTitle': 'பகிர்வதற்காக கண்காணிப்புப் பட்டியலை JSON கோப்பாகப் பதிவிறக்கவும்',
+  'watchlist.import': 'இறக்குமதி',
+  'watchlist.importTitle': 'கண்காணிப்புப் பட்டியலை JSON கோப்பிலுள்ளதால் மாற்றவும்',
+  'watchlist.imported': '{count} நிலையம்(கள்) இறக்குமதி செய்யப்பட்டன; {skipped} பதிவு(கள்) தவிர்க்கப்பட்டன',
+  'watchlist.confirmImport': 'நீங்கள் பொருத்திய {current} நிலையம்(கள்) இந்தக் கோப்பிலுள்ள {count} நிலையம்(கள்) மூலம் மாற்றப்படவா?',
+  'watchlist.importError': 'அந்தக் கோப்பு ஒரு கண்காணிப்புப் பட்டியல் அல்ல',
+  'watchlist.moveUp': 'மேலே நகர்த்து',
+  'watchlist.moveDown': 'கீழே நகர்த்து',
+  'watchlist.warningLevel': 'உங்கள் எச்சரிக்கை மட்டம் (மீ)',
+  'watchlist.officialAlert': '{label} {level}மீ',
+  'watchlist.noReading': '{station} க்கு தற்போதைய அளவீடு இல்லை',
+
+  'report.title': 'வெள்ள நிலைமை அறிக்கை',
+  'report.print': 'அச்சிடு / PDF ஆகச் சேமி',
+  'report.printHelp': 'அச்சிடுவது இந்த எச்சரிக்கை மட்டங்களைப் பதிவு செய்யும்; அடுத்த அறிக்கை அதன் பின் உயர்ந்த நிலையங்களைப் பட்டியலிடும்.',
+  'report.notRecorded': 'இவை நேரடி அளவீடுகள் அல்ல, எனவே இந்த அறிக்கையை அச்சிடுவது அடுத்த அறிக்கைக்காக அதன் எச்சரிக்கை மட்டங்களைப் பதிவு செய்யாது.',
+  'report.generatedAt': 'தயாரிக்கப்பட்டது {time}',
+  'report.dataSource': 'தரவு: {source}, பெறப்பட்டது {time}.',
+  'report.sourceUpdated': 'மூலம் கடைசியாகப் புதுப்பிக்கப்பட்டது {time}.',
+  'report.offlineWarning': 'ஆஃப்லைன் நகல்: இந்த அளவீடுகள் பழையதாக இருக்கலாம்.',
+  'report.overview': 'மேலோட்டம்',
+  'report.highestBasins': 'அதிக அபாயமுள்ள வடிநிலங்கள்: {basins}',
+  'report.atRisk': 'எச்சரிக்கை அல்லது அதற்கு மேல் உள்ள நிலையங்கள் ({count})',
+  'report.noneAtRisk': 'எச்சரிக்கை அல்லது அதற்கு மேல் எந்த நிலையமும் இல்லை.',
+  'report.station': 'நிலையம்',
+  'report.alert': 'எச்சரிக்கை மட்டம்',
+  'report.level': 'மட்டம்',
+  'report.margin': 'பெரும் வெள்ள இடைவெளி',
+  'report.belowMajor': '{margin} மீ கீழே',
+  'report.aboveMajor': '{margin} மீ மேலே',
+  'report.trend': 'போக்கு',
+  'report.measured': 'அளவிடப்பட்டது',
+  'report.escalated': 'புதிதாக உயர்ந்தவை',
+  'report.since': '{time} அச்சிடப்பட்ட அறிக்கையிலிருந்து',
+  'report.noPrevious': 'இந்த உலாவியிலிருந்து முந்தைய அறிக்கை எதுவும் அச்சிடப்படவில்லை.',
+  'report.noneEscalated': 'எந்த நிலையமும் உயரவில்லை.',
+  'report.escalatedEntry': '{station} ({river}): {from} இலிருந்து {to}',
+  'report.contacts': 'அவசரத் தொடர்புகள்',
+  'report.emergencyServices': 'அவசர சேவைகள்',
+
+  'map.aria': 'இலங்கையின் கண்காணிப்பு நிலையங்களின் வரைபடம்',
+  'map.rising': 'உயர்கிறது',
+  'map.falling': 'குறைகிறது',
+  'map.measured': 'அளவிடப்பட்டது {time}',
+  'map.locationUnknown': 'இருப்பிடம் தெரியவில்லை, வரைபடத்தின் நடுவில் காட்டப்பட்டுள்ளது',
+  'map.zoomIn': 'பெரிதாக்கு',
+  'map.zoomOut': 'சிறிதாக்கு',
+  'map.resetView': 'காட்சியை மீட்டமை',
+  'map.majorRivers': 'பிரதான ஆறுகள்',
+  'map.rainLayer': 'மழைவீழ்ச்சி (24 மணி)',
+  'map.showRain': 'மழைவீழ்ச்சியைக் காட்டு',
+  'map.hideRain': 'மழைவீழ்ச்சியை மறை',
+  'map.rainGauge': '{gauge}: 24 மணி நேரத்தில் {mm} மி.மீ',
+
+  'profile.title': 'ஆற்று விவரக்கோடு - {river}',
+  'profile.help': 'மூலத்திலிருந்து முகத்துவாரம் வரையான அளவீட்டு நிலையங்கள். மட்டங்கள் ஒவ்வொரு நிலையத்தின் பெரு வெள்ள மட்டத்தின் சதவீதமாகக் காட்டப்பட்டுள்ளன; பயண நேரங்கள் தோராயமானவை.',
+  'profile.risingUpstream': '{station} இற்கு மேல்நீரோட்டத்தில் உயர்கிறது',
+  'profile.warningLevel': '{station} {level}m',
+  'profile.warningRate': 'மணிக்கு {rate} m உயர்கிறது',
+  'profile.warningReaches': '~{hours} மணி நேரத்தில் {station} ஐ வந்தடையும்',
+  'profile.chartAria': 'மூலத்திலிருந்து முகத்துவாரம் வரையான ஆற்று மட்ட விவரக்கோடு',
+  'profile.major': 'பெரு',
+  'profile.percentOfMajor': 'பெரு வெள்ள மட்டத்தின் %',
+  'profile.source': 'மூலம்',
+  'profile.mouth': 'முகத்துவாரம் →',
+  'profile.noData': 'தரவு இல்லை',
+  'profile.pointTitle': '{station}: {level}m ({alert}) {time}',
+
+  'watch.title': 'கண்காணிப்பு அறிவிப்புகள்',
+  'watch.unsupported': 'இந்த உலாவி அறிவிப்புகளை ஆதரிக்கவில்லை.',
+  'watch.blocked': 'அறிவிப்புகள் தடுக்கப்பட்டுள்ளன. உங்கள் உலாவியின் தள அமைப்புகளில் அவற்றை அனுமதிக்கவும்.',
+  'watch.enable': 'உலாவி அறிவிப்புகளை இயக்கு',
+  'watch.rivers': 'முழு ஆறுகள்',
+  'watch.stations': 'தனி நிலையங்கள்',
+  'watch.explain': 'கண்காணிக்கப்படும் நிலையத்தின் எச்சரிக்கை மட்டம் உயரும்போது உங்களுக்கு அறிவிக்கப்படும். இந்தப் பக்கம் அல்லது நிறுவப்பட்ட செயலி திறந்திருக்கும்போது ஒவ்வொரு புதுப்பிப்பிலும் சரிபார்க்கப்படும்.',
+  'watch.rateLimit': 'இதை விட வேகமாக உயரும்போதும் அறிவி',
+  'watch.off': 'முடக்கம்',
+  'watch.staleLimit': 'தரவு ஊட்டத்தில் புதிய அளவீடுகள் இல்லாதபோது அறிவி, கால அளவு',
+  'watch.hours': 'மணி நேரம்',
+
+  'notify.alertTitle': '{station}: {alert}',
+  'notify.alertBody': '{river} {level}m வரை உயர்ந்துள்ளது.',
+  'notify.rateTitle': '{station} வேகமாக உயர்கிறது',
+  'notify.rateBody': 'மணிக்கு {rate} m உயர்கிறது (உங்கள் வரம்பு: மணிக்கு {limit} m). மட்டம் {level}m.',
+  'notify.staleTitle': 'வெள்ளத் தரவு புதுப்பிக்கப்படவில்லை',
+  'notify.staleUnreachable': 'நேரலை ஆற்றுத் தரவை அணுக முடியவில்லை.',
+  'notify.staleBody': '{hours} மணி நேரத்திற்கும் மேலாகப் புதிய அளவீடுகள் இல்லை.',
+
+  'export.label': 'ஏற்றுமதி:',
+  'export.csvTitle': '{count} அளவீடுகளை CSV ஆகப் பதிவிறக்கு',
+  'export.geoJsonTitle': '{count} அளவீடுகளை GeoJSON ஆகப் பதிவிறக்கு',
+
+  'risk.title': 'வெள்ள அபாய விவரம்',
+  'risk.stationScore': 'ஒவ்வொரு நிலையமும் அதன் எச்சரிக்கை நிலைக்கான புள்ளிகளைப் ({points}) பெறுகிறது; உயரும்போது {rising} அல்லது மணிக்கு {rate} m ஐ விட வேகமாக உயரும்போது {fastRise} கூடுதலாக, அதிகபட்சம் 100.',
+  'risk.rainScore': 'நீரேந்து பகுதியில் 24 மணி நேரத்தில் {rainMm} மி.மீ முதல் மழை பெய்தால் {rain}, {heavyRainMm} மி.மீ முதல் {heavyRain} சேர்க்கப்படும்.',
+  'risk.combine': 'ஒவ்வொரு வடிநிலமும் தன் மதிப்பெண்ணில் {peak}% ஐ அதிக மதிப்பெண் பெற்ற நிலையத்திலிருந்தும் {average}% ஐ அனைத்து நிலையங்களின் சராசரியிலிருந்தும் பெறுகிறது; முக்கிய நிலையங்கள் {critical}× ஆகக் கணக்கிடப்படும். தேசிய மதிப்பெண் வடிநிலங்களை அதே முறையில் இணைக்கிறது.',
+  'risk.none': 'மதிப்பிட நிலையங்கள் இல்லை.',
+  'risk.contribution': 'தேசிய மதிப்பெண்ணில் {points} புள்ளிகள்',
+  'risk.station': 'நிலையம்',
+  'risk.alertPoints': 'எச்சரிக்கைப் புள்ளிகள்',
+  'risk.trendPoints': 'உயர்வுப் புள்ளிகள்',
+  'risk.rainPoints': 'மழைப் புள்ளிகள்',
+  'risk.weight': 'எடை',
+  'risk.basinShare': 'வடிநில மதிப்பெண்ணில் புள்ளிகள்',
+  'risk.showStations': '{basin} நிலையங்களைக் காட்டு',
+
+  'replay.title': 'மீள் இயக்கம்',
+  'replay.showing': '{time} காட்டப்படுகிறது',
+  'replay.exit': 'மீள் இயக்கத்திலிருந்து வெளியேறி நேரடி அளவீடுகளைக் காட்டு',
+  'replay.from': 'இருந்து',
+  'replay.to': 'வரை',
+  'replay.load': 'பதிவுகளை ஏற்று',
+  'replay.limit': 'அதிகபட்சம் {count} பதிவுகள்; நீண்ட காலங்கள் சீராகக் குறைக்கப்படும்.',
+  'replay.listing': 'பதிவுகளைத் தேடுகிறது...',
+  'replay.loading': '{total} இல் {loaded} பதிவு ஏற்றப்படுகிறது...',
+  'replay.empty': 'இந்தக் காலப்பகுதியில் பதிவுகள் எதுவும் இல்லை.',
+  'replay.error': 'பதிவுப் பட்டியலை ஏற்ற முடியவில்லை.',
+  'replay.previous': 'முந்தைய பதிவு',
+  'replay.next': 'அடுத்த பதிவு',
+  'replay.play': 'இயக்கு',
+  'replay.pause': 'இடைநிறுத்து',
+  'replay.position': 'மீள் இயக்க நிலை',
+  'replay.frame': '{count} இல் {index}',
+  'replay.speed': 'வேகம்',
+
+  'install.button': 'செயலியை நிறுவு',
+  'install.title': 'இணைப்பின்றிப் பயன்படுத்த இந்தச் சாதனத்தில் நிறுவவும்',
+
+  'cap.title': 'CAP எச்சரிக்கை ஊட்டம்',
+  'cap.intro': 'எச்சரிக்கை மட்டம் அல்லது அதற்கு மேலுள்ள ஒவ்வொரு நிலையத்திற்குமான Common Alerting Protocol (CAP 1.2) செய்திகள், ஏனைய எச்சரிக்கை அமைப்புகளில் பயன்படுத்துவதற்கு. செய்திகள் ஆங்கிலத்தில் உள்ளன.',
+  'cap.published': 'வெளியிடப்பட்ட ஊட்டம் தளம் ஒவ்வொரு முறை வெளியிடப்படும்போதும் மீண்டும் உருவாக்கப்படும்; கீழே உள்ள பதிவிறக்கங்கள் திரையில் உள்ள அளவீடுகளைக் காட்டுகின்றன.',
+  'cap.openPublished': 'வெளியிடப்பட்ட ஊட்டத்தைத் திற',
+  'cap.sampleNote': 'மாதிரித் தரவு சோதனைச் செய்தியாகக் குறிக்கப்படும்.',
+  'cap.cachedNote': 'ஆஃப்லைன் நகல்களின் அளவீடுகள் பழையதாக இருக்கலாம் என்பதால் அவை சோதனைச் செய்திகளாகக் குறிக்கப்படும்.',
+  'cap.none': 'எச்சரிக்கை மட்டம் அல்லது அதற்கு மேல் நிலையங்கள் இல்லாததால் CAP செய்திகள் இல்லை.',
+  'cap.downloadIndex': 'Atom சுட்டெண்ணைப் பதிவிறக்கு ({count} எச்சரிக்கைகள்)'
+};
+
+export default ta;
@@ -0,0 +1,37 @@
+// src/i18n/places.js
+// Sinhala and Tamil names for stations and rivers, keyed by the English name
+// used in the data feeds. Names not listed here are shown as they arrive.
+export const PLACE_NAMES = {
+  // Stations
+  'Nagalagam Street': { si: 'නාගලම් වීදිය', ta: 'நாகலகம் வீதி' },
+  'Peradeniya': { si: 'පේරාදෙණිය', ta: 'பேராதனை' },
+  'Moragaswewa': { si: 'මොරගස්වැව', ta: 'மொரகஸ்வெவ' },
+  'Thanthirimale': { si: 'තන්තිරිමලේ', ta: 'தந்திரிமலை' },
+  'Hanwella': { si: 'හංවැල්ල', ta: 'ஹன்வெல்ல' },
+  'Glencourse': { si: 'ග්ලෙන්කෝස්', ta: 'கிளென்கோர்ஸ்' },
+  'Kitulgala': { si: 'කිතුල්ගල', ta: 'கித்துல்கல' },
+  'Rathnapura': { si: 'රත්නපුර', ta: 'இரத்தினபுரி' },
+  'Ellagawa': { si: 'ඇල්ලගාව', ta: 'எல்லகாவ' },
+  'Putupaula': { si: 'පුටුපාවුල', ta: 'புட்டுபாவுல' },
+  'Kalawellawa': { si: 'කලවැල්ලාව', ta: 'களவெல்லாவ' },
+  'Nawalapitiya': { si: 'නාවලපිටිය', ta: 'நாவலப்பிட்டி' },
+  'Weraganthota': { si: 'වෑරගන්තොට', ta: 'வேரகந்தோட்டை' },
+  'Manampitiya': { si: 'මනම්පිටිය', ta: 'மன்னம்பிட்டி' },
+  'Thawalama': { si: 'තවලම', ta: 'தவலம' },
+  'Baddegama': { si: 'බද්දේගම', ta: 'பத்தேகம' },
+  'Pitabeddara': { si: 'පිටබැද්දර', ta: 'பிட்டபெத்தர' },
+  'Urawa': { si: 'උරාව', ta: 'உராவ' },
+  'Panadugama': { si: 'පනඩුගම', ta: 'பனடுகம' },
+  'Thalgahagoda': { si: 'තල්ගහගොඩ', ta: 'தல்கஹகொட' },
+
+  // Rivers
+  'Kelani Ganga': { si: 'කැලණි ගඟ', ta: 'களனி கங்கை' },
+  'Mahaweli Ganga': { si: 'මහවැලි ගඟ', ta: 'மகாவலி கங்கை' },
+  'Kalu Ganga': { si: 'කළු ගඟ', ta: 'களு கங்கை' },
+  'Gin Ganga': { si: 'ගිං ගඟ', ta: 'ஜின் கங்கை' },
+  'Nilwala Ganga': { si: 'නිල්වලා ගඟ', ta: 'நில்வளா கங்கை' },
+  'Walawe Ganga': { si: 'වලවේ ගඟ', ta: 'வளவே கங்கை' },
+  'Deduru Oya': { si: 'දැදුරු ඔය', ta: 'தெதுரு ஓயா' },
+  'Malwathu Oya': { si: 'මල්වතු ඔය', ta: 'மல்வத்து ஓயா' },
+  'Unknown River': { si: 'නොදන්නා ගඟ', ta: 'அறியப்படாத ஆறு' }
+};
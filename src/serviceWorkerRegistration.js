@@ -0,0 +1,20 @@
+// src/serviceWorkerRegistration.js
+// Registers public/service-worker.js so the app shell works offline
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error(error.message));
+};
@@ -0,0 +1,203 @@
+// src/services/capFeed.js
+// Common Alerting Protocol (CAP 1.2) messages for stations at Alert or above,
+// plus an Atom index linking them, so warnings can be picked up by other
+// alerting systems. Used by the app (downloads) and scripts/build-cap-feed.mjs.
+import { getAlertSeverity, getStationThresholds } from './dataService.js';
+
+export const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+export const DEFAULT_SENDER = 'lk-flood-monitor@dehanvithana.github.io';
+export const DEFAULT_AREA_RADIUS_KM = 5;
+export const ALERT_VALID_HOURS = 6;
+
+// Rate of rise (m/hr) that raises the CAP severity by one step
+export const FAST_RISE_RATE = 0.05;
+
+const SEVERITIES = ['Minor', 'Moderate', 'Severe', 'Extreme'];
+
+// Indexed by alert severity (1 = Alert, 2 = Minor Flood, 3 = Major Flood)
+const LEVEL_DETAILS = {
+  1: { name: 'Alert', response: 'Monitor', instruction: 'Water levels are above normal. Stay informed and be ready to act if levels keep rising.' },
+  2: { name: 'Minor Flood', response: 'Prepare', instruction: 'Flooding of low-lying areas is possible. Move valuables to higher ground and prepare to leave if advised.' },
+  3: { name: 'Major Flood', response: 'Evacuate', instruction: 'Major flooding is occurring or imminent. Follow instructions from local authorities and move to safe ground.' }
+};
+
+const EMERGENCY_NOTE = 'Disaster Management Centre hotline: 117.';
+
+/**
+ * Escape text for use in XML content and attribute values
+ */
+export const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * CAP dateTime: ISO 8601 without fractions and with an explicit offset ("Z" is not allowed)
+ */
+export const formatCapDate = (date) => new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+
+/**
+ * Lower-case, dash-separated form of a station name for identifiers and file names
+ */
+export const slugify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * CAP severity from the alert level, one step higher when rising fast
+ */
+export const getCapSeverity = (station) => {
+  const step = getAlertSeverity(station.alert) - 1 + (station.rateOfRise !== null && station.rateOfRise >= FAST_RISE_RATE ? 1 : 0);
+  return SEVERITIES[Math.max(0, Math.min(step, SEVERITIES.length - 1))];
+};
+
+/**
+ * CAP urgency: Immediate at Major Flood or when rising fast, Expected while rising, otherwise Future
+ */
+export const getCapUrgency = (station) => {
+  if (getAlertSeverity(station.alert) >= 3) return 'Immediate';
+  if (station.rateOfRise !== null && station.rateOfRise >= FAST_RISE_RATE) return 'Immediate';
+  return station.rising ? 'Expected' : 'Future';
+};
+
+/**
+ * Stations that get a CAP message: Alert and above, leaving out readings the
+ * data-quality checks exclude (spikes, out-of-range values and duplicates)
+ * and stale ones, which would be issued as if they were current
+ */
+export const getCapStations = (stations) => stations.filter(station =>
+  getAlertSeverity(station.alert) >= 1 &&
+  !(station.quality && (station.quality.weight === 0 || station.quality.flags.includes('stale'))));
+
+const parameter = (name, value) => `    <parameter>
+      <valueName>${escapeXml(name)}</valueName>
+      <value>${escapeXml(value)}</value>
+    </parameter>`;
+
+/**
+ * Build one CAP 1.2 alert for a station reading.
+ *
+ * Options: sender, status ('Actual' or 'Test'), sent (when the alert is
+ * issued, default now; it expires ALERT_VALID_HOURS later), radiusKm.
+ * Stations without a known location get an area description but no circle.
+ * Returns { identifier, fileName, station, alert, headline, severity, urgency, sent, xml }.
+ */
+export const buildCapAlert = (station, options = {}) => {
+  const {
+    sender = DEFAULT_SENDER,
+    status = 'Actual',
+    sent = new Date(),
+    radiusKm = DEFAULT_AREA_RADIUS_KM
+  } = options;
+
+  const details = LEVEL_DETAILS[getAlertSeverity(station.alert)] || LEVEL_DETAILS[1];
+  const thresholds = getStationThresholds(station.station);
+  const severity = getCapSeverity(station);
+  const urgency = getCapUrgency(station);
+  const sentAt = formatCapDate(sent);
+  const expires = formatCapDate(new Date(sent).getTime() + ALERT_VALID_HOURS * 60 * 60 * 1000);
+  const identifier = `${sender.split('@')[0]}-${slugify(station.station)}-${sentAt.replace(/\D/g, '').slice(0, 12)}`;
+
+  const trend = station.rateOfRise === null
+    ? ''
+    : ` and ${station.rising ? 'rising' : 'falling'} at ${Math.abs(station.rateOfRise).toFixed(3)} m/hr`;
+  const description = `${station.station} on the ${station.river} measured ${station.level.toFixed(2)} m at ` +
+    `${formatCapDate(station.lastMeasured)}${trend}. Thresholds: Alert ${thresholds.alert.toFixed(2)} m, ` +
+    `Minor Flood ${thresholds.minor.toFixed(2)} m, Major Flood ${thresholds.major.toFixed(2)} m` +
+    `${thresholds.isDefault ? ' (default values, no official thresholds for this station)' : ''}.`;
+
+  const area = station.coordinatesEstimated
+    ? `      <areaDesc>${escapeXml(`Near the ${station.station} gauge, ${station.river} (exact location not known)`)}</areaDesc>`
+    : `      <areaDesc>${escapeXml(`Within ${radiusKm} km of the ${station.station} gauge, ${station.river}`)}</areaDesc>
+      <circle>${station.coordinates.lat.toFixed(5)},${station.coordinates.lng.toFixed(5)} ${radiusKm}</circle>`;
+  const parameters = [
+    parameter('waterLevelMetres', station.level.toFixed(2)),
+    parameter('alertLevel', details.name),
+    parameter('alertThresholdMetres', thresholds.alert.toFixed(2)),
+    parameter('minorFloodThresholdMetres', thresholds.minor.toFixed(2)),
+    parameter('majorFloodThresholdMetres', thresholds.major.toFixed(2))
+  ];
+  if (station.rateOfRise !== null) parameters.push(parameter('rateOfRiseMetresPerHour', station.rateOfRise.toFixed(3)));
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<alert xmlns="${CAP_NAMESPACE}">
+  <identifier>${escapeXml(identifier)}</identifier>
+  <sender>${escapeXml(sender)}</sender>
+  <sent>${sentAt}</sent>
+  <status>${escapeXml(status)}</status>
+  <msgType>Alert</msgType>
+  <scope>Public</scope>
+  <info>
+    <language>en-US</language>
+    <category>Met</category>
+    <event>River Flood</event>
+    <responseType>${details.response}</responseType>
+    <urgency>${urgency}</urgency>
+    <severity>${severity}</severity>
+    <certainty>Observed</certainty>
+    <effective>${sentAt}</effective>
+    <expires>${expires}</expires>
+    <senderName>Sri Lanka Flood Monitor</senderName>
+    <headline>${escapeXml(`${details.name}: ${station.station} (${station.river})`)}</headline>
+    <description>${escapeXml(description)}</description>
+    <instruction>${escapeXml(`${details.instruction} ${EMERGENCY_NOTE}`)}</instruction>
+${parameters.join('\n')}
+    <area>
+${area}
+    </area>
+  </info>
+</alert>
+`;
+
+  return {
+    identifier,
+    fileName: `${slugify(station.station)}.xml`,
+    station: station.station,
+    alert: station.alert,
+    headline: `${details.name}: ${station.station} (${station.river})`,
+    severity,
+    urgency,
+    sent: sentAt,
+    xml
+  };
+};
+
+/**
+ * CAP alerts for every station at Alert or above, most severe first.
+ * `stations` should have been through assessReadings (see getCapStations).
+ * Sample data and offline copies (options isSample, isCached) are always
+ * marked status "Test": they are not current observations.
+ */
+export const buildCapAlerts = (stations, options = {}) => {
+  const status = options.isSample || options.isCached ? 'Test' : options.status;
+  return [...getCapStations(stations)]
+    .sort((a, b) => getAlertSeverity(b.alert) - getAlertSeverity(a.alert))
+    .map(station => buildCapAlert(station, { ...options, status }));
+};
+
+/**
+ * Atom feed listing CAP alerts. Entry links point to `${baseUrl}/${fileName}`.
+ */
+export const buildAtomIndex = (alerts, options = {}) => {
+  const { baseUrl = '.', updated = new Date(), title = 'Sri Lanka Flood Monitor - River flood alerts' } = options;
+  const updatedAt = new Date(updated).toISOString();
+  const feedUrl = `${baseUrl}/index.atom`;
+
+  const entries = alerts.map(alert => `  <entry>
+    <id>urn:cap:${escapeXml(alert.identifier)}</id>
+    <title>${escapeXml(alert.headline)}</title>
+    <updated>${new Date(alert.sent).toISOString()}</updated>
+    <summary>${escapeXml(`Severity ${alert.severity}, urgency ${alert.urgency}`)}</summary>
+    <link rel="alternate" type="application/cap+xml" href="${escapeXml(`${baseUrl}/${alert.fileName}`)}"/>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${updatedAt}</updated>
+  <author><name>Sri Lanka Flood Monitor</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+${entries.join('\n')}${entries.length ? '\n' : ''}</feed>
+`;
+};
@@ -0,0 +1,122 @@
+// src/services/capFeed.test.js
+import {
+  ALERT_VALID_HOURS,
+  buildAtomIndex,
+  buildCapAlert,
+  buildCapAlerts,
+  escapeXml,
+  formatCapDate,
+  getCapSeverity,
+  getCapStations,
+  getCapUrgency
+} from './capFeed';
+
+const SENT = new Date('2026-01-10T06:30:00Z');
+
+const station = (name, alert, extra = {}) => ({
+  station: name,
+  river: 'Kelani Ganga',
+  alert,
+  level: 6.2,
+  rising: false,
+  rateOfRise: null,
+  lastMeasured: '2026-01-10T06:00:00Z',
+  coordinates: { lat: 6.9, lng: 80.08 },
+  coordinatesEstimated: false,
+  quality: { flags: [], weight: 1 },
+  ...extra
+});
+
+describe('CAP values', () => {
+  it('formats dates with an explicit offset and no fractions', () => {
+    expect(formatCapDate('2026-01-10T06:30:00.123Z')).toBe('2026-01-10T06:30:00+00:00');
+  });
+
+  it('escapes XML special characters', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+
+  it('raises severity and urgency one step when rising fast', () => {
+    expect(getCapSeverity(station('A', 'alert'))).toBe('Minor');
+    expect(getCapSeverity(station('A', 'minor', { rising: true, rateOfRise: 0.05 }))).toBe('Severe');
+    expect(getCapSeverity(station('A', 'major', { rising: true, rateOfRise: 0.2 }))).toBe('Extreme');
+    expect(getCapUrgency(station('A', 'alert'))).toBe('Future');
+    expect(getCapUrgency(station('A', 'alert', { rising: true, rateOfRise: 0.01 }))).toBe('Expected');
+    expect(getCapUrgency(station('A', 'alert', { rising: true, rateOfRise: 0.05 }))).toBe('Immediate');
+    expect(getCapUrgency(station('A', 'major'))).toBe('Immediate');
+  });
+});
+
+describe('getCapStations', () => {
+  it('keeps current readings at Alert or above', () => {
+    const stations = [station('A', 'normal'), station('B', 'alert'), station('C', 'major')];
+    expect(getCapStations(stations).map(item => item.station)).toEqual(['B', 'C']);
+  });
+
+  it('leaves out excluded, duplicate and stale readings', () => {
+    const stations = [
+      station('A', 'major', { quality: { flags: ['spike'], weight: 0 } }),
+      station('B', 'major', { quality: { flags: ['duplicate'], weight: 0 } }),
+      station('C', 'major', { quality: { flags: ['stale'], weight: 0.25 } }),
+      station('D', 'major', { quality: { flags: ['missingCoordinates'], weight: 1 } })
+    ];
+    expect(getCapStations(stations).map(item => item.station)).toEqual(['D']);
+  });
+});
+
+describe('buildCapAlert', () => {
+  it('dates the alert when sent and expires it ALERT_VALID_HOURS later', () => {
+    const alert = buildCapAlert(station('Hanwella', 'minor'), { sent: SENT });
+    expect(alert.sent).toBe('2026-01-10T06:30:00+00:00');
+    expect(alert.xml).toContain('<effective>2026-01-10T06:30:00+00:00</effective>');
+    expect(alert.xml).toContain(`<expires>${formatCapDate(SENT.getTime() + ALERT_VALID_HOURS * 60 * 60 * 1000)}</expires>`);
+    expect(alert.identifier).toBe('lk-flood-monitor-hanwella-202601100630');
+    expect(alert.fileName).toBe('hanwella.xml');
+  });
+
+  it('describes the area with a circle around a known gauge', () => {
+    const { xml } = buildCapAlert(station('Hanwella', 'minor'), { sent: SENT });
+    expect(xml).toContain('<circle>6.90000,80.08000 5</circle>');
+  });
+
+  it('leaves the circle out when the location is estimated', () => {
+    const { xml } = buildCapAlert(station('Hanwella', 'minor', { coordinatesEstimated: true }), { sent: SENT });
+    expect(xml).not.toContain('<circle>');
+    expect(xml).toContain('exact location not known');
+  });
+});
+
+describe('buildCapAlerts', () => {
+  it('orders alerts most severe first', () => {
+    const alerts = buildCapAlerts([station('A', 'alert'), station('B', 'major'), station('C', 'minor')], { sent: SENT });
+    expect(alerts.map(alert => alert.station)).toEqual(['B', 'C', 'A']);
+    expect(alerts[0].xml).toContain('<status>Actual</status>');
+  });
+
+  it('marks alerts from sample data and offline copies as Test', () => {
+    expect(buildCapAlerts([station('A', 'major')], { isSample: true })[0].xml).toContain('<status>Test</status>');
+    expect(buildCapAlerts([station('A', 'major')], { isCached: true })[0].xml).toContain('<status>Test</status>');
+  });
+
+  it('writes one file per station when the source repeats a station', () => {
+    const alerts = buildCapAlerts([
+      station('A', 'major'),
+      station('A', 'minor', { quality: { flags: ['duplicate'], weight: 0 } })
+    ], { sent: SENT });
+    expect(alerts.map(alert => alert.fileName)).toEqual(['a.xml']);
+  });
+});
+
+describe('buildAtomIndex', () => {
+  it('links every alert file under baseUrl', () => {
+    const alerts = buildCapAlerts([station('Hanwella', 'major')], { sent: SENT });
+    const atom = buildAtomIndex(alerts, { baseUrl: 'https://example.org/cap', updated: SENT });
+    expect(atom).toContain('<link rel="self" type="application/atom+xml" href="https://example.org/cap/index.atom"/>');
+    expect(atom).toContain('href="https://example.org/cap/hanwella.xml"');
+    expect(atom).toContain('<updated>2026-01-10T06:30:00.000Z</updated>');
+  });
+
+  it('writes a valid empty feed without alerts', () => {
+    expect(buildAtomIndex([], { updated: SENT })).not.toContain('<entry>');
+  });
+});
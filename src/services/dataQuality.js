@@ -0,0 +1,102 @@
+// src/services/dataQuality.js
+// Plausibility checks on station readings. Each reading gets a `quality`
+// field of { flags, weight }: flags name the problems found and weight says
+// how much the reading should count in the risk score and alert summaries
+// (1 = fully, 0 = not at all). Readings are flagged, never removed, so the
+// cards can still show them.
+
+export const STALE_HOURS = 24;
+
+// Physically plausible gauge range (m) and rate of change (m/hr)
+export const MIN_LEVEL = 0;
+export const MAX_LEVEL = 100;
+export const MAX_RATE = 5;
+
+// A jump from the previous reading is a spike when it is at least this many
+// metres and faster than SPIKE_RATE (m/hr)
+export const SPIKE_MIN_CHANGE = 1;
+export const SPIKE_RATE = 1;
+
+// Weight of a stale reading; flags not listed here don't affect the weight
+export const STALE_WEIGHT = 0.25;
+const EXCLUDING_FLAGS = ['outOfRange', 'duplicate', 'spike'];
+
+export const QUALITY_FLAGS = ['stale', 'spike', 'outOfRange', 'duplicate', 'missingCoordinates'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const isOutOfRange = (station) =>
+  station.level < MIN_LEVEL ||
+  station.level > MAX_LEVEL ||
+  (station.rateOfRise !== null && Math.abs(station.rateOfRise) > MAX_RATE);
+
+/**
+ * Whether the level moved implausibly fast since the previous reading
+ */
+const isSpike = (station, previous) => {
+  if (!previous) return false;
+  const hours = (new Date(station.lastMeasured) - new Date(previous.lastMeasured)) / HOUR_MS;
+  // Same measurement fetched again, or readings out of order
+  if (!(hours > 0)) return false;
+  const change = Math.abs(station.level - previous.level);
+  return change >= SPIKE_MIN_CHANGE && change / hours > SPIKE_RATE;
+};
+
+/**
+ * Weight for a set of flags (see STALE_WEIGHT and EXCLUDING_FLAGS)
+ */
+export const getQualityWeight = (flags) => {
+  if (flags.some(flag => EXCLUDING_FLAGS.includes(flag))) return 0;
+  return flags.includes('stale') ? STALE_WEIGHT : 1;
+};
+
+/**
+ * Flag every reading and return new station records with `quality` set.
+ *
+ * previousStations are the last accepted readings (see getAcceptedReadings)
+ * and are used to spot spikes. When a station appears more than
+ * once, its most recent reading is kept and the others are duplicates.
+ */
+export const assessReadings = (stations, { previousStations = [], now = new Date() } = {}) => {
+  const previousByName = new Map(previousStations.map(station => [station.station, station]));
+
+  const newest = new Map();
+  stations.forEach((station, index) => {
+    const kept = newest.get(station.station);
+    if (kept === undefined || new Date(station.lastMeasured) > new Date(stations[kept].lastMeasured)) {
+      newest.set(station.station, index);
+    }
+  });
+
+  return stations.map((station, index) => {
+    const flags = [];
+    const age = (now - new Date(station.lastMeasured)) / HOUR_MS;
+    if (!(age <= STALE_HOURS)) flags.push('stale');
+    if (isSpike(station, previousByName.get(station.station))) flags.push('spike');
+    if (isOutOfRange(station)) flags.push('outOfRange');
+    if (newest.get(station.station) !== index) flags.push('duplicate');
+    if (station.coordinatesEstimated) flags.push('missingCoordinates');
+
+    return { ...station, quality: { flags, weight: getQualityWeight(flags) } };
+  });
+};
+
+/**
+ * The baseline for the next spike check: each station's latest reading that
+ * was not excluded (spike, out of range or duplicate), otherwise the one it
+ * had in `previousStations`. Comparing with the last accepted reading keeps a
+ * spike flagged until the gauge settles, and the recovery after it unflagged.
+ */
+export const getAcceptedReadings = (stations, previousStations = []) => {
+  const accepted = new Map(previousStations.map(station => [station.station, station]));
+  stations.forEach(station => {
+    if (station.quality && station.quality.weight === 0) return;
+    accepted.set(station.station, { station: station.station, level: station.level, lastMeasured: station.lastMeasured });
+  });
+  return [...accepted.values()];
+};
+
+/**
+ * Whether a reading counts fully in summaries. Readings never assessed count.
+ */
+export const isReliable = (station) => !station.quality || station.quality.weight === 1;
@@ -0,0 +1,94 @@
+// src/services/dataQuality.test.js
+import { STALE_WEIGHT, assessReadings, getAcceptedReadings, getQualityWeight, isReliable } from './dataQuality';
+
+const NOW = new Date('2026-01-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const reading = (level, hours = 1, extra = {}) => ({
+  station: 'Hanwella',
+  river: 'Kelani Ganga',
+  level,
+  rateOfRise: 0,
+  lastMeasured: hoursAgo(hours),
+  ...extra
+});
+
+const flagsOf = (stations) => stations.map(station => station.quality.flags);
+
+describe('getQualityWeight', () => {
+  it('counts clean readings fully, stale ones partly and excluded ones not at all', () => {
+    expect(getQualityWeight([])).toBe(1);
+    expect(getQualityWeight(['missingCoordinates'])).toBe(1);
+    expect(getQualityWeight(['stale'])).toBe(STALE_WEIGHT);
+    expect(getQualityWeight(['stale', 'spike'])).toBe(0);
+    expect(getQualityWeight(['outOfRange'])).toBe(0);
+    expect(getQualityWeight(['duplicate'])).toBe(0);
+  });
+});
+
+describe('assessReadings', () => {
+  it('flags readings older than a day as stale', () => {
+    expect(flagsOf(assessReadings([reading(2, 25)], { now: NOW }))).toEqual([['stale']]);
+    expect(flagsOf(assessReadings([reading(2, 23)], { now: NOW }))).toEqual([[]]);
+  });
+
+  it('flags implausible levels and rates as out of range', () => {
+    const stations = assessReadings([reading(-1), reading(150, 1, { station: 'B' }), reading(2, 1, { station: 'C', rateOfRise: 6 })], { now: NOW });
+    expect(flagsOf(stations)).toEqual([['outOfRange'], ['outOfRange'], ['outOfRange']]);
+  });
+
+  it('keeps the newest of repeated station records and flags the others as duplicates', () => {
+    const stations = assessReadings([reading(2, 3), reading(2.1, 1), reading(2.2, 2)], { now: NOW });
+    expect(flagsOf(stations)).toEqual([['duplicate'], [], ['duplicate']]);
+    expect(stations.map(station => station.quality.weight)).toEqual([0, 1, 0]);
+  });
+
+  it('flags a fast jump from the previous reading as a spike', () => {
+    const previousStations = [reading(2, 2)];
+    expect(flagsOf(assessReadings([reading(8, 1)], { previousStations, now: NOW }))).toEqual([['spike']]);
+    expect(flagsOf(assessReadings([reading(2.5, 1)], { previousStations, now: NOW }))).toEqual([[]]);
+  });
+
+  it('does not treat the same measurement fetched again as a spike', () => {
+    const previousStations = [reading(2, 1)];
+    expect(flagsOf(assessReadings([reading(8, 1)], { previousStations, now: NOW }))).toEqual([[]]);
+  });
+
+  it('notes estimated coordinates without lowering the weight', () => {
+    const [station] = assessReadings([reading(2, 1, { coordinatesEstimated: true })], { now: NOW });
+    expect(station.quality).toEqual({ flags: ['missingCoordinates'], weight: 1 });
+  });
+});
+
+describe('getAcceptedReadings', () => {
+  it('keeps the last accepted reading through a spike and accepts the recovery', () => {
+    let baseline = getAcceptedReadings(assessReadings([reading(2, 3)], { now: NOW }));
+
+    const spike = assessReadings([reading(8, 2)], { previousStations: baseline, now: NOW });
+    expect(flagsOf(spike)).toEqual([['spike']]);
+    baseline = getAcceptedReadings(spike, baseline);
+    expect(baseline).toEqual([{ station: 'Hanwella', level: 2, lastMeasured: hoursAgo(3) }]);
+
+    const stuck = assessReadings([reading(8.1, 1.5)], { previousStations: baseline, now: NOW });
+    expect(flagsOf(stuck)).toEqual([['spike']]);
+    baseline = getAcceptedReadings(stuck, baseline);
+
+    const recovered = assessReadings([reading(2.1, 1)], { previousStations: baseline, now: NOW });
+    expect(flagsOf(recovered)).toEqual([[]]);
+    expect(getAcceptedReadings(recovered, baseline)).toEqual([{ station: 'Hanwella', level: 2.1, lastMeasured: hoursAgo(1) }]);
+  });
+
+  it('keeps stations missing from the new readings', () => {
+    const previous = [{ station: 'Glencourse', level: 4, lastMeasured: hoursAgo(5) }];
+    expect(getAcceptedReadings(assessReadings([reading(2)], { now: NOW }), previous).map(station => station.station))
+      .toEqual(['Glencourse', 'Hanwella']);
+  });
+});
+
+describe('isReliable', () => {
+  it('is true only for full-weight or unassessed readings', () => {
+    expect(isReliable(reading(2))).toBe(true);
+    expect(isReliable({ quality: { flags: [], weight: 1 } })).toBe(true);
+    expect(isReliable({ quality: { flags: ['stale'], weight: STALE_WEIGHT } })).toBe(false);
+  });
+});
@@ -1,205 +1,228 @@
 // src/services/dataService.js
 // Enhanced data service with real-time API integration
+import { getSourceAdapter, getSourceAdapters, normalizeSource } from './sources/index.js';
+import { ALERT_THRESHOLDS, getStationThresholds } from './thresholds.js';
+import { calculateRisk } from './riskModel.js';
+import { HISTORY_SOURCE, loadRecentSnapshots } from './historyLoader.js';
 
-// Data sources from nuuuwan's repositories
-const DATA_SOURCES = {
-  irrigation: 'https://raw.githubusercontent.com/nuuuwan/lk_irrigation/main/data/rwlds/latest.json',
-  dmc: 'https://raw.githubusercontent.com/nuuuwan/lk_dmc_vis/main/data/latest.json',
-  fallback: 'https://api.github.com/repos/nuuuwan/lk_irrigation/contents/data/rwlds'
-};
+export { ALERT_THRESHOLDS, getStationThresholds };
+
+// Historical rwlds snapshots come from nuuuwan's repository (live feeds are defined in ./sources)
+export { HISTORY_SOURCE };
 
 // Critical stations configuration
-const CRITICAL_STATIONS = {
+export const CRITICAL_STATIONS = {
   'Nagalagam Street': { river: 'Kelani Ganga', lat: 6.96027, lng: 79.87858, priority: 1 },
   'Peradeniya': { river: 'Mahaweli Ganga', lat: 7.26417, lng: 80.59362, priority: 1 },
   'Moragaswewa': { river: 'Deduru Oya', lat: 7.73187, lng: 80.24296, priority: 1 },
   'Thanthirimale': { river: 'Malwathu Oya', lat: 8.58076, lng: 80.28401, priority: 1 }
 };
 
-// Alert thresholds (meters) - adjust based on historical data
-const ALERT_THRESHOLDS = {
-  'Nagalagam Street': { major: 2.4, minor: 2.0, alert: 1.6 },
-  'Peradeniya': { major: 8.0, minor: 6.5, alert: 5.5 },
-  'Moragaswewa': { major: 7.5, minor: 6.0, alert: 5.0 },
-  'Thanthirimale': { major: 9.0, minor: 7.5, alert: 6.5 },
-  'Hanwella': { major: 9.0, minor: 7.5, alert: 6.5 },
-  'Glencourse': { major: 15.0, minor: 13.5, alert: 12.0 },
-  'Rathnapura': { major: 7.0, minor: 5.5, alert: 4.5 },
-  'Kalawellawa': { major: 8.0, minor: 6.5, alert: 5.5 },
-  'default': { major: 10.0, minor: 7.5, alert: 5.0 }
+const SAMPLE_SOURCE_LABEL = 'Built-in sample data';
+
+/**
+ * Human-readable name for a source id (an adapter id or 'sample')
+ */
+export const getSourceLabel = (sourceId) => {
+  if (sourceId === 'sample') return SAMPLE_SOURCE_LABEL;
+  return getSourceAdapter(sourceId)?.label || sourceId;
 };
 
 /**
- * Fetch river data from multiple sources with fallback
+ * Fetch river data from multiple sources with fallback.
+ *
+ * Resolves to an envelope describing where the readings came from:
+ * { stations, source, isPrimary, isSample, fetchedAt, sourceUpdatedAt, failures, rejected }
+ * where failures lists every source that was tried and why it was skipped,
+ * and rejected lists the records from the used source that failed validation.
  */
 export const fetchRiverData = async () => {
-  try {
-    // Try primary source (lk_irrigation)
-    let data = await fetchFromSource(DATA_SOURCES.irrigation);
-    
-    if (!data || data.length === 0) {
-      console.warn('Primary source unavailable, trying DMC source...');
-      data = await fetchFromSource(DATA_SOURCES.dmc);
-    }
-    
-    if (!data || data.length === 0) {
-      console.warn('All sources unavailable, using sample data...');
-      return getSampleData();
+  const fetchedAt = new Date().toISOString();
+  const failures = [];
+  const adapters = getSourceAdapters();
+
+  for (const adapter of adapters) {
+    try {
+      const data = await fetchFromSource(adapter.url);
+      return {
+        ...readSource(adapter, data),
+        source: adapter.id,
+        isPrimary: adapter === adapters[0],
+        isSample: false,
+        fetchedAt,
+        failures
+      };
+    } catch (error) {
+      console.warn(`Source ${adapter.id} unavailable:`, error.message);
+      failures.push({ source: adapter.id, reason: error.message });
     }
-    
-    return parseRiverData(data);
-  } catch (error) {
-    console.error('Error fetching river data:', error);
-    return getSampleData();
   }
+
+  console.warn('All sources unavailable, using sample data...');
+  return {
+    stations: getSampleData(),
+    source: 'sample',
+    isPrimary: false,
+    isSample: true,
+    fetchedAt,
+    sourceUpdatedAt: null,
+    failures,
+    rejected: []
+  };
 };
 
 /**
- * Fetch data from a specific source
+ * Read a source file that is already at hand, such as a saved rwlds
+ * snapshot, into the same envelope as fetchRiverData (without sample-data
+ * fallback). `source` names the adapter to use; by default each is tried in
+ * order. Throws when no adapter finds valid readings in the file.
  */
-const fetchFromSource = async (url) => {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+export const parseRiverSnapshot = (rawData, { source = null, fetchedAt = new Date().toISOString() } = {}) => {
+  const adapters = source ? [getSourceAdapter(source)].filter(Boolean) : getSourceAdapters();
+  if (adapters.length === 0) {
+    throw new Error(`Unknown source: ${source}`);
+  }
+
+  const failures = [];
+  for (const adapter of adapters) {
+    try {
+      return { ...readSource(adapter, rawData), source: adapter.id, isPrimary: false, isSample: false, fetchedAt, failures };
+    } catch (error) {
+      failures.push({ source: adapter.id, reason: error.message });
     }
-    return await response.json();
-  } catch (error) {
-    console.error(`Error fetching from ${url}:`, error);
-    return null;
   }
+  throw new Error(`No source could read the file (${failures.map(f => `${f.source}: ${f.reason}`).join('; ')})`);
 };
 
 /**
- * Parse raw river data into standardized format
+ * Parse one source's file, throwing if it holds no valid readings.
+ * Returns { stations, sourceUpdatedAt, rejected }.
  */
-const parseRiverData = (rawData) => {
-  if (!rawData) return [];
-  
-  // Handle different data structures
-  let stations = [];
-  
-  if (Array.isArray(rawData)) {
-    stations = rawData;
-  } else if (rawData.stations) {
-    stations = rawData.stations;
-  } else if (rawData.data) {
-    stations = rawData.data;
+const readSource = (adapter, rawData) => {
+  const { stations, rejected, fileTimestamp } = parseRiverData(adapter, rawData);
+  if (rejected.length > 0) {
+    console.warn(`${adapter.id}: ${rejected.length} record(s) failed validation`, rejected);
   }
-  
-  return stations.map(station => {
-    const stationName = getStationName(station);
-    const riverName = getRiverName(station);
-    const level = getWaterLevel(station);
-    const coordinates = getCoordinates(station, stationName);
-    const timestamp = getTimestamp(station);
-    const rateOfRise = getRateOfRise(station);
-    
-    return {
-      station: stationName,
-      river: riverName,
-      level: level,
-      alert: determineAlertLevel(stationName, level),
-      rateOfRise: rateOfRise,
-      rising: rateOfRise > 0.001, // Threshold to avoid noise
-      lastMeasured: timestamp,
-      coordinates: coordinates,
-      isCritical: CRITICAL_STATIONS.hasOwnProperty(stationName)
-    };
-  }).filter(station => station.level !== null);
+  if (stations.length === 0) {
+    throw new Error('Response contained no valid station readings');
+  }
+  return { stations, sourceUpdatedAt: fileTimestamp || getLatestMeasurement(stations), rejected };
 };
 
 /**
- * Extract station name from various data formats
+ * Fetch data from a specific source, throwing on network or HTTP errors
  */
-const getStationName = (station) => {
-  return station.station_name || 
-         station.station || 
-         station.name || 
-         station.Station || 
-         'Unknown Station';
+const fetchFromSource = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return await response.json();
 };
 
 /**
- * Extract river name from various data formats
+ * Newest measurement time among the stations, as ISO
  */
-const getRiverName = (station) => {
-  return station.river_basin || 
-         station.river || 
-         station.basin || 
-         station.River || 
-         CRITICAL_STATIONS[getStationName(station)]?.river || 
-         'Unknown River';
+const getLatestMeasurement = (stations) => {
+  const times = stations
+    .map(station => new Date(station.lastMeasured).getTime())
+    .filter(time => !isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
 };
 
 /**
- * Extract water level from various data formats
+ * Validate a raw file with its source adapter and build station records.
+ * Returns { stations, rejected, fileTimestamp }.
  */
-const getWaterLevel = (station) => {
-  const level = station.level_m || 
-                station.level || 
-                station.water_level || 
-                station.Level || 
-                null;
-  return level !== null ? parseFloat(level) : null;
+const parseRiverData = (adapter, rawData) => {
+  const { readings, rejected, fileTimestamp } = normalizeSource(adapter, rawData);
+  return { stations: toStationRecords(readings), rejected, fileTimestamp };
 };
 
 /**
- * Get coordinates for station
+ * Build station records from validated readings. Alert levels use the
+ * thresholds in effect now.
  */
-const getCoordinates = (station, stationName) => {
-  // Try from data first
-  if (station.latitude && station.longitude) {
+export const toStationRecords = (readings) => {
+  return readings.map(reading => {
+    const rateOfRise = reading.rateOfRise;
+    const { coordinates, coordinatesEstimated } = getCoordinates(reading);
+    const { alert, usesDefaultThresholds } = determineAlertLevel(reading.station, reading.level);
+
     return {
-      lat: parseFloat(station.latitude),
-      lng: parseFloat(station.longitude)
+      station: reading.station,
+      river: reading.river || CRITICAL_STATIONS[reading.station]?.river || 'Unknown River',
+      level: reading.level,
+      alert: alert,
+      usesDefaultThresholds: usesDefaultThresholds,
+      rateOfRise: rateOfRise,
+      rising: rateOfRise !== null && rateOfRise > 0.001, // Threshold to avoid noise
+      lastMeasured: reading.lastMeasured,
+      coordinates: coordinates,
+      coordinatesEstimated: coordinatesEstimated,
+      isCritical: CRITICAL_STATIONS.hasOwnProperty(reading.station),
+      warnings: reading.warnings
     };
+  });
+};
+
+/**
+ * Get coordinates for station
+ */
+const getCoordinates = (reading) => {
+  // Try from data first
+  if (reading.lat !== null && reading.lng !== null) {
+    return { coordinates: { lat: reading.lat, lng: reading.lng }, coordinatesEstimated: false };
   }
-  
+
   // Fallback to critical stations database
-  if (CRITICAL_STATIONS[stationName]) {
-    return {
-      lat: CRITICAL_STATIONS[stationName].lat,
-      lng: CRITICAL_STATIONS[stationName].lng
-    };
+  const known = CRITICAL_STATIONS[reading.station];
+  if (known) {
+    return { coordinates: { lat: known.lat, lng: known.lng }, coordinatesEstimated: false };
   }
-  
+
   // Default to Sri Lanka center
-  return { lat: 7.8731, lng: 80.7718 };
+  return { coordinates: { lat: 7.8731, lng: 80.7718 }, coordinatesEstimated: true };
+};
+
+// Alert level codes from least to most severe. Codes are stored on station
+// records; the UI translates them and services use ALERT_LABELS.
+export const ALERT_ORDER = ['normal', 'alert', 'minor', 'major'];
+
+// English names, for output that is not localized (CAP messages, logs)
+export const ALERT_LABELS = { normal: 'Normal', alert: 'Alert', minor: 'Minor Flood', major: 'Major Flood' };
+
+// Labels used before alert levels became codes, still found in cached snapshots
+const LEGACY_ALERT_LEVELS = {
+  '🟢 Normal': 'normal',
+  '🟡 Alert': 'alert',
+  '🟠 Minor Flood': 'minor',
+  '🔴 Major Flood': 'major'
 };
 
 /**
- * Get timestamp from station data
+ * Alert level code for a stored value, accepting the old emoji labels
  */
-const getTimestamp = (station) => {
-  return station.measured_at || 
-         station.timestamp || 
-         station.time || 
-         station.Timestamp || 
-         new Date().toISOString();
-};
+export const normalizeAlertLevel = (alert) => LEGACY_ALERT_LEVELS[alert] || (ALERT_ORDER.includes(alert) ? alert : 'normal');
 
 /**
- * Get rate of rise from station data
+ * Position of an alert level in ALERT_ORDER (higher is more severe)
  */
-const getRateOfRise = (station) => {
-  const rate = station.rate_of_rise || 
-               station.rate || 
-               station.change_rate || 
-               0;
-  return parseFloat(rate);
-};
+export const getAlertSeverity = (alert) => ALERT_ORDER.indexOf(alert);
 
 /**
- * Determine alert level based on water level and thresholds
+ * Determine alert level based on water level and thresholds.
+ * Also reports whether the generic default thresholds had to be used,
+ * which means the station has no entry in the thresholds file.
  */
-const determineAlertLevel = (stationName, level) => {
-  const thresholds = ALERT_THRESHOLDS[stationName] || ALERT_THRESHOLDS.default;
-  
-  if (level >= thresholds.major) return '🔴 Major Flood';
-  if (level >= thresholds.minor) return '🟠 Minor Flood';
-  if (level >= thresholds.alert) return '🟡 Alert';
-  return '🟢 Normal';
+export const determineAlertLevel = (stationName, level) => {
+  const thresholds = getStationThresholds(stationName);
+  const usesDefaultThresholds = thresholds.isDefault;
+
+  if (level >= thresholds.major) return { alert: 'major', usesDefaultThresholds };
+  if (level >= thresholds.minor) return { alert: 'minor', usesDefaultThresholds };
+  if (level >= thresholds.alert) return { alert: 'alert', usesDefaultThresholds };
+  return { alert: 'normal', usesDefaultThresholds };
 };
 
 /**
@@ -211,7 +234,7 @@ const getSampleData = () => {
       station: 'Nagalagam Street',
       river: 'Kelani Ganga',
       level: 2.56,
-      alert: '🔴 Major Flood',
+      alert: 'major',
       rateOfRise: 0.015,
       rising: true,
       lastMeasured: new Date().toISOString(),
@@ -222,7 +245,7 @@ const getSampleData = () => {
       station: 'Peradeniya',
       river: 'Mahaweli Ganga',
       level: 10.56,
-      alert: '🔴 Major Flood',
+      alert: 'major',
       rateOfRise: 0.595,
       rising: true,
       lastMeasured: new Date().toISOString(),
@@ -233,7 +256,7 @@ const getSampleData = () => {
       station: 'Moragaswewa',
       river: 'Deduru Oya',
       level: 8.33,
-      alert: '🔴 Major Flood',
+      alert: 'major',
       rateOfRise: 0.051,
       rising: true,
       lastMeasured: new Date().toISOString(),
@@ -244,7 +267,7 @@ const getSampleData = () => {
       station: 'Thanthirimale',
       river: 'Malwathu Oya',
       level: 10.64,
-      alert: '🔴 Major Flood',
+      alert: 'major',
       rateOfRise: -0.033,
       rising: false,
       lastMeasured: new Date().toISOString(),
@@ -255,7 +278,7 @@ const getSampleData = () => {
       station: 'Hanwella',
       river: 'Kelani Ganga',
       level: 9.69,
-      alert: '🟠 Minor Flood',
+      alert: 'minor',
       rateOfRise: -0.087,
       rising: false,
       lastMeasured: new Date().toISOString(),
@@ -266,7 +289,7 @@ const getSampleData = () => {
       station: 'Glencourse',
       river: 'Kelani Ganga',
       level: 13.58,
-      alert: '🟢 Normal',
+      alert: 'normal',
       rateOfRise: -0.190,
       rising: false,
       lastMeasured: new Date().toISOString(),
@@ -277,7 +300,7 @@ const getSampleData = () => {
       station: 'Rathnapura',
       river: 'Kalu Ganga',
       level: 5.82,
-      alert: '🟡 Alert',
+      alert: 'alert',
       rateOfRise: -0.059,
       rising: false,
       lastMeasured: new Date().toISOString(),
@@ -288,7 +311,7 @@ const getSampleData = () => {
       station: 'Kalawellawa',
       river: 'Kalu Ganga',
       level: 7.38,
-      alert: '🟠 Minor Flood',
+      alert: 'minor',
       rateOfRise: -0.051,
       rising: false,
       lastMeasured: new Date().toISOString(),
@@ -299,76 +322,55 @@ const getSampleData = () => {
 };
 
 /**
- * Get historical data for a station (for trend analysis)
+ * Histories for several stations from the snapshots covering the last
+ * `hours`, keyed by station name with each series newest first. Snapshots
+ * are downloaded once and shared by every station (see historyLoader.js).
+ * Stations with no readings, or all of them when the snapshots cannot be
+ * listed, get an empty series.
  */
-export const fetchHistoricalData = async (stationName, hours = 24) => {
+export const fetchStationHistories = async (stationNames, hours = 24) => {
+  const histories = Object.fromEntries(stationNames.map(name => [name, []]));
   try {
-    const url = `https://api.github.com/repos/nuuuwan/lk_irrigation/contents/data/rwlds`;
-    const response = await fetch(url);
-    const files = await response.json();
-    
-    // Get recent files
-    const recentFiles = files
-      .filter(f => f.name.endsWith('.json'))
-      .sort((a, b) => b.name.localeCompare(a.name))
-      .slice(0, Math.ceil(hours / 3)); // Assuming 3-hour intervals
-    
-    const historicalData = [];
-    for (const file of recentFiles) {
-      const data = await fetchFromSource(file.download_url);
-      if (data) {
-        const station = parseRiverData(data).find(s => s.station === stationName);
-        if (station) {
-          historicalData.push(station);
-        }
-      }
-    }
-    
-    return historicalData;
+    const snapshots = await loadRecentSnapshots(hours);
+    snapshots.forEach(({ readings }) => {
+      toStationRecords(readings.filter(reading => histories.hasOwnProperty(reading.station)))
+        .forEach(station => histories[station.station].push(station));
+    });
   } catch (error) {
     console.error('Error fetching historical data:', error);
-    return [];
   }
+  return histories;
+};
+
+/**
+ * Get historical data for a station (for trend analysis)
+ */
+export const fetchHistoricalData = async (stationName, hours = 24) => {
+  const histories = await fetchStationHistories([stationName], hours);
+  return histories[stationName];
 };
 
 /**
- * Get flood risk score (0-100)
+ * National flood risk score (0-100), rounded. See riskModel.js for the model
+ * and calculateRisk for the per-basin breakdown.
  */
 export const calculateFloodRisk = (stations) => {
   if (!stations || stations.length === 0) return 0;
-  
-  let totalRisk = 0;
-  let criticalStationRisk = 0;
-  
-  stations.forEach(station => {
-    let risk = 0;
-    
-    // Alert level contributes most
-    if (station.alert.includes('Major')) risk += 40;
-    else if (station.alert.includes('Minor')) risk += 25;
-    else if (station.alert.includes('Alert')) risk += 10;
-    
-    // Rising water adds risk
-    if (station.rising && station.rateOfRise > 0.05) risk += 20;
-    else if (station.rising) risk += 10;
-    
-    // Critical stations have higher weight
-    if (station.isCritical) {
-      criticalStationRisk += risk * 2;
-    }
-    
-    totalRisk += risk;
-  });
-  
-  // Average risk with emphasis on critical stations
-  const overallRisk = Math.min(100, (totalRisk + criticalStationRisk) / (stations.length + 4));
-  return Math.round(overallRisk);
+  return Math.round(calculateRisk(stations).score);
 };
 
-export default {
+const dataService = {
   fetchRiverData,
+  parseRiverSnapshot,
   fetchHistoricalData,
+  fetchStationHistories,
   calculateFloodRisk,
+  getStationThresholds,
+  determineAlertLevel,
+  normalizeAlertLevel,
+  getSourceLabel,
   CRITICAL_STATIONS,
   ALERT_THRESHOLDS
 };
+
+export default dataService;
@@ -0,0 +1,79 @@
+// src/services/exportData.js
+// CSV and GeoJSON serializers for station readings, used by the app's export
+// buttons and importable by other tools. Both take the station records
+// returned by fetchRiverData or fetchHistoricalData.
+import { ALERT_LABELS, getStationThresholds } from './dataService.js';
+
+// Column order of toCsv output
+export const CSV_COLUMNS = [
+  'station', 'river', 'level', 'alert', 'alertLabel', 'rateOfRise', 'rising',
+  'catchmentRainfall24h', 'alertThreshold', 'minorThreshold', 'majorThreshold', 'usesDefaultThresholds',
+  'lastMeasured', 'source', 'latitude', 'longitude'
+];
+
+/**
+ * Station properties shared by both formats
+ */
+const getProperties = (station, source) => {
+  const thresholds = getStationThresholds(station.station);
+  return {
+    station: station.station,
+    river: station.river,
+    level: station.level,
+    alert: station.alert,
+    alertLabel: ALERT_LABELS[station.alert],
+    rateOfRise: station.rateOfRise,
+    rising: station.rising,
+    catchmentRainfall24h: station.rainfall ? Math.round(station.rainfall.mm * 10) / 10 : null,
+    alertThreshold: thresholds.alert,
+    minorThreshold: thresholds.minor,
+    majorThreshold: thresholds.major,
+    usesDefaultThresholds: Boolean(thresholds.isDefault),
+    lastMeasured: station.lastMeasured,
+    source: source || null
+  };
+};
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV (RFC 4180) with one row per record. Stations placed at the map centre
+ * because their location is unknown have empty coordinates.
+ */
+export const toCsv = (stations, { source } = {}) => {
+  const rows = stations.map(station => {
+    const known = station.coordinates && !station.coordinatesEstimated;
+    return {
+      ...getProperties(station, source),
+      latitude: known ? station.coordinates.lat : null,
+      longitude: known ? station.coordinates.lng : null
+    };
+  });
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+};
+
+/**
+ * GeoJSON FeatureCollection of Point features. Stations without a known
+ * location keep their properties but get a null geometry.
+ */
+export const toGeoJson = (stations, { source } = {}) => ({
+  type: 'FeatureCollection',
+  features: stations.map(station => ({
+    type: 'Feature',
+    geometry: station.coordinates && !station.coordinatesEstimated
+      ? { type: 'Point', coordinates: [station.coordinates.lng, station.coordinates.lat] }
+      : null,
+    properties: getProperties(station, source)
+  }))
+});
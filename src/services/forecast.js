@@ -0,0 +1,164 @@
+// src/services/forecast.js
+// Time-to-threshold projections from the current level, rate of rise and recent history
+import { getStationThresholds } from './thresholds.js';
+
+const LEVELS = ['alert', 'minor', 'major'];
+
+// Projections further out than this are not reported
+export const FORECAST_HORIZON_HOURS = 72;
+
+// Stations projected to reach Major Flood within this many hours are highlighted
+export const MAJOR_FLOOD_WARNING_HOURS = 6;
+
+// Only history this recent is used to estimate the trend
+const TREND_WINDOW_HOURS = 12;
+
+// Below this rate (m/hr) a station is treated as steady
+const STEADY_RATE = 0.001;
+
+// Readings older than this are too old to project from
+const MAX_READING_AGE_HOURS = 6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Least-squares line through (hours, level) points.
+ * Returns { slope, r2 } with slope in m/hr.
+ */
+const fitTrend = (points) => {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(p => {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+    syy += (p.y - meanY) ** 2;
+  });
+
+  if (sxx === 0) return { slope: 0, r2: 0 };
+  const slope = sxy / sxx;
+  // A perfectly flat series is perfectly explained by a flat line
+  const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  return { slope, r2 };
+};
+
+/**
+ * Recent history plus the current reading as { x: hours relative to now, y: level }
+ */
+const getTrendPoints = (station, history, now) => {
+  const byTime = new Map();
+  [...history, station].forEach(record => {
+    const time = new Date(record.lastMeasured).getTime();
+    if (isNaN(time) || typeof record.level !== 'number') return;
+    const hoursAgo = (now - time) / HOUR_MS;
+    if (hoursAgo >= 0 && hoursAgo <= TREND_WINDOW_HOURS) byTime.set(time, record.level);
+  });
+  return [...byTime.entries()].map(([time, level]) => ({ x: (time - now) / HOUR_MS, y: level }));
+};
+
+/**
+ * Decide which rate to project with and how far to trust it
+ */
+const estimateRate = (station, points) => {
+  const reported = typeof station.rateOfRise === 'number' ? station.rateOfRise : null;
+
+  if (points.length >= 3) {
+    const span = Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x));
+    const { slope, r2 } = fitTrend(points);
+    const agrees = reported === null || Math.sign(reported) === Math.sign(slope) ||
+      Math.abs(reported - slope) < STEADY_RATE * 10;
+
+    let confidence = 'low';
+    if (points.length >= 4 && span >= 3 && r2 >= 0.8 && agrees) confidence = 'high';
+    else if (r2 >= 0.5 && agrees) confidence = 'medium';
+
+    return { rate: slope, confidence, basis: `${points.length} readings over ${span.toFixed(1)} h` };
+  }
+
+  if (reported !== null) {
+    return { rate: reported, confidence: 'low', basis: 'reported rate only' };
+  }
+
+  return null;
+};
+
+/**
+ * Project when a station will next cross a threshold.
+ *
+ * Rising stations are projected to the next threshold above the current
+ * level; falling stations to the highest threshold they are currently at
+ * or above. `history` is an optional list of earlier records for the same
+ * station (as returned by fetchHistoricalData).
+ *
+ * Returns {
+ *   status: 'rising' | 'falling' | 'steady' | 'insufficient',
+ *   rate, confidence: 'high' | 'medium' | 'low' | null, basis,
+ *   target: { level, threshold } | null,   // level is 'alert' | 'minor' | 'major'
+ *   hoursToTarget, eta,                     // null when beyond the horizon or no target
+ *   hoursToMajor, majorEta,                 // rising stations below Major Flood only
+ *   reason                                  // why there is no forecast, when insufficient
+ * }
+ */
+export const forecastStation = (station, history = [], now = Date.now()) => {
+  const insufficient = (reason) => ({
+    status: 'insufficient',
+    rate: null,
+    confidence: null,
+    basis: null,
+    target: null,
+    hoursToTarget: null,
+    eta: null,
+    hoursToMajor: null,
+    majorEta: null,
+    reason
+  });
+
+  const measured = new Date(station.lastMeasured).getTime();
+  if (isNaN(measured)) return insufficient('No measurement time');
+  if ((now - measured) / HOUR_MS > MAX_READING_AGE_HOURS) {
+    return insufficient(`Latest reading is over ${MAX_READING_AGE_HOURS} hours old`);
+  }
+
+  const estimate = estimateRate(station, getTrendPoints(station, history, now));
+  if (!estimate) return insufficient('No rate of rise or recent history');
+
+  const { rate, confidence, basis } = estimate;
+  const thresholds = getStationThresholds(station.station);
+  const base = { rate, confidence, basis, target: null, hoursToTarget: null, eta: null, hoursToMajor: null, majorEta: null, reason: null };
+
+  if (Math.abs(rate) < STEADY_RATE) {
+    return { ...base, status: 'steady' };
+  }
+
+  const rising = rate > 0;
+  const targetLevel = rising
+    ? LEVELS.find(level => thresholds[level] > station.level)
+    : [...LEVELS].reverse().find(level => thresholds[level] <= station.level);
+
+  const result = { ...base, status: rising ? 'rising' : 'falling' };
+  if (rising && station.level < thresholds.major) {
+    result.hoursToMajor = (thresholds.major - station.level) / rate;
+    result.majorEta = new Date(measured + result.hoursToMajor * HOUR_MS).toISOString();
+  }
+  if (!targetLevel) return result;
+
+  const hoursToTarget = (thresholds[targetLevel] - station.level) / rate;
+  result.target = { level: targetLevel, threshold: thresholds[targetLevel] };
+  if (hoursToTarget <= FORECAST_HORIZON_HOURS) {
+    result.hoursToTarget = hoursToTarget;
+    result.eta = new Date(measured + hoursToTarget * HOUR_MS).toISOString();
+  }
+  return result;
+};
+
+/**
+ * Whether a forecast projects Major Flood within the warning window from now
+ */
+export const isMajorFloodImminent = (forecast, now = Date.now()) => {
+  if (forecast.status !== 'rising' || forecast.majorEta === null) return false;
+  return (new Date(forecast.majorEta).getTime() - now) / HOUR_MS <= MAJOR_FLOOD_WARNING_HOURS;
+};
@@ -0,0 +1,66 @@
+// src/services/forecast.test.js
+import { forecastStation, isMajorFloodImminent, MAJOR_FLOOD_WARNING_HOURS } from './forecast';
+import { getStationThresholds } from './thresholds';
+
+const NOW = Date.parse('2026-01-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW - hours * 60 * 60 * 1000).toISOString();
+
+// An unlisted station, so the default thresholds apply
+const NAME = 'Test gauge';
+const thresholds = getStationThresholds(NAME);
+
+const station = (level, rateOfRise, hours = 0.5) => ({ station: NAME, level, rateOfRise, lastMeasured: hoursAgo(hours) });
+
+describe('forecastStation', () => {
+  it('projects a rising station to the next threshold above it', () => {
+    const level = thresholds.alert - 0.5;
+    const forecast = forecastStation(station(level, 0.25), [], NOW);
+    expect(forecast.status).toBe('rising');
+    expect(forecast.confidence).toBe('low');
+    expect(forecast.target).toEqual({ level: 'alert', threshold: thresholds.alert });
+    expect(forecast.hoursToTarget).toBeCloseTo(2);
+    expect(forecast.hoursToMajor).toBeCloseTo((thresholds.major - level) / 0.25);
+  });
+
+  it('projects a falling station to the highest threshold it is at', () => {
+    const forecast = forecastStation(station(thresholds.minor + 0.2, -0.1), [], NOW);
+    expect(forecast.status).toBe('falling');
+    expect(forecast.target.level).toBe('minor');
+    expect(forecast.hoursToMajor).toBeNull();
+  });
+
+  it('has high confidence in a consistent recent history', () => {
+    const history = [4, 3, 2, 1].map((hours, index) => ({ level: 3 + index * 0.1, lastMeasured: hoursAgo(hours) }));
+    const forecast = forecastStation(station(3.4, 0.1, 0), history, NOW);
+    expect(forecast.confidence).toBe('high');
+    expect(forecast.rate).toBeCloseTo(0.1);
+  });
+
+  it('reports a steady level without a target', () => {
+    expect(forecastStation(station(3, 0), [], NOW)).toMatchObject({ status: 'steady', target: null });
+  });
+
+  it('does not project from old or unusable readings', () => {
+    expect(forecastStation(station(3, 0.1, 7), [], NOW).status).toBe('insufficient');
+    expect(forecastStation(station(3, null), [], NOW).reason).toBe('No rate of rise or recent history');
+    expect(forecastStation({ station: NAME, level: 3, rateOfRise: 0.1, lastMeasured: 'n/a' }, [], NOW).reason)
+      .toBe('No measurement time');
+  });
+
+  it('projects a past reading from the time it was taken', () => {
+    const then = NOW - 10 * 24 * 60 * 60 * 1000;
+    const past = { ...station(3, 0.1), lastMeasured: new Date(then - 30 * 60 * 1000).toISOString() };
+    expect(forecastStation(past, [], NOW).status).toBe('insufficient');
+    expect(forecastStation(past, [], then).status).toBe('rising');
+  });
+});
+
+describe('isMajorFloodImminent', () => {
+  it('is true only while Major Flood is projected within the warning window of now', () => {
+    const level = thresholds.major - 1;
+    const forecast = forecastStation(station(level, 0.5, 0), [], NOW);
+    expect(isMajorFloodImminent(forecast, NOW)).toBe(true);
+    expect(isMajorFloodImminent(forecast, NOW - (MAJOR_FLOOD_WARNING_HOURS + 1) * 60 * 60 * 1000)).toBe(false);
+    expect(isMajorFloodImminent(forecastStation(station(level, 0.01, 0), [], NOW), NOW)).toBe(false);
+  });
+});
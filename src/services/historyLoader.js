@@ -0,0 +1,226 @@
+// src/services/historyLoader.js
+// Downloads the historical rwlds snapshots from nuuuwan/lk_irrigation.
+//
+// The directory listing comes from the GitHub contents API, which allows 60
+// unauthenticated requests an hour, so it is cached and revalidated with its
+// ETag (a 304 reply does not count against the limit). Snapshot files never
+// change once written, so each is downloaded once, validated, and its
+// readings kept in memory and in IndexedDB by file name. Downloads run a few
+// at a time and back off when GitHub asks them to.
+import { getSourceAdapter, normalizeSource } from './sources/index.js';
+import { loadHistoryIndex, saveHistoryIndex, loadHistoryFile, saveHistoryFile, pruneHistoryFiles } from './snapshotStore.js';
+
+const HISTORY_INDEX_URL = 'https://api.github.com/repos/nuuuwan/lk_irrigation/contents/data/rwlds';
+export const HISTORY_SOURCE = 'lk_irrigation';
+
+// Snapshots are taken about this often
+export const SNAPSHOT_INTERVAL_HOURS = 3;
+
+export const MAX_CONCURRENT_DOWNLOADS = 4;
+
+// How long a listing is used before it is revalidated
+const INDEX_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Retries for rate-limited or failed requests, doubling the delay each time.
+// A wait longer than MAX_WAIT_MS is not worth blocking on and fails instead.
+const MAX_RETRIES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_WAIT_MS = 60 * 1000;
+
+// Snapshot file names carry their time, e.g. 2025-12-01-03-00-00.json or 20251201_0300.json
+const SNAPSHOT_NAME_TIME = /(\d{4})-?(\d{2})-?(\d{2})(?:[-_T ]?(\d{2})[-:]?(\d{2})(?:[-:]?(\d{2}))?)?/;
+
+// The names are written in Sri Lanka time, whatever the viewer's timezone
+const SNAPSHOT_NAME_OFFSET = '+05:30';
+
+let index = null; // { files, etag, checkedAt }
+let rateLimit = { remaining: null, resetAt: null }; // from the last API reply
+const files = new Map(); // name -> promise of a parsed file
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Time in a snapshot file name, as ISO, or null
+ */
+const parseSnapshotName = (name) => {
+  const match = name.match(SNAPSHOT_NAME_TIME);
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  const time = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${SNAPSHOT_NAME_OFFSET}`);
+  return isNaN(time) ? null : time.toISOString();
+};
+
+/**
+ * Newest measurement time among the readings, as ISO, or null
+ */
+const getLatestMeasurement = (readings) => {
+  const times = readings.map(reading => new Date(reading.lastMeasured).getTime()).filter(time => !isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+};
+
+const rateLimitError = (resetAt) => {
+  const error = new Error(`GitHub rate limit reached${resetAt ? `, resets at ${resetAt}` : ''}`);
+  error.rateLimited = true;
+  error.resetAt = resetAt;
+  return error;
+};
+
+/**
+ * Remember the API's rate-limit headers
+ */
+const recordRateLimit = (response) => {
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  const reset = response.headers.get('x-ratelimit-reset');
+  if (remaining !== null) {
+    rateLimit = {
+      remaining: Number(remaining),
+      resetAt: reset ? new Date(Number(reset) * 1000).toISOString() : null
+    };
+  }
+};
+
+/**
+ * How long to wait before retrying a rate-limited or failed response:
+ * Retry-After when given, the rate-limit reset when the quota is used up,
+ * otherwise exponential back-off
+ */
+const getRetryDelay = (response, attempt) => {
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  if (response.headers.get('x-ratelimit-remaining') === '0' && rateLimit.resetAt) {
+    return Math.max(0, new Date(rateLimit.resetAt) - Date.now());
+  }
+  return BASE_DELAY_MS * 2 ** attempt;
+};
+
+/**
+ * GET a JSON resource, retrying 403/429 rate-limit replies and server errors.
+ * With an etag, resolves to { notModified: true } when it is still current;
+ * otherwise to { data, etag }.
+ */
+const fetchJson = async (url, { etag } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, etag ? { headers: { 'If-None-Match': etag } } : undefined);
+    recordRateLimit(response);
+
+    if (response.status === 304) return { notModified: true };
+    if (response.ok) return { data: await response.json(), etag: response.headers.get('etag') };
+
+    const retryable = response.status === 403 || response.status === 429 || response.status >= 500;
+    if (!retryable) throw new Error(`HTTP error! status: ${response.status}`);
+
+    const delay = getRetryDelay(response, attempt);
+    if (attempt >= MAX_RETRIES || delay > MAX_WAIT_MS) {
+      if (response.status >= 500) throw new Error(`HTTP error! status: ${response.status}`);
+      throw rateLimitError(rateLimit.resetAt);
+    }
+    console.warn(`${url}: HTTP ${response.status}, retrying in ${Math.round(delay / 1000)}s`);
+    await sleep(delay);
+  }
+};
+
+/**
+ * The rate-limit state from the last API reply: { remaining, resetAt }
+ */
+export const getRateLimit = () => rateLimit;
+
+/**
+ * List the historical snapshots, oldest first, as [{ name, url, time }]
+ * where time comes from the file name (null when the name has none);
+ * latest.json is left out. A recent listing is reused, and a stale one is
+ * used when GitHub cannot be asked (rate limited or offline).
+ */
+export const listSnapshots = async () => {
+  if (!index) {
+    index = await loadHistoryIndex();
+    // Listings cached by earlier versions read the names in the viewer's timezone
+    if (index) index = { ...index, files: index.files.map(file => ({ ...file, time: parseSnapshotName(file.name) })) };
+  }
+  if (index && Date.now() - new Date(index.checkedAt) < INDEX_MAX_AGE_MS) return index.files;
+
+  const quotaUsed = rateLimit.remaining === 0 && rateLimit.resetAt && new Date(rateLimit.resetAt) > new Date();
+  try {
+    if (quotaUsed) throw rateLimitError(rateLimit.resetAt);
+
+    const result = await fetchJson(HISTORY_INDEX_URL, { etag: index?.etag });
+    const checkedAt = new Date().toISOString();
+    if (result.notModified) {
+      index = { ...index, checkedAt };
+    } else {
+      const snapshots = result.data
+        .filter(f => f.name.endsWith('.json') && f.name !== 'latest.json')
+        .map(f => ({ name: f.name, url: f.download_url, time: parseSnapshotName(f.name) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+      index = { files: snapshots, etag: result.etag, checkedAt };
+    }
+    saveHistoryIndex(index);
+    return index.files;
+  } catch (error) {
+    if (!index) throw error;
+    console.warn('Using cached snapshot list:', error.message);
+    return index.files;
+  }
+};
+
+/**
+ * Download (or take from the caches) one snapshot's validated readings.
+ * Resolves to { name, time, readings } where time is when the snapshot was taken.
+ */
+const loadFile = (snapshot) => {
+  if (!files.has(snapshot.name)) {
+    const promise = (async () => {
+      const cached = await loadHistoryFile(snapshot.name);
+      if (cached) return cached;
+
+      const { data } = await fetchJson(snapshot.url);
+      const { readings, fileTimestamp } = normalizeSource(getSourceAdapter(HISTORY_SOURCE), data);
+      const file = { name: snapshot.name, time: fileTimestamp || snapshot.time || getLatestMeasurement(readings), readings };
+      saveHistoryFile(snapshot.name, file);
+      return file;
+    })();
+    files.set(snapshot.name, promise);
+    // Failed downloads can be tried again later
+    promise.catch(() => files.delete(snapshot.name));
+  }
+  return files.get(snapshot.name);
+};
+
+/**
+ * Load snapshots with at most MAX_CONCURRENT_DOWNLOADS downloads at a time.
+ *
+ * Resolves to [{ name, time, readings }] in the order given, leaving out
+ * snapshots that failed (they are logged). onProgress({ loaded, total }) is
+ * called as each one finishes; once isCancelled() returns true no more
+ * downloads are started. Afterwards the file cache is trimmed to
+ * MAX_HISTORY_FILES (see snapshotStore.js).
+ */
+export const loadSnapshots = async (snapshots, { onProgress = () => {}, isCancelled = () => false } = {}) => {
+  const results = new Array(snapshots.length).fill(null);
+  let next = 0;
+  let loaded = 0;
+
+  const worker = async () => {
+    while (next < snapshots.length && !isCancelled()) {
+      const i = next++;
+      try {
+        results[i] = await loadFile(snapshots[i]);
+      } catch (error) {
+        console.error(`Error fetching ${snapshots[i].name}:`, error);
+      }
+      onProgress({ loaded: ++loaded, total: snapshots.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_DOWNLOADS, snapshots.length) }, worker));
+  pruneHistoryFiles();
+  return results.filter(Boolean);
+};
+
+/**
+ * The snapshots covering the last `hours`, newest first
+ */
+export const loadRecentSnapshots = async (hours) => {
+  const snapshots = await listSnapshots();
+  const count = Math.ceil(hours / SNAPSHOT_INTERVAL_HOURS);
+  return loadSnapshots(snapshots.slice(-count).reverse());
+};
@@ -0,0 +1,121 @@
+// src/services/historyLoader.test.js
+jest.mock('./snapshotStore', () => ({
+  loadHistoryIndex: jest.fn(),
+  saveHistoryIndex: jest.fn(),
+  loadHistoryFile: jest.fn(),
+  saveHistoryFile: jest.fn(),
+  pruneHistoryFiles: jest.fn()
+}));
+
+const response = (status, body = null, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => (headers[name] === undefined ? null : String(headers[name])) },
+  json: async () => body
+});
+
+const listing = (names) => names.map(name => ({ name, download_url: `https://raw.example.org/${name}` }));
+
+const snapshotFile = (level) => [
+  { station_name: 'Hanwella', river_basin: 'Kelani Ganga', level_m: level, measured_at: '2025-12-01T03:00:00+05:30' }
+];
+
+// The loader keeps its listing and files in module state, so each test gets a fresh copy
+let loader;
+let store;
+beforeEach(() => {
+  jest.resetModules();
+  loader = require('./historyLoader');
+  store = require('./snapshotStore');
+  store.loadHistoryIndex.mockResolvedValue(null);
+  store.loadHistoryFile.mockResolvedValue(null);
+  global.fetch = jest.fn();
+});
+
+describe('listSnapshots', () => {
+  it('lists snapshot files oldest first with their time in Sri Lanka time', async () => {
+    global.fetch.mockResolvedValue(response(200, listing(['2025-12-01-06-00-00.json', 'latest.json', '2025-12-01-03-00-00.json', 'README.md']), { etag: '"v1"' }));
+
+    const snapshots = await loader.listSnapshots();
+    expect(snapshots).toEqual([
+      { name: '2025-12-01-03-00-00.json', url: 'https://raw.example.org/2025-12-01-03-00-00.json', time: '2025-11-30T21:30:00.000Z' },
+      { name: '2025-12-01-06-00-00.json', url: 'https://raw.example.org/2025-12-01-06-00-00.json', time: '2025-12-01T00:30:00.000Z' }
+    ]);
+    expect(store.saveHistoryIndex).toHaveBeenCalledWith(expect.objectContaining({ etag: '"v1"' }));
+  });
+
+  it('reuses a recent listing without asking GitHub again', async () => {
+    global.fetch.mockResolvedValue(response(200, listing(['20251201_0300.json'])));
+    await loader.listSnapshots();
+    await loader.listSnapshots();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('revalidates a stored listing with its ETag and re-reads its times', async () => {
+    store.loadHistoryIndex.mockResolvedValue({
+      files: [{ name: '2025-12-01-03-00-00.json', url: 'u', time: '2025-12-01T03:00:00.000Z' }],
+      etag: '"v1"',
+      checkedAt: '2025-12-01T00:00:00Z'
+    });
+    global.fetch.mockResolvedValue(response(304));
+
+    const snapshots = await loader.listSnapshots();
+    expect(global.fetch.mock.calls[0][1]).toEqual({ headers: { 'If-None-Match': '"v1"' } });
+    expect(snapshots[0].time).toBe('2025-11-30T21:30:00.000Z');
+  });
+
+  it('falls back to the stored listing when the rate limit is used up', async () => {
+    const files = [{ name: '2025-12-01-03-00-00.json', url: 'u', time: null }];
+    store.loadHistoryIndex.mockResolvedValue({ files, etag: null, checkedAt: '2025-12-01T00:00:00Z' });
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    global.fetch.mockResolvedValue(response(403, null, { 'x-ratelimit-remaining': 0, 'x-ratelimit-reset': reset }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect((await loader.listSnapshots()).map(file => file.name)).toEqual(['2025-12-01-03-00-00.json']);
+    expect(loader.getRateLimit()).toEqual({ remaining: 0, resetAt: new Date(reset * 1000).toISOString() });
+    console.warn.mockRestore();
+  });
+
+  it('fails when there is no listing to fall back to', async () => {
+    global.fetch.mockResolvedValue(response(404));
+    await expect(loader.listSnapshots()).rejects.toThrow('HTTP error! status: 404');
+  });
+});
+
+describe('loadSnapshots', () => {
+  const snapshot = (name) => ({ name, url: `https://raw.example.org/${name}`, time: '2025-11-30T21:30:00.000Z' });
+
+  it('takes stored files from IndexedDB and downloads the rest once', async () => {
+    const stored = { name: 'a.json', time: '2025-11-30T18:30:00.000Z', readings: [] };
+    store.loadHistoryFile.mockImplementation(async (name) => (name === 'a.json' ? stored : null));
+    global.fetch.mockResolvedValue(response(200, snapshotFile(2.5)));
+
+    const first = await loader.loadSnapshots([snapshot('a.json'), snapshot('b.json')]);
+    await loader.loadSnapshots([snapshot('b.json')]);
+
+    expect(first[0]).toBe(stored);
+    expect(first[1]).toMatchObject({ name: 'b.json', time: '2025-11-30T21:30:00.000Z' });
+    expect(first[1].readings.map(reading => reading.level)).toEqual([2.5]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(store.saveHistoryFile).toHaveBeenCalledWith('b.json', first[1]);
+    expect(store.pruneHistoryFiles).toHaveBeenCalled();
+  });
+
+  it('leaves out snapshots that fail and reports progress for each', async () => {
+    global.fetch.mockImplementation(async (url) => (url.endsWith('bad.json') ? response(404) : response(200, snapshotFile(1))));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onProgress = jest.fn();
+
+    const loaded = await loader.loadSnapshots([snapshot('bad.json'), snapshot('good.json')], { onProgress });
+    expect(loaded.map(file => file.name)).toEqual(['good.json']);
+    expect(onProgress).toHaveBeenLastCalledWith({ loaded: 2, total: 2 });
+    console.error.mockRestore();
+  });
+
+  it('starts no more downloads once cancelled', async () => {
+    global.fetch.mockResolvedValue(response(200, snapshotFile(1)));
+    const names = Array.from({ length: 10 }, (_, i) => `${i}.json`);
+    expect(await loader.loadSnapshots(names.map(snapshot), { isCancelled: () => true })).toEqual([]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
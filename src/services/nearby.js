@@ -0,0 +1,90 @@
+// src/services/nearby.js
+// Stations near a place, for the "Near me" view. The place is the browser's
+// position or a town looked up by name or postcode in the bundled gazetteer
+// (src/data/towns.json), so nothing is sent to a geocoding service.
+import { distanceKm } from './geo.js';
+import gazetteer from '../data/towns.json';
+
+export const RADIUS_OPTIONS = [10, 25, 50, 100]; // km
+export const DEFAULT_RADIUS_KM = 25;
+
+const PREFERENCES_KEY = 'lk-flood-monitor:nearby';
+
+// Give up on the browser's position after this long
+const GEOLOCATION_TIMEOUT_MS = 15000;
+
+export const TOWNS = gazetteer.towns;
+
+const normalize = (value) => value.trim().toLocaleLowerCase();
+
+/**
+ * Towns whose name starts with (or contains) the query, or whose postcode
+ * starts with it; names that start with it come first
+ */
+export const searchTowns = (query, limit = 8) => {
+  const needle = normalize(query);
+  if (!needle) return [];
+  const starts = TOWNS.filter(town => normalize(town.name).startsWith(needle) || (town.postcode && town.postcode.startsWith(needle)));
+  const contains = TOWNS.filter(town => !starts.includes(town) && normalize(town.name).includes(needle));
+  return [...starts, ...contains].slice(0, limit);
+};
+
+/**
+ * The town with exactly this name or postcode, or null
+ */
+export const findTown = (query) => {
+  const needle = normalize(query);
+  return TOWNS.find(town => normalize(town.name) === needle || town.postcode === needle) || null;
+};
+
+/**
+ * Stations with a known location and their distance from `origin`, nearest
+ * first: [{ station, distance }] in km. Stations placed at the default
+ * location are left out, as their distance would mean nothing, and so are
+ * older copies of a reading the data-quality checks flag as duplicates.
+ */
+export const sortByDistance = (stations, origin) => stations
+  .filter(station => station.coordinates && !station.coordinatesEstimated)
+  .filter(station => !(station.quality && station.quality.flags.includes('duplicate')))
+  .map(station => ({ station, distance: distanceKm(origin, station.coordinates) }))
+  .sort((a, b) => a.distance - b.distance);
+
+/**
+ * The browser's position as { lat, lng }. Rejects when geolocation is not
+ * available, is refused or times out.
+ */
+export const getCurrentPosition = () => new Promise((resolve, reject) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    reject(new Error('Geolocation is not supported'));
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ lat: coords.latitude, lng: coords.longitude }),
+    reject,
+    { enableHighAccuracy: false, timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 10 * 60000 }
+  );
+});
+
+/**
+ * The last town and radius chosen. The browser's position is not stored.
+ */
+export const loadNearbyPreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}');
+    return {
+      town: typeof saved.town === 'string' ? saved.town : null,
+      radiusKm: RADIUS_OPTIONS.includes(saved.radiusKm) ? saved.radiusKm : DEFAULT_RADIUS_KM
+    };
+  } catch (error) {
+    console.error(`Error reading ${PREFERENCES_KEY}:`, error);
+    return { town: null, radiusKm: DEFAULT_RADIUS_KM };
+  }
+};
+
+export const saveNearbyPreferences = (preferences) => {
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.error(`Error saving ${PREFERENCES_KEY}:`, error);
+  }
+};
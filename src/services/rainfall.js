@@ -0,0 +1,114 @@
+// src/services/rainfall.js
+// Rain gauge readings from nuuuwan/lk_dmc_vis and the 24-hour rainfall over
+// each river station's catchment. Heavy rain upstream usually comes before a
+// rise at the gauge, so the catchment figure feeds the risk score.
+//
+// A station's catchment is approximated by the rain gauges in the same river
+// basin or, for gauges that do not name one, those within
+// CATCHMENT_RADIUS_KM of the station. The catchment figure is their average.
+import { validateRecord, assertValidSchema, parseTimestamp } from './sources/schema.js';
+import { distanceKm } from './geo.js';
+
+export const RAINFALL_SOURCE = {
+  id: 'lk_dmc_vis_rainfall',
+  label: 'Disaster Management Centre rainfall (lk_dmc_vis)',
+  url: 'https://raw.githubusercontent.com/nuuuwan/lk_dmc_vis/main/data/rainfall/latest.json'
+};
+
+const RAINFALL_SCHEMA = {
+  gauge: { key: 'station', type: 'string', required: true },
+  basin: { key: 'river_basin', type: 'string' },
+  rainfall24h: { key: 'rain_24h_mm', type: 'number', required: true },
+  lastMeasured: { key: 'timestamp', type: 'timestamp', required: true },
+  lat: { key: 'latitude', type: 'number' },
+  lng: { key: 'longitude', type: 'number' }
+};
+assertValidSchema(RAINFALL_SCHEMA);
+
+export const CATCHMENT_RADIUS_KM = 25;
+
+// Gauges not reporting for this long are left out of catchment figures
+export const RAINFALL_STALE_HOURS = 24;
+
+// 24-hour totals above this are gauge errors (Sri Lanka's wettest day on
+// record is well under it)
+export const MAX_RAINFALL_MM = 1000;
+
+const sameName = (a, b) => Boolean(a && b) && a.trim().toLocaleLowerCase() === b.trim().toLocaleLowerCase();
+
+/**
+ * Validate a raw rainfall file. Returns { gauges, rejected, fileTimestamp }
+ * where gauges are { gauge, basin, rainfall24h, lastMeasured, lat, lng }.
+ * Throws if the file does not have the expected structure.
+ */
+export const parseRainfall = (raw) => {
+  const records = Array.isArray(raw) ? raw : raw?.data;
+  if (!Array.isArray(records)) {
+    throw new Error(`${RAINFALL_SOURCE.label}: unexpected file structure`);
+  }
+
+  const fileTimestamp = !Array.isArray(raw) && raw.timestamp ? parseTimestamp(raw.timestamp) : undefined;
+  const gauges = [];
+  const rejected = [];
+  records.forEach((record, index) => {
+    const { values, errors } = validateRecord(record, RAINFALL_SCHEMA, { lastMeasured: fileTimestamp });
+    if (errors.length === 0 && (values.rainfall24h < 0 || values.rainfall24h > MAX_RAINFALL_MM)) {
+      errors.push(`rain_24h_mm out of range: ${values.rainfall24h}`);
+    }
+    if (errors.length > 0) {
+      rejected.push({ index, gauge: values.gauge || null, errors });
+      return;
+    }
+    gauges.push(values);
+  });
+
+  return { gauges, rejected, fileTimestamp: fileTimestamp || null };
+};
+
+/**
+ * Fetch the latest rain gauge readings. Rainfall is supplementary, so a
+ * failure is logged and resolves to null rather than throwing.
+ * Resolves to { gauges, fetchedAt, sourceUpdatedAt } otherwise.
+ */
+export const fetchRainfall = async () => {
+  try {
+    const response = await fetch(RAINFALL_SOURCE.url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const { gauges, rejected, fileTimestamp } = parseRainfall(await response.json());
+    if (rejected.length > 0) {
+      console.warn(`${RAINFALL_SOURCE.id}: ${rejected.length} record(s) failed validation`, rejected);
+    }
+    return { gauges, fetchedAt: new Date().toISOString(), sourceUpdatedAt: fileTimestamp };
+  } catch (error) {
+    console.warn('Rainfall unavailable:', error.message);
+    return null;
+  }
+};
+
+/**
+ * The gauges covering a station's catchment (see the note at the top)
+ */
+export const getCatchmentGauges = (station, gauges, { now = new Date() } = {}) => {
+  const located = station.coordinates && !station.coordinatesEstimated;
+  return gauges.filter(gauge => {
+    if (!((now - new Date(gauge.lastMeasured)) / 3600000 <= RAINFALL_STALE_HOURS)) return false;
+    if (gauge.basin) return sameName(gauge.basin, station.river);
+    return located && gauge.lat !== null && gauge.lng !== null &&
+      distanceKm(station.coordinates, gauge) <= CATCHMENT_RADIUS_KM;
+  });
+};
+
+/**
+ * Add `rainfall` to each station: { mm, gaugeCount } with the catchment's
+ * average 24-hour total, or null when no gauge covers it
+ */
+export const attachRainfall = (stations, gauges, options) => stations.map(station => {
+  const catchment = getCatchmentGauges(station, gauges, options);
+  const rainfall = catchment.length === 0 ? null : {
+    mm: catchment.reduce((sum, gauge) => sum + gauge.rainfall24h, 0) / catchment.length,
+    gaugeCount: catchment.length
+  };
+  return { ...station, rainfall };
+});
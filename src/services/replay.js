@@ -0,0 +1,54 @@
+// src/services/replay.js
+// Replay of past rwlds snapshots: pick the snapshots in a time range and load
+// them as frames, each holding every station as it was at that moment.
+import { listSnapshots, loadSnapshots } from './historyLoader.js';
+import { toStationRecords } from './dataService.js';
+import { assessReadings, getAcceptedReadings } from './dataQuality.js';
+
+// Snapshots are roughly 3 hours apart, so this covers about two weeks
+export const MAX_REPLAY_FRAMES = 120;
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+// Milliseconds each frame is shown for at 1x
+export const FRAME_INTERVAL_MS = 1000;
+
+/**
+ * Snapshots taken between `from` and `to` (inclusive), oldest first. Longer
+ * ranges are thinned evenly to MAX_REPLAY_FRAMES, always keeping the last one.
+ */
+export const selectSnapshots = (snapshots, { from, to }) => {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const inRange = snapshots.filter(snapshot => {
+    const time = new Date(snapshot.time).getTime();
+    return snapshot.time && time >= start && time <= end;
+  });
+  if (inRange.length <= MAX_REPLAY_FRAMES) return inRange;
+
+  const step = (inRange.length - 1) / (MAX_REPLAY_FRAMES - 1);
+  return Array.from({ length: MAX_REPLAY_FRAMES }, (_, i) => inRange[Math.round(i * step)]);
+};
+
+/**
+ * Load the snapshots in a range as replay frames [{ time, stations }], oldest
+ * first. Readings are checked for spikes against the last accepted reading
+ * of each station in the frames before, as live readings are, and judged
+ * stale relative to the frame's own time. Snapshots that fail to load
+ * are skipped. onProgress and isCancelled are passed to loadSnapshots.
+ */
+export const loadReplayFrames = async (range, options) => {
+  const snapshots = await loadSnapshots(selectSnapshots(await listSnapshots(), range), options);
+  const frames = [];
+  let accepted = [];
+
+  snapshots
+    .sort((a, b) => new Date(a.time) - new Date(b.time))
+    .forEach(({ time, readings }) => {
+      const stations = assessReadings(toStationRecords(readings), { previousStations: accepted, now: new Date(time) });
+      accepted = getAcceptedReadings(stations, accepted);
+      frames.push({ time, stations });
+    });
+
+  return frames;
+};
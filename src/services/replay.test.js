@@ -0,0 +1,46 @@
+// src/services/replay.test.js
+import { MAX_REPLAY_FRAMES, loadReplayFrames, selectSnapshots } from './replay';
+import { listSnapshots, loadSnapshots } from './historyLoader';
+
+jest.mock('./historyLoader', () => ({
+  listSnapshots: jest.fn(),
+  loadSnapshots: jest.fn()
+}));
+
+const START = Date.parse('2025-12-01T00:00:00Z');
+const hoursFromStart = (hours) => new Date(START + hours * 60 * 60 * 1000).toISOString();
+const snapshot = (hours) => ({ name: `${hours}.json`, time: hoursFromStart(hours) });
+
+const reading = (level, hours) => ({ station: 'Hanwella', river: 'Kelani Ganga', level, rateOfRise: 0, lastMeasured: hoursFromStart(hours) });
+
+describe('selectSnapshots', () => {
+  it('keeps the snapshots in the range, including its ends', () => {
+    const snapshots = [0, 3, 6, 9].map(snapshot).concat({ name: 'undated.json', time: null });
+    expect(selectSnapshots(snapshots, { from: hoursFromStart(3), to: hoursFromStart(6) }).map(item => item.name))
+      .toEqual(['3.json', '6.json']);
+  });
+
+  it('thins long ranges evenly, keeping the first and last', () => {
+    const snapshots = Array.from({ length: 400 }, (_, i) => snapshot(i * 3));
+    const selected = selectSnapshots(snapshots, { from: hoursFromStart(0), to: hoursFromStart(1200) });
+    expect(selected).toHaveLength(MAX_REPLAY_FRAMES);
+    expect(selected[0]).toBe(snapshots[0]);
+    expect(selected[selected.length - 1]).toBe(snapshots[399]);
+  });
+});
+
+describe('loadReplayFrames', () => {
+  it('builds frames oldest first, checked against the last accepted readings and judged at their own time', async () => {
+    listSnapshots.mockResolvedValue([0, 3, 6].map(snapshot));
+    loadSnapshots.mockResolvedValue([
+      { name: '3.json', time: hoursFromStart(3), readings: [reading(8, 3)] },
+      { name: '0.json', time: hoursFromStart(0), readings: [reading(2, 0)] },
+      { name: '6.json', time: hoursFromStart(6), readings: [reading(2.2, 6)] }
+    ]);
+
+    const frames = await loadReplayFrames({ from: hoursFromStart(0), to: hoursFromStart(6) }, {});
+    expect(frames.map(frame => frame.time)).toEqual([0, 3, 6].map(hoursFromStart));
+    expect(frames.map(frame => frame.stations[0].quality.flags)).toEqual([[], ['spike'], []]);
+    expect(frames[0].stations[0].alert).toBeDefined();
+  });
+});
@@ -0,0 +1,189 @@
+// src/services/riskModel.js
+// Flood risk scores per river basin and nationally, with the contribution of
+// every station and factor so each number can be explained.
+//
+// 1. Each station scores 0-100: points for its alert level, points for
+//    rising water (more when rising fast) and points for heavy rain over its
+//    catchment in the last 24 hours, an early warning of rises to come.
+// 2. A basin's score takes `peakShare` from its highest-scoring station and
+//    the rest from the weighted average of all its stations. Critical
+//    stations weigh `criticalStation` times as much, and readings flagged by
+//    the data-quality checks count by their quality weight, in the average
+//    and as the peak alike.
+// 3. The national score combines the basin scores the same way, each basin
+//    weighted by the total weight of its stations.
+//
+// Weights come from public/data/risk-weights.json (see loadRiskWeights).
+
+export const SUPPORTED_SCHEMA_VERSION = 1;
+
+export const DEFAULT_RISK_WEIGHTS = {
+  alert: { normal: 0, alert: 25, minor: 55, major: 85 },
+  rising: 5,
+  fastRise: 15,
+  fastRiseRate: 0.05,
+  rain: 5,
+  rainMm: 50,
+  heavyRain: 10,
+  heavyRainMm: 100,
+  criticalStation: 2,
+  peakShare: 0.5
+};
+
+let activeWeights = DEFAULT_RISK_WEIGHTS;
+
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a parsed weights file. Missing entries keep their default;
+ * invalid entries are skipped and reported in `errors`.
+ * Resolves to { version, weights, errors }.
+ */
+export const parseRiskWeights = (json) => {
+  if (!json || json.schemaVersion !== SUPPORTED_SCHEMA_VERSION) {
+    throw new Error(`Unsupported risk weights schemaVersion: ${json?.schemaVersion}`);
+  }
+
+  const errors = [];
+  const pick = (value, fallback, label, valid = isNonNegative) => {
+    if (value === undefined) return fallback;
+    if (valid(value)) return value;
+    errors.push(`${label}: invalid value ${JSON.stringify(value)}`);
+    return fallback;
+  };
+
+  const alert = {};
+  Object.entries(DEFAULT_RISK_WEIGHTS.alert).forEach(([code, points]) => {
+    alert[code] = pick(json.alert?.[code], points, `alert.${code}`);
+  });
+
+  return {
+    version: String(json.version || 'unversioned'),
+    weights: {
+      alert,
+      rising: pick(json.rising, DEFAULT_RISK_WEIGHTS.rising, 'rising'),
+      fastRise: pick(json.fastRise, DEFAULT_RISK_WEIGHTS.fastRise, 'fastRise'),
+      fastRiseRate: pick(json.fastRiseRate, DEFAULT_RISK_WEIGHTS.fastRiseRate, 'fastRiseRate'),
+      rain: pick(json.rain, DEFAULT_RISK_WEIGHTS.rain, 'rain'),
+      rainMm: pick(json.rainMm, DEFAULT_RISK_WEIGHTS.rainMm, 'rainMm'),
+      heavyRain: pick(json.heavyRain, DEFAULT_RISK_WEIGHTS.heavyRain, 'heavyRain'),
+      heavyRainMm: pick(json.heavyRainMm, DEFAULT_RISK_WEIGHTS.heavyRainMm, 'heavyRainMm'),
+      criticalStation: pick(json.criticalStation, DEFAULT_RISK_WEIGHTS.criticalStation, 'criticalStation'),
+      peakShare: pick(json.peakShare, DEFAULT_RISK_WEIGHTS.peakShare, 'peakShare', value => isNonNegative(value) && value <= 1)
+    },
+    errors
+  };
+};
+
+/**
+ * Make a validated set of weights the active one
+ */
+export const setRiskWeights = (config) => {
+  activeWeights = config.weights;
+  if (config.errors.length > 0) {
+    console.warn(`Risk weights ${config.version}: ${config.errors.length} invalid entries skipped`, config.errors);
+  }
+};
+
+/**
+ * Fetch, validate and activate the weights file. On failure the current
+ * weights stay in effect. Resolves to { weights, errors }.
+ */
+export const loadRiskWeights = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const config = parseRiskWeights(await response.json());
+    setRiskWeights(config);
+    return { weights: activeWeights, errors: config.errors };
+  } catch (error) {
+    console.error('Error loading risk weights, keeping current values:', error);
+    return { weights: activeWeights, errors: [error.message] };
+  }
+};
+
+export const getRiskWeights = () => activeWeights;
+
+/**
+ * A station's score with its factors ({ alert, trend, rain } points).
+ * Rain points need the catchment rainfall (see rainfall.js attachRainfall).
+ */
+export const scoreStation = (station, weights = activeWeights) => {
+  const alert = weights.alert[station.alert] || 0;
+  let trend = 0;
+  if (station.rising && station.rateOfRise !== null && station.rateOfRise >= weights.fastRiseRate) trend = weights.fastRise;
+  else if (station.rising) trend = weights.rising;
+
+  const rainfall = station.rainfall ? station.rainfall.mm : null;
+  let rain = 0;
+  if (rainfall !== null && rainfall >= weights.heavyRainMm) rain = weights.heavyRain;
+  else if (rainfall !== null && rainfall >= weights.rainMm) rain = weights.rain;
+
+  return { score: Math.min(100, alert + trend + rain), factors: { alert, trend, rain } };
+};
+
+/**
+ * Combine { score, weight, peakWeight } items: peakShare from the item with
+ * the highest score scaled by its peakWeight (default 1), the rest from the
+ * weighted average. Returns the score and each item's contribution to it
+ * (the contributions add up to the score).
+ */
+const combine = (items, peakShare) => {
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  if (totalWeight === 0) return { score: 0, contributions: items.map(() => 0) };
+
+  const peakScore = (item) => item.score * (item.peakWeight === undefined ? 1 : item.peakWeight);
+  let peakIndex = -1;
+  items.forEach((item, i) => {
+    if (item.weight > 0 && (peakIndex === -1 || peakScore(item) > peakScore(items[peakIndex]))) peakIndex = i;
+  });
+
+  const contributions = items.map((item, i) =>
+    (1 - peakShare) * item.weight * item.score / totalWeight + (i === peakIndex ? peakShare * peakScore(item) : 0)
+  );
+  return { score: contributions.reduce((sum, value) => sum + value, 0), contributions };
+};
+
+/**
+ * Risk for a set of stations.
+ *
+ * Returns { score, weights, basins } where basins are sorted by score and
+ * each is { basin, score, weight, contribution, stations }; contribution is
+ * the basin's share of the national score. Each station entry is
+ * { station, score, factors, weight, contribution } with contribution being
+ * its share of the basin score. Scores are 0-100 and not rounded.
+ */
+export const calculateRisk = (stations, weights = activeWeights) => {
+  const byBasin = new Map();
+  stations.forEach(station => {
+    const entry = {
+      station: station.station,
+      ...scoreStation(station, weights),
+      weight: (station.isCritical ? weights.criticalStation : 1) * (station.quality ? station.quality.weight : 1),
+      // A down-weighted reading supplies only that part of the peak share
+      peakWeight: station.quality ? station.quality.weight : 1
+    };
+    if (!byBasin.has(station.river)) byBasin.set(station.river, []);
+    byBasin.get(station.river).push(entry);
+  });
+
+  const basins = [...byBasin.entries()].map(([basin, entries]) => {
+    const { score, contributions } = combine(entries, weights.peakShare);
+    return {
+      basin,
+      score,
+      weight: entries.reduce((sum, entry) => sum + entry.weight, 0),
+      stations: entries
+        .map((entry, i) => ({ ...entry, contribution: contributions[i] }))
+        .sort((a, b) => b.contribution - a.contribution)
+    };
+  });
+
+  const national = combine(basins, weights.peakShare);
+  basins.forEach((basin, i) => { basin.contribution = national.contributions[i]; });
+  basins.sort((a, b) => b.score - a.score);
+
+  return { score: national.score, weights, basins };
+};
@@ -0,0 +1,87 @@
+// src/services/riskModel.test.js
+import { DEFAULT_RISK_WEIGHTS, parseRiskWeights, scoreStation, calculateRisk } from './riskModel';
+
+const station = (name, alert, extra = {}) => ({
+  station: name,
+  river: 'Kelani Ganga',
+  alert,
+  rising: false,
+  rateOfRise: null,
+  ...extra
+});
+
+const stale = { flags: ['stale'], weight: 0.25 };
+const excluded = { flags: ['spike'], weight: 0 };
+
+describe('scoreStation', () => {
+  it('adds points for the alert level, a rising trend and catchment rain', () => {
+    const { score, factors } = scoreStation(
+      station('Hanwella', 'minor', { rising: true, rateOfRise: 0.02, rainfall: { mm: 60, gaugeCount: 1 } }),
+      DEFAULT_RISK_WEIGHTS
+    );
+    expect(factors).toEqual({ alert: 55, trend: 5, rain: 5 });
+    expect(score).toBe(65);
+  });
+
+  it('gives fast rises and heavy rain the larger points', () => {
+    const { factors } = scoreStation(
+      station('Hanwella', 'normal', { rising: true, rateOfRise: 0.1, rainfall: { mm: 150, gaugeCount: 2 } }),
+      DEFAULT_RISK_WEIGHTS
+    );
+    expect(factors).toEqual({ alert: 0, trend: 15, rain: 10 });
+  });
+
+  it('caps the score at 100', () => {
+    const weights = { ...DEFAULT_RISK_WEIGHTS, alert: { ...DEFAULT_RISK_WEIGHTS.alert, major: 95 } };
+    expect(scoreStation(station('Hanwella', 'major', { rising: true, rateOfRise: 0.2 }), weights).score).toBe(100);
+  });
+});
+
+describe('calculateRisk', () => {
+  it('takes peakShare from the highest station and the rest from the average', () => {
+    const { score, basins } = calculateRisk([station('A', 'major'), station('B', 'normal')], DEFAULT_RISK_WEIGHTS);
+    // 0.5 * 85 + 0.5 * (85 + 0) / 2
+    expect(score).toBeCloseTo(63.75);
+    expect(basins[0].stations.reduce((sum, entry) => sum + entry.contribution, 0)).toBeCloseTo(basins[0].score);
+  });
+
+  it('weighs critical stations more in the average', () => {
+    const { score } = calculateRisk([station('A', 'major', { isCritical: true }), station('B', 'normal')], DEFAULT_RISK_WEIGHTS);
+    // 0.5 * 85 + 0.5 * (2 * 85 + 0) / 3
+    expect(score).toBeCloseTo(70.83, 2);
+  });
+
+  it('leaves excluded readings out entirely', () => {
+    const { score } = calculateRisk([station('A', 'major', { quality: excluded }), station('B', 'alert')], DEFAULT_RISK_WEIGHTS);
+    expect(score).toBe(25);
+  });
+
+  it('scales a stale peak by its quality weight', () => {
+    const { score } = calculateRisk([station('A', 'major', { quality: stale }), station('B', 'normal')], DEFAULT_RISK_WEIGHTS);
+    // Average: 0.25 * 85 / 1.25 = 17; peak: 0.25 * 85 = 21.25
+    expect(score).toBeCloseTo(0.5 * 21.25 + 0.5 * 17);
+  });
+
+  it('prefers a current reading as the peak over a stale higher one', () => {
+    const { basins } = calculateRisk([station('A', 'major', { quality: stale }), station('B', 'alert')], DEFAULT_RISK_WEIGHTS);
+    const [top] = basins[0].stations;
+    expect(top.station).toBe('B');
+  });
+
+  it('returns zero for no stations', () => {
+    expect(calculateRisk([], DEFAULT_RISK_WEIGHTS)).toEqual({ score: 0, weights: DEFAULT_RISK_WEIGHTS, basins: [] });
+  });
+});
+
+describe('parseRiskWeights', () => {
+  it('keeps defaults for missing entries and reports invalid ones', () => {
+    const { weights, errors } = parseRiskWeights({ schemaVersion: 1, version: 'test', rising: 8, peakShare: 2 });
+    expect(weights.rising).toBe(8);
+    expect(weights.peakShare).toBe(DEFAULT_RISK_WEIGHTS.peakShare);
+    expect(errors).toEqual(['peakShare: invalid value 2']);
+  });
+
+  it('rejects other schema versions', () => {
+    expect(() => parseRiskWeights({ schemaVersion: 2 })).toThrow('Unsupported risk weights schemaVersion: 2');
+  });
+});
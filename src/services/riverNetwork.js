@@ -0,0 +1,180 @@
+// src/services/riverNetwork.js
+// River network topology: gauge order along each river and approximate
+// flood-wave travel times between consecutive gauges.
+//
+// Travel times are rough planning figures and vary with the size of the
+// flood; they are meant to show which way water is coming, not to time it.
+import { getAlertSeverity } from './dataService.js';
+
+// Gauges from source to mouth. travelHoursToNext is the approximate travel
+// time from a gauge to the next one downstream (null at the last gauge).
+export const RIVER_NETWORK = [
+  {
+    id: 'kelani',
+    name: 'Kelani Ganga',
+    stations: [
+      { name: 'Kitulgala', travelHoursToNext: 5 },
+      { name: 'Glencourse', travelHoursToNext: 4 },
+      { name: 'Hanwella', travelHoursToNext: 12 },
+      { name: 'Nagalagam Street', travelHoursToNext: null }
+    ]
+  },
+  {
+    id: 'kalu',
+    name: 'Kalu Ganga',
+    stations: [
+      { name: 'Rathnapura', travelHoursToNext: 8 },
+      { name: 'Ellagawa', travelHoursToNext: 6 },
+      { name: 'Putupaula', travelHoursToNext: 4 },
+      { name: 'Kalawellawa', travelHoursToNext: null }
+    ]
+  },
+  {
+    id: 'mahaweli',
+    name: 'Mahaweli Ganga',
+    stations: [
+      { name: 'Nawalapitiya', travelHoursToNext: 4 },
+      { name: 'Peradeniya', travelHoursToNext: 10 },
+      { name: 'Weraganthota', travelHoursToNext: 18 },
+      { name: 'Manampitiya', travelHoursToNext: null }
+    ]
+  },
+  {
+    id: 'gin',
+    name: 'Gin Ganga',
+    stations: [
+      { name: 'Thawalama', travelHoursToNext: 10 },
+      { name: 'Baddegama', travelHoursToNext: null }
+    ]
+  },
+  {
+    id: 'nilwala',
+    name: 'Nilwala Ganga',
+    stations: [
+      { name: 'Pitabeddara', travelHoursToNext: 6 },
+      { name: 'Urawa', travelHoursToNext: 4 },
+      { name: 'Panadugama', travelHoursToNext: 4 },
+      { name: 'Thalgahagoda', travelHoursToNext: null }
+    ]
+  },
+  {
+    id: 'deduru',
+    name: 'Deduru Oya',
+    stations: [
+      { name: 'Moragaswewa', travelHoursToNext: null }
+    ]
+  },
+  {
+    id: 'malwathu',
+    name: 'Malwathu Oya',
+    stations: [
+      { name: 'Thanthirimale', travelHoursToNext: null }
+    ]
+  }
+];
+
+// Rate of rise (m/hr) at which an upstream gauge is treated as a warning sign
+export const UPSTREAM_RISE_RATE = 0.02;
+
+/**
+ * Find the river a station belongs to and its position along it
+ */
+export const locateStation = (stationName) => {
+  for (const river of RIVER_NETWORK) {
+    const index = river.stations.findIndex(station => station.name === stationName);
+    if (index !== -1) return { river, index };
+  }
+  return null;
+};
+
+/**
+ * Travel time in hours between two positions on a river (from < to)
+ */
+export const getTravelHours = (river, fromIndex, toIndex) => {
+  let hours = 0;
+  for (let i = fromIndex; i < toIndex; i++) {
+    hours += river.stations[i].travelHoursToNext || 0;
+  }
+  return hours;
+};
+
+/**
+ * Gauges above and below a station, nearest first, with travel times
+ * ({ name, travelHours }). Both lists are empty for stations not in the network.
+ */
+export const getNeighbourStations = (stationName) => {
+  const location = locateStation(stationName);
+  if (!location) return { river: null, upstream: [], downstream: [] };
+
+  const { river, index } = location;
+  const upstream = river.stations.slice(0, index).map((station, i) => ({
+    name: station.name,
+    travelHours: getTravelHours(river, i, index)
+  })).reverse();
+  const downstream = river.stations.slice(index + 1).map((station, i) => ({
+    name: station.name,
+    travelHours: getTravelHours(river, index, index + 1 + i)
+  }));
+
+  return { river, upstream, downstream };
+};
+
+/**
+ * Readings along a river from source to mouth, with the cumulative travel
+ * time from the first gauge. Gauges with no current reading have station: null.
+ */
+export const buildRiverProfile = (river, stations) => {
+  const byName = new Map(stations.map(station => [station.station, station]));
+  return river.stations.map((gauge, index) => ({
+    name: gauge.name,
+    hoursFromSource: getTravelHours(river, 0, index),
+    travelHoursToNext: gauge.travelHoursToNext,
+    station: byName.get(gauge.name) || null
+  }));
+};
+
+/**
+ * Whether an upstream reading should warn the gauges below it
+ */
+const isUpstreamWarning = (station) => {
+  const risingFast = station.rateOfRise !== null && station.rateOfRise >= UPSTREAM_RISE_RATE;
+  const elevatedAndRising = getAlertSeverity(station.alert) > 0 && station.rising;
+  return risingFast || elevatedAndRising;
+};
+
+/**
+ * Warnings for downstream critical stations from rising gauges above them.
+ *
+ * Returns a map of downstream station name to a list of
+ * { upstream, river, travelHours, arrivesAt } ordered nearest first, where
+ * upstream is the upstream station record and arrivesAt is when its reading
+ * would be expected to reach the downstream gauge.
+ */
+export const getUpstreamWarnings = (stations) => {
+  const byName = new Map(stations.map(station => [station.station, station]));
+  const warnings = {};
+
+  stations.filter(station => station.isCritical).forEach(downstream => {
+    const location = locateStation(downstream.station);
+    if (!location) return;
+
+    const { river, index } = location;
+    const found = [];
+    for (let i = index - 1; i >= 0; i--) {
+      const upstream = byName.get(river.stations[i].name);
+      if (!upstream || !isUpstreamWarning(upstream)) continue;
+
+      const travelHours = getTravelHours(river, i, index);
+      const measured = new Date(upstream.lastMeasured).getTime();
+      found.push({
+        upstream,
+        river: river.name,
+        travelHours,
+        arrivesAt: isNaN(measured) ? null : new Date(measured + travelHours * 60 * 60 * 1000).toISOString()
+      });
+    }
+    if (found.length > 0) warnings[downstream.station] = found;
+  });
+
+  return warnings;
+};
@@ -0,0 +1,107 @@
+// src/services/routing.js
+// URL routes for the dashboard: /station/:name for a single station,
+// /report for the printable situation report and query parameters for the
+// station list (filter, river, q, alerts, sort and view). Paths are resolved
+// against PUBLIC_URL when the app is served from it (GitHub Pages) and
+// against the site root otherwise (Vercel, local development).
+import { ALERT_ORDER } from './dataService';
+import { SORT_OPTIONS } from './stationFilters';
+
+export const FILTERS = ['all', 'critical', 'risk'];
+export const VIEWS = ['cards', 'map', 'river', 'near'];
+
+const DEFAULT_ROUTE = {
+  page: 'dashboard',
+  station: null,
+  filter: 'all',
+  river: null,
+  query: '',
+  alerts: [],
+  sort: 'default',
+  view: 'cards'
+};
+const STATION_PATH = /^\/station\/([^/]+)\/?$/;
+const REPORT_PATH = /^\/report\/?$/;
+
+const PUBLIC_PATH = new URL(process.env.PUBLIC_URL || '/', window.location.origin).pathname.replace(/\/$/, '');
+
+/**
+ * Path prefix the app is running under for this page load
+ */
+const getBasePath = () => {
+  const { pathname } = window.location;
+  return PUBLIC_PATH && (pathname === PUBLIC_PATH || pathname.startsWith(`${PUBLIC_PATH}/`)) ? PUBLIC_PATH : '';
+};
+
+/**
+ * Read a route from a location. Unknown filters, alert codes, sorts and views
+ * fall back to the defaults.
+ */
+export const parseLocation = ({ pathname, search }) => {
+  const path = pathname.slice(getBasePath().length) || '/';
+  const params = new URLSearchParams(search);
+  const filter = params.get('filter');
+  const sort = params.get('sort');
+  const view = params.get('view');
+  const stationMatch = path.match(STATION_PATH);
+
+  let station = null;
+  if (stationMatch) {
+    try {
+      station = decodeURIComponent(stationMatch[1]);
+    } catch (error) {
+      console.warn('Ignoring malformed station path:', path);
+    }
+  }
+
+  let page = 'dashboard';
+  if (station) page = 'station';
+  else if (REPORT_PATH.test(path)) page = 'report';
+
+  return {
+    page,
+    station,
+    filter: FILTERS.includes(filter) ? filter : DEFAULT_ROUTE.filter,
+    river: params.get('river') || DEFAULT_ROUTE.river,
+    query: params.get('q') || DEFAULT_ROUTE.query,
+    alerts: (params.get('alerts') || '').split(',').filter(code => ALERT_ORDER.includes(code)),
+    sort: SORT_OPTIONS.includes(sort) ? sort : DEFAULT_ROUTE.sort,
+    view: VIEWS.includes(view) ? view : DEFAULT_ROUTE.view
+  };
+};
+
+/**
+ * URL for a route, leaving out parameters that have their default value
+ */
+export const buildUrl = (route) => {
+  const { page, station, filter, river, query, alerts, sort, view } = { ...DEFAULT_ROUTE, ...route };
+  const paths = { station: `/station/${encodeURIComponent(station)}`, report: '/report' };
+  const path = paths[page] || '/';
+  const params = new URLSearchParams();
+  if (page === 'dashboard') {
+    if (filter !== DEFAULT_ROUTE.filter) params.set('filter', filter);
+    if (river) params.set('river', river);
+    if (query) params.set('q', query);
+    if (alerts.length > 0) params.set('alerts', alerts.join(','));
+    if (sort !== DEFAULT_ROUTE.sort) params.set('sort', sort);
+    if (view !== DEFAULT_ROUTE.view) params.set('view', view);
+  }
+  const search = params.toString();
+  return `${getBasePath()}${path}${search ? `?${search}` : ''}`;
+};
+
+/**
+ * URL of a station's page
+ */
+export const stationUrl = (stationName) => buildUrl({ page: 'station', station: stationName });
+
+/**
+ * Go to a route, adding a history entry unless `replace` is set.
+ * Listeners are told through a popstate event, as for back/forward.
+ */
+export const navigate = (route, { replace = false } = {}) => {
+  const url = buildUrl(route);
+  if (url === `${window.location.pathname}${window.location.search}`) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+};
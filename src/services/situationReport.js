@@ -0,0 +1,80 @@
+// src/services/situationReport.js
+// Contents of the printable situation report, and the alert levels of the
+// last report issued from this browser so the next one can list the stations
+// that escalated in between.
+import { ALERT_ORDER, getAlertSeverity } from './dataService.js';
+import { sortStations } from './stationFilters.js';
+
+const LAST_REPORT_KEY = 'lk-flood-monitor:last-report';
+
+// Spikes, out-of-range values and duplicates (see dataQuality.js)
+const isExcluded = (station) => Boolean(station.quality) && station.quality.weight === 0;
+
+// Numbers printed at the foot of every report; labels are message keys
+export const EMERGENCY_CONTACTS = [
+  { label: 'footer.dmc', number: '117' },
+  { label: 'report.emergencyServices', number: '119' }
+];
+
+/**
+ * Alert levels at the time of the last issued report:
+ * { issuedAt, alerts: { [station]: alert } }, or null if none was issued
+ */
+export const loadLastReport = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LAST_REPORT_KEY) || 'null');
+    return saved && saved.issuedAt && saved.alerts ? saved : null;
+  } catch (error) {
+    console.error(`Error reading ${LAST_REPORT_KEY}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Record the readings a report was issued with, for the next report to compare against
+ */
+export const saveLastReport = (stations, issuedAt = new Date()) => {
+  const alerts = {};
+  stations.filter(station => !isExcluded(station)).forEach(station => { alerts[station.station] = station.alert; });
+  try {
+    localStorage.setItem(LAST_REPORT_KEY, JSON.stringify({ issuedAt: issuedAt.toISOString(), alerts }));
+  } catch (error) {
+    console.error(`Error saving ${LAST_REPORT_KEY}:`, error);
+  }
+};
+
+/**
+ * Summarise the readings for a report. Readings the data-quality checks
+ * exclude (weight 0) are left out of every figure and only counted; stale
+ * ones are included, as the last known level is better than none in a flood.
+ *
+ * Returns { counts, atRisk, escalated, excludedCount } where counts has the
+ * number of stations per alert code, atRisk the stations at Alert or above,
+ * most severe first, and escalated [{ station, from }] the stations whose
+ * level is more severe than in `lastReport` (see loadLastReport), most
+ * severe first. Stations missing from the last report are not counted as
+ * escalated.
+ */
+export const buildSituationReport = (stations, { lastReport = null } = {}) => {
+  const usable = stations.filter(station => !isExcluded(station));
+
+  const counts = {};
+  ALERT_ORDER.forEach(alert => { counts[alert] = usable.filter(station => station.alert === alert).length; });
+
+  const atRisk = sortStations(
+    usable.filter(station => getAlertSeverity(station.alert) >= getAlertSeverity('alert')),
+    'severity'
+  );
+
+  const escalated = lastReport
+    ? sortStations(
+      usable.filter(station => {
+        const before = lastReport.alerts[station.station];
+        return before !== undefined && getAlertSeverity(station.alert) > getAlertSeverity(before);
+      }),
+      'severity'
+    ).map(station => ({ station, from: lastReport.alerts[station.station] }))
+    : [];
+
+  return { counts, atRisk, escalated, excludedCount: stations.length - usable.length };
+};
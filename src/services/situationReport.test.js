@@ -0,0 +1,54 @@
+// src/services/situationReport.test.js
+import { buildSituationReport, loadLastReport, saveLastReport } from './situationReport';
+
+const station = (name, alert, quality = { flags: [], weight: 1 }) => ({
+  station: name,
+  river: 'Kelani Ganga',
+  alert,
+  level: 5,
+  rateOfRise: null,
+  quality
+});
+
+const stale = { flags: ['stale'], weight: 0.25 };
+const spike = { flags: ['spike'], weight: 0 };
+
+describe('buildSituationReport', () => {
+  it('counts stations per alert level and lists those at Alert or above, most severe first', () => {
+    const report = buildSituationReport([station('A', 'alert'), station('B', 'normal'), station('C', 'major')]);
+    expect(report.counts).toEqual({ normal: 1, alert: 1, minor: 0, major: 1 });
+    expect(report.atRisk.map(item => item.station)).toEqual(['C', 'A']);
+    expect(report.escalated).toEqual([]);
+    expect(report.excludedCount).toBe(0);
+  });
+
+  it('includes stale readings and leaves out excluded ones', () => {
+    const report = buildSituationReport([station('A', 'major', stale), station('B', 'minor', spike)]);
+    expect(report.counts.major).toBe(1);
+    expect(report.counts.minor).toBe(0);
+    expect(report.atRisk.map(item => item.station)).toEqual(['A']);
+    expect(report.excludedCount).toBe(1);
+  });
+
+  it('lists stations more severe than in the last report', () => {
+    const lastReport = { issuedAt: '2026-01-10T06:00:00Z', alerts: { A: 'alert', B: 'major', C: 'normal' } };
+    const report = buildSituationReport(
+      [station('A', 'minor'), station('B', 'minor'), station('C', 'major'), station('D', 'major')],
+      { lastReport }
+    );
+    expect(report.escalated.map(({ station: item, from }) => [item.station, from])).toEqual([['C', 'normal'], ['A', 'alert']]);
+  });
+});
+
+describe('last report', () => {
+  afterEach(() => localStorage.clear());
+
+  it('records the alert levels of every reading that is not excluded', () => {
+    saveLastReport([station('A', 'major', stale), station('B', 'minor', spike), station('C', 'alert')], new Date('2026-01-10T06:00:00Z'));
+    expect(loadLastReport()).toEqual({ issuedAt: '2026-01-10T06:00:00.000Z', alerts: { A: 'major', C: 'alert' } });
+  });
+
+  it('is null before the first report', () => {
+    expect(loadLastReport()).toBeNull();
+  });
+});
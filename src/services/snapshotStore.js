@@ -0,0 +1,252 @@
+// src/services/snapshotStore.js
+// IndexedDB cache of the last successful river data snapshot, station history
+// and the historical snapshot files downloaded by historyLoader.js
+import { normalizeAlertLevel } from './dataService.js';
+
+const DB_NAME = 'lk-flood-monitor';
+const DB_VERSION = 2;
+const SNAPSHOT_STORE = 'snapshots';
+const HISTORY_STORE = 'history';
+const HISTORY_FILE_STORE = 'historyFiles';
+const LATEST_KEY = 'latest';
+const HISTORY_INDEX_KEY = 'historyIndex';
+const BASELINE_KEY = 'qualityBaseline';
+
+// Historical snapshot files kept; about a month of 3-hourly snapshots
+export const MAX_HISTORY_FILES = 240;
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) db.createObjectStore(SNAPSHOT_STORE);
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) db.createObjectStore(HISTORY_STORE);
+        if (!db.objectStoreNames.contains(HISTORY_FILE_STORE)) db.createObjectStore(HISTORY_FILE_STORE);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Opened after giving up on a blocked upgrade; the app is already running without it
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Let a newer version of the app in another tab upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      // A tab running an older version still has the database open; carry on
+      // without the cache rather than wait for it to close
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error('Database upgrade is blocked by another open tab'));
+      };
+    });
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Store a successful fetchRiverData result as the last known good snapshot
+ */
+export const saveSnapshot = async (result) => {
+  try {
+    await withStore(SNAPSHOT_STORE, 'readwrite', store => store.put(result, LATEST_KEY));
+  } catch (error) {
+    console.error('Error saving snapshot:', error);
+  }
+};
+
+/**
+ * Load the last known good snapshot, or null if there is none
+ */
+export const loadSnapshot = async () => {
+  try {
+    const snapshot = await withStore(SNAPSHOT_STORE, 'readonly', store => store.get(LATEST_KEY));
+    if (!snapshot) return null;
+    // Snapshots saved by older versions hold display labels instead of codes
+    return {
+      ...snapshot,
+      stations: snapshot.stations.map(station => ({ ...station, alert: normalizeAlertLevel(station.alert) }))
+    };
+  } catch (error) {
+    console.error('Error loading snapshot:', error);
+    return null;
+  }
+};
+
+/**
+ * Store the last accepted reading per station (see dataQuality.js getAcceptedReadings)
+ */
+export const saveQualityBaseline = async (readings) => {
+  try {
+    await withStore(SNAPSHOT_STORE, 'readwrite', store => store.put(readings, BASELINE_KEY));
+  } catch (error) {
+    console.error('Error saving quality baseline:', error);
+  }
+};
+
+/**
+ * Load the last accepted readings, or null if none were stored
+ */
+export const loadQualityBaseline = async () => {
+  try {
+    return (await withStore(SNAPSHOT_STORE, 'readonly', store => store.get(BASELINE_KEY))) || null;
+  } catch (error) {
+    console.error('Error loading quality baseline:', error);
+    return null;
+  }
+};
+
+/**
+ * Replace a sample-data result with the cached snapshot when one exists.
+ * The returned envelope keeps the snapshot's own fetch times so its true
+ * age can be shown, and records why the live sources failed this time.
+ */
+export const fallbackToSnapshot = async (result) => {
+  if (!result.isSample) return result;
+
+  const snapshot = await loadSnapshot();
+  if (!snapshot) return result;
+
+  return {
+    ...snapshot,
+    isPrimary: false,
+    isCached: true,
+    failures: result.failures
+  };
+};
+
+const historyKey = (stationName, hours) => `${stationName}|${hours}`;
+
+/**
+ * Store a station's history series for offline charts
+ */
+export const saveHistory = async (stationName, hours, records) => {
+  try {
+    await withStore(HISTORY_STORE, 'readwrite', store =>
+      store.put({ records, savedAt: new Date().toISOString() }, historyKey(stationName, hours))
+    );
+  } catch (error) {
+    console.error('Error saving history:', error);
+  }
+};
+
+/**
+ * Load a cached history series as { records, savedAt }, or null
+ */
+export const loadHistory = async (stationName, hours) => {
+  try {
+    return (await withStore(HISTORY_STORE, 'readonly', store => store.get(historyKey(stationName, hours)))) || null;
+  } catch (error) {
+    console.error('Error loading history:', error);
+    return null;
+  }
+};
+
+/**
+ * Store the historical snapshot listing ({ files, etag, checkedAt })
+ */
+export const saveHistoryIndex = async (index) => {
+  try {
+    await withStore(SNAPSHOT_STORE, 'readwrite', store => store.put(index, HISTORY_INDEX_KEY));
+  } catch (error) {
+    console.error('Error saving snapshot list:', error);
+  }
+};
+
+/**
+ * Load the cached historical snapshot listing, or null
+ */
+export const loadHistoryIndex = async () => {
+  try {
+    return (await withStore(SNAPSHOT_STORE, 'readonly', store => store.get(HISTORY_INDEX_KEY))) || null;
+  } catch (error) {
+    console.error('Error loading snapshot list:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a downloaded historical snapshot file by name
+ */
+export const saveHistoryFile = async (name, file) => {
+  try {
+    await withStore(HISTORY_FILE_STORE, 'readwrite', store => store.put({ ...file, savedAt: new Date().toISOString() }, name));
+  } catch (error) {
+    console.error('Error saving snapshot file:', error);
+  }
+};
+
+/**
+ * Load a cached historical snapshot file, or null
+ */
+export const loadHistoryFile = async (name) => {
+  try {
+    return (await withStore(HISTORY_FILE_STORE, 'readonly', store => store.get(name))) || null;
+  } catch (error) {
+    console.error('Error loading snapshot file:', error);
+    return null;
+  }
+};
+
+/**
+ * Delete the least recently downloaded snapshot files beyond `max`
+ */
+export const pruneHistoryFiles = async (max = MAX_HISTORY_FILES) => {
+  try {
+    const db = await openDatabase();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_FILE_STORE, 'readwrite');
+      const store = transaction.objectStore(HISTORY_FILE_STORE);
+      const saved = [];
+      const cursor = store.openCursor();
+      cursor.onsuccess = () => {
+        const current = cursor.result;
+        if (current) {
+          saved.push({ key: current.key, savedAt: current.value.savedAt || '' });
+          current.continue();
+          return;
+        }
+        saved
+          .sort((a, b) => a.savedAt.localeCompare(b.savedAt))
+          .slice(0, Math.max(0, saved.length - max))
+          .forEach(({ key }) => store.delete(key));
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error('Error pruning snapshot files:', error);
+  }
+};
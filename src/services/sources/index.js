@@ -0,0 +1,88 @@
+// src/services/sources/index.js
+// Registry of data source adapters.
+//
+// An adapter describes one upstream feed:
+//   id               unique name, used in provenance and failure reports
+//   label            human-readable name
+//   url              location of the latest file
+//   schema           { field: { key, type, required } } for each StationReading field
+//   extractRecords   (raw) => array of raw station records, or undefined if the
+//                    file does not have the expected structure
+//   getFileTimestamp optional (raw) => ISO time the file was produced
+//
+// Adapters are tried in registration order when fetching live data.
+import { validateRecord, assertValidSchema } from './schema.js';
+import lkIrrigation from './lkIrrigation.js';
+import lkDmcVis from './lkDmcVis.js';
+
+/**
+ * @typedef {Object} StationReading
+ * @property {string} station       Station name
+ * @property {string|null} river    River or basin name
+ * @property {number} level         Water level in metres (0 is a valid level)
+ * @property {number|null} rateOfRise  Metres per hour, null when not reported
+ * @property {string} lastMeasured  ISO timestamp of the measurement
+ * @property {number|null} lat
+ * @property {number|null} lng
+ */
+
+const REQUIRED_FIELDS = ['station', 'level', 'lastMeasured'];
+
+const adapters = new Map();
+
+/**
+ * Add an adapter to the registry, replacing any with the same id
+ */
+export const registerSourceAdapter = (adapter) => {
+  if (!adapter || !adapter.id || !adapter.url || typeof adapter.extractRecords !== 'function') {
+    throw new Error('Source adapters need an id, url and extractRecords function');
+  }
+  assertValidSchema(adapter.schema);
+  REQUIRED_FIELDS.forEach(field => {
+    if (!adapter.schema[field]) {
+      throw new Error(`Source adapter "${adapter.id}" does not map required field "${field}"`);
+    }
+  });
+  adapters.set(adapter.id, adapter);
+};
+
+export const getSourceAdapter = (id) => adapters.get(id);
+
+/**
+ * All registered adapters, in fallback order
+ */
+export const getSourceAdapters = () => [...adapters.values()];
+
+/**
+ * Validate and normalize a raw file from an adapter's feed.
+ *
+ * Returns { readings, rejected, fileTimestamp } where readings are
+ * StationReadings and rejected lists { index, station, errors } for every
+ * record that failed validation. Records that passed with problems in
+ * optional fields carry them in `warnings`.
+ * Throws if the file itself does not have the expected structure.
+ */
+export const normalizeSource = (adapter, raw) => {
+  const records = adapter.extractRecords(raw);
+  if (!Array.isArray(records)) {
+    throw new Error(`${adapter.label}: unexpected file structure`);
+  }
+
+  const fileTimestamp = adapter.getFileTimestamp ? adapter.getFileTimestamp(raw) : undefined;
+  const readings = [];
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    const { values, errors, warnings } = validateRecord(record, adapter.schema, { lastMeasured: fileTimestamp });
+    if (errors.length > 0) {
+      rejected.push({ index, station: values.station || null, errors });
+      return;
+    }
+    readings.push({ ...values, warnings });
+  });
+
+  return { readings, rejected, fileTimestamp: fileTimestamp || null };
+};
+
+registerSourceAdapter(lkIrrigation);
+registerSourceAdapter(lkDmcVis);
@@ -0,0 +1,25 @@
+// src/services/sources/lkDmcVis.js
+// Disaster Management Centre river levels from nuuuwan/lk_dmc_vis
+import { parseTimestamp } from './schema.js';
+
+const lkDmcVis = {
+  id: 'lk_dmc_vis',
+  label: 'Disaster Management Centre (lk_dmc_vis)',
+  url: 'https://raw.githubusercontent.com/nuuuwan/lk_dmc_vis/main/data/latest.json',
+
+  schema: {
+    station: { key: 'station', type: 'string', required: true },
+    river: { key: 'river', type: 'string' },
+    level: { key: 'water_level', type: 'number', required: true },
+    rateOfRise: { key: 'rate', type: 'number' },
+    lastMeasured: { key: 'timestamp', type: 'timestamp', required: true },
+    lat: { key: 'latitude', type: 'number' },
+    lng: { key: 'longitude', type: 'number' }
+  },
+
+  extractRecords: (raw) => raw?.data,
+
+  getFileTimestamp: (raw) => (raw?.timestamp ? parseTimestamp(raw.timestamp) : undefined)
+};
+
+export default lkDmcVis;
@@ -0,0 +1,25 @@
+// src/services/sources/lkIrrigation.js
+// River water level stations (rwlds) from nuuuwan/lk_irrigation
+import { parseTimestamp } from './schema.js';
+
+const lkIrrigation = {
+  id: 'lk_irrigation',
+  label: 'Irrigation Department (lk_irrigation)',
+  url: 'https://raw.githubusercontent.com/nuuuwan/lk_irrigation/main/data/rwlds/latest.json',
+
+  schema: {
+    station: { key: 'station_name', type: 'string', required: true },
+    river: { key: 'river_basin', type: 'string' },
+    level: { key: 'level_m', type: 'number', required: true },
+    rateOfRise: { key: 'rate_of_rise', type: 'number' },
+    lastMeasured: { key: 'measured_at', type: 'timestamp', required: true },
+    lat: { key: 'latitude', type: 'number' },
+    lng: { key: 'longitude', type: 'number' }
+  },
+
+  extractRecords: (raw) => (Array.isArray(raw) ? raw : raw?.stations),
+
+  getFileTimestamp: (raw) => (raw && !Array.isArray(raw) && raw.updated_at ? parseTimestamp(raw.updated_at) : undefined)
+};
+
+export default lkIrrigation;
@@ -0,0 +1,81 @@
+// src/services/sources/schema.js
+// Minimal schema validation for source adapter records
+
+/**
+ * Parse a timestamp (ISO string, Date, or Unix seconds/milliseconds) to ISO,
+ * or undefined if it cannot be parsed
+ */
+export const parseTimestamp = (value) => {
+  // Unix timestamps in seconds are common in these feeds
+  const time = typeof value === 'number' && value < 1e12 ? new Date(value * 1000) : new Date(value);
+  return isNaN(time) ? undefined : time.toISOString();
+};
+
+// Converters for each field type; undefined means the value is invalid
+const COERCE = {
+  string: (value) => {
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string' || value.trim() === '') return undefined;
+    return value.trim();
+  },
+  number: (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+  },
+  timestamp: parseTimestamp
+};
+
+export const FIELD_TYPES = Object.keys(COERCE);
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate one raw record against a schema of the form
+ *   { fieldName: { key: 'source_key', type: 'number', required: true } }
+ *
+ * Missing or malformed required fields are errors (the record is unusable);
+ * malformed optional fields are warnings and come back as null.
+ * `defaults` supplies values for fields the record itself lacks.
+ */
+export const validateRecord = (raw, schema, defaults = {}) => {
+  const values = {};
+  const errors = [];
+  const warnings = [];
+
+  if (!raw || typeof raw !== 'object') {
+    return { values, errors: ['record is not an object'], warnings };
+  }
+
+  Object.entries(schema).forEach(([name, spec]) => {
+    const value = raw[spec.key];
+
+    if (isMissing(value)) {
+      values[name] = isMissing(defaults[name]) ? null : defaults[name];
+      if (values[name] === null && spec.required) errors.push(`missing ${spec.key}`);
+      return;
+    }
+
+    const coerced = COERCE[spec.type](value);
+    if (coerced === undefined) {
+      values[name] = null;
+      const problem = `${spec.key} is not a valid ${spec.type}: ${JSON.stringify(value)}`;
+      (spec.required ? errors : warnings).push(problem);
+      return;
+    }
+
+    values[name] = coerced;
+  });
+
+  return { values, errors, warnings };
+};
+
+/**
+ * Check that a schema only uses known field types
+ */
+export const assertValidSchema = (schema) => {
+  Object.entries(schema).forEach(([name, spec]) => {
+    if (!spec || typeof spec.key !== 'string' || !FIELD_TYPES.includes(spec.type)) {
+      throw new Error(`Invalid schema field "${name}"`);
+    }
+  });
+};
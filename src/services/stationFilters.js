@@ -0,0 +1,66 @@
+// src/services/stationFilters.js
+// Filtering and sorting of station records for the dashboard list. Rivers
+// are taken from the data (a river or basin name, depending on the source),
+// so new gauges and rivers need no code changes.
+import { getAlertSeverity, getStationThresholds } from './dataService.js';
+import { slugify } from './capFeed.js';
+
+export const SORT_OPTIONS = ['default', 'severity', 'margin', 'rate', 'freshness'];
+
+/**
+ * Rivers present in the data as { id, name, count }, sorted by name.
+ * `id` is the URL-safe form used in links.
+ */
+export const getRiverOptions = (stations) => {
+  const counts = new Map();
+  stations.forEach(station => counts.set(station.river, (counts.get(station.river) || 0) + 1));
+  return [...counts.entries()]
+    .map(([name, count]) => ({ id: slugify(name), name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Metres below the Major Flood level (negative once above it)
+ */
+export const getThresholdMargin = (station) => getStationThresholds(station.station).major - station.level;
+
+/**
+ * Keep the stations matching every given criterion:
+ * - river: river id from getRiverOptions
+ * - query: text found in the station or river name, in English or as
+ *   returned by `translateName` (e.g. the translator's place function)
+ * - alerts: alert codes to include; empty means all
+ */
+export const filterStations = (stations, { river = null, query = '', alerts = [] } = {}, translateName = null) => {
+  const needle = query.trim().toLocaleLowerCase();
+
+  return stations.filter(station => {
+    if (river && slugify(station.river) !== river) return false;
+    if (alerts.length > 0 && !alerts.includes(station.alert)) return false;
+    if (!needle) return true;
+
+    const names = [station.station, station.river];
+    if (translateName) names.push(translateName(station.station), translateName(station.river));
+    return names.some(name => name.toLocaleLowerCase().includes(needle));
+  });
+};
+
+const COMPARATORS = {
+  // Most severe alert first, then closest to Major Flood
+  severity: (a, b) => getAlertSeverity(b.alert) - getAlertSeverity(a.alert) || getThresholdMargin(a) - getThresholdMargin(b),
+  margin: (a, b) => getThresholdMargin(a) - getThresholdMargin(b),
+  // Stations that don't report a rate go last
+  rate: (a, b) => {
+    if (a.rateOfRise === null || b.rateOfRise === null) return (a.rateOfRise === null) - (b.rateOfRise === null);
+    return b.rateOfRise - a.rateOfRise;
+  },
+  freshness: (a, b) => (new Date(b.lastMeasured).getTime() || 0) - (new Date(a.lastMeasured).getTime() || 0)
+};
+
+/**
+ * A sorted copy of the stations; 'default' keeps the feed order
+ */
+export const sortStations = (stations, sort = 'default') => {
+  const comparator = COMPARATORS[sort];
+  return comparator ? [...stations].sort(comparator) : stations;
+};
@@ -0,0 +1,163 @@
+// src/services/thresholds.js
+// Per-station alert thresholds, loaded from a versioned JSON file
+// (public/data/thresholds.json) so they can be changed without a code change.
+
+const SUPPORTED_SCHEMA_VERSION = 1;
+const LEVELS = ['alert', 'minor', 'major'];
+
+// Conversion factors to metres
+const UNIT_FACTORS = { m: 1, cm: 0.01, ft: 0.3048 };
+
+// Bundled thresholds (meters), used until the JSON file has loaded or if it is invalid
+export const ALERT_THRESHOLDS = {
+  'Nagalagam Street': { major: 2.4, minor: 2.0, alert: 1.6 },
+  'Peradeniya': { major: 8.0, minor: 6.5, alert: 5.5 },
+  'Moragaswewa': { major: 7.5, minor: 6.0, alert: 5.0 },
+  'Thanthirimale': { major: 9.0, minor: 7.5, alert: 6.5 },
+  'Hanwella': { major: 9.0, minor: 7.5, alert: 6.5 },
+  'Glencourse': { major: 15.0, minor: 13.5, alert: 12.0 },
+  'Rathnapura': { major: 7.0, minor: 5.5, alert: 4.5 },
+  'Kalawellawa': { major: 8.0, minor: 6.5, alert: 5.5 },
+  'default': { major: 10.0, minor: 7.5, alert: 5.0 }
+};
+
+const BUNDLED_SOURCE = 'Bundled with the app';
+
+/**
+ * Build the active configuration from the bundled thresholds
+ */
+const bundledConfig = () => {
+  const { default: fallback, ...stations } = ALERT_THRESHOLDS;
+  const entries = Object.entries(stations).map(([id, levels]) => [
+    id,
+    { ...levels, units: 'm', source: BUNDLED_SOURCE, effectiveDate: null, isDefault: false }
+  ]);
+  return {
+    version: 'bundled',
+    stations: Object.fromEntries(entries),
+    default: { ...fallback, units: 'm', source: BUNDLED_SOURCE, effectiveDate: null, isDefault: true },
+    errors: []
+  };
+};
+
+let activeConfig = bundledConfig();
+
+/**
+ * Validate one set of levels, converting to metres.
+ * Returns { levels } or { error }.
+ */
+const validateLevels = (entry, label) => {
+  const units = entry.units || 'm';
+  const factor = UNIT_FACTORS[units];
+  if (!factor) return { error: `${label}: unsupported units "${units}"` };
+
+  for (const level of LEVELS) {
+    if (typeof entry[level] !== 'number' || !Number.isFinite(entry[level]) || entry[level] < 0) {
+      return { error: `${label}: "${level}" must be a non-negative number` };
+    }
+  }
+  if (!(entry.alert < entry.minor && entry.minor < entry.major)) {
+    return { error: `${label}: levels must increase from alert to minor to major` };
+  }
+  if (entry.effectiveDate && isNaN(new Date(entry.effectiveDate))) {
+    return { error: `${label}: invalid effectiveDate "${entry.effectiveDate}"` };
+  }
+
+  return {
+    levels: {
+      alert: entry.alert * factor,
+      minor: entry.minor * factor,
+      major: entry.major * factor,
+      units: 'm',
+      source: entry.source || null,
+      effectiveDate: entry.effectiveDate || null
+    }
+  };
+};
+
+/**
+ * Validate a parsed thresholds file.
+ *
+ * Invalid station entries are skipped and reported in `errors`; a file
+ * with an unsupported schema version or no valid default throws.
+ */
+export const parseThresholdConfig = (json) => {
+  if (!json || json.schemaVersion !== SUPPORTED_SCHEMA_VERSION) {
+    throw new Error(`Unsupported thresholds schemaVersion: ${json?.schemaVersion}`);
+  }
+
+  const fallback = validateLevels(json.default || {}, 'default');
+  if (fallback.error) throw new Error(fallback.error);
+
+  const errors = [];
+  const stations = {};
+  (Array.isArray(json.stations) ? json.stations : []).forEach((entry, index) => {
+    if (!entry || typeof entry.id !== 'string' || entry.id.trim() === '') {
+      errors.push(`stations[${index}]: missing station id`);
+      return;
+    }
+    if (stations[entry.id]) {
+      errors.push(`${entry.id}: duplicate entry ignored`);
+      return;
+    }
+    const { levels, error } = validateLevels(entry, entry.id);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    stations[entry.id] = { ...levels, isDefault: false };
+  });
+
+  return {
+    version: String(json.version || 'unversioned'),
+    stations,
+    default: { ...fallback.levels, isDefault: true },
+    errors
+  };
+};
+
+/**
+ * Make a validated configuration the active one
+ */
+export const setThresholdConfig = (config) => {
+  activeConfig = config;
+  if (config.errors.length > 0) {
+    console.warn(`Thresholds ${config.version}: ${config.errors.length} invalid entries skipped`, config.errors);
+  }
+};
+
+/**
+ * Fetch, validate and activate the thresholds file. On failure the
+ * current thresholds stay in effect and the error is reported in the result.
+ * Resolves to { version, stationCount, errors }.
+ */
+export const loadThresholds = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    setThresholdConfig(parseThresholdConfig(await response.json()));
+  } catch (error) {
+    console.error('Error loading thresholds, keeping current values:', error);
+    return { ...getThresholdInfo(), errors: [...activeConfig.errors, error.message] };
+  }
+  return getThresholdInfo();
+};
+
+/**
+ * Summary of the active configuration
+ */
+export const getThresholdInfo = () => ({
+  version: activeConfig.version,
+  stationCount: Object.keys(activeConfig.stations).length,
+  errors: activeConfig.errors
+});
+
+/**
+ * Get alert thresholds for a station, falling back to the defaults.
+ * The result's `isDefault` flag says whether the fallback was used.
+ */
+export const getStationThresholds = (stationName) => {
+  return activeConfig.stations[stationName] || activeConfig.default;
+};
@@ -0,0 +1,156 @@
+// src/services/watchNotifications.js
+// Watch preferences and change detection for browser notifications
+
+import { getAlertSeverity } from './dataService.js';
+import { createTranslator } from '../i18n/index.js';
+
+const PREFERENCES_KEY = 'lk-flood-monitor:watch-preferences';
+const STATE_KEY = 'lk-flood-monitor:watch-state';
+
+// Key used in the notification state for the feed as a whole
+const FEED_KEY = '__feed__';
+
+export const DEFAULT_WATCH_PREFERENCES = {
+  stations: [],
+  rivers: [],
+  rateThreshold: null, // m/hr; null disables rate notifications
+  notifyStale: true,
+  staleHours: 6
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+};
+
+export const loadWatchPreferences = () => ({
+  ...DEFAULT_WATCH_PREFERENCES,
+  ...readJson(PREFERENCES_KEY, {})
+});
+
+export const saveWatchPreferences = (preferences) => writeJson(PREFERENCES_KEY, preferences);
+
+/**
+ * What was last notified, so the same condition is not repeated on every refresh:
+ * { [station]: { severity, rateAbove }, __feed__: { stale } }
+ */
+export const loadWatchState = () => readJson(STATE_KEY, {});
+
+export const saveWatchState = (state) => writeJson(STATE_KEY, state);
+
+/**
+ * Whether a station is watched directly or through its river
+ */
+export const isStationWatched = (station, preferences) => {
+  return preferences.stations.includes(station.station) || preferences.rivers.includes(station.river);
+};
+
+/**
+ * Whether the feed should be considered stale
+ */
+const isFeedStale = (dataInfo, staleHours) => {
+  if (dataInfo.isSample || dataInfo.isCached) return true;
+  if (!dataInfo.sourceUpdatedAt) return false;
+  return (new Date() - new Date(dataInfo.sourceUpdatedAt)) / (60 * 60 * 1000) > staleHours;
+};
+
+/**
+ * Compare the latest readings with what was last notified.
+ *
+ * Returns { events, state } where events is a list of
+ * { tag, title, body } to show and state replaces the previous state.
+ * Text is written with `translator` (see createTranslator), English by default.
+ * A station seen for the first time only records its level: opening the
+ * app does not announce every watched station that is already in flood.
+ * Sample data and offline copies are not live readings: stations are not
+ * checked against them and keep their stored state, so only the feed's
+ * staleness is reported. Readings the data-quality checks exclude (weight 0:
+ * spikes, out-of-range values and duplicates) are skipped the same way.
+ */
+export const detectWatchEvents = (stations, dataInfo, preferences, previousState, translator = createTranslator()) => {
+  const { t, place, alertLabel, formatNumber } = translator;
+  const events = [];
+  const state = { ...previousState };
+
+  const isLive = !dataInfo || (!dataInfo.isSample && !dataInfo.isCached);
+  const isExcluded = (station) => Boolean(station.quality) && station.quality.weight === 0;
+
+  stations.filter(station => isLive && !isExcluded(station) && isStationWatched(station, preferences)).forEach(station => {
+    const previous = previousState[station.station];
+    const severity = getAlertSeverity(station.alert);
+    const rateAbove = preferences.rateThreshold !== null &&
+      station.rateOfRise !== null &&
+      station.rateOfRise >= preferences.rateThreshold;
+
+    if (previous && severity > previous.severity) {
+      events.push({
+        tag: `alert-${station.station}`,
+        title: t('notify.alertTitle', { station: place(station.station), alert: alertLabel(station.alert) }),
+        body: t('notify.alertBody', { river: place(station.river), level: formatNumber(station.level) })
+      });
+    }
+
+    if (previous && rateAbove && !previous.rateAbove) {
+      events.push({
+        tag: `rate-${station.station}`,
+        title: t('notify.rateTitle', { station: place(station.station) }),
+        body: t('notify.rateBody', {
+          rate: formatNumber(station.rateOfRise, 3),
+          limit: preferences.rateThreshold,
+          level: formatNumber(station.level)
+        })
+      });
+    }
+
+    state[station.station] = { severity, rateAbove };
+  });
+
+  if (preferences.notifyStale && dataInfo) {
+    const stale = isFeedStale(dataInfo, preferences.staleHours);
+    if (stale && !previousState[FEED_KEY]?.stale) {
+      events.push({
+        tag: 'feed-stale',
+        title: t('notify.staleTitle'),
+        body: dataInfo.isSample || dataInfo.isCached
+          ? t('notify.staleUnreachable')
+          : t('notify.staleBody', { hours: preferences.staleHours })
+      });
+    }
+    state[FEED_KEY] = { stale };
+  }
+
+  return { events, state };
+};
+
+/**
+ * Show a notification, through the service worker when there is one
+ * (required on mobile browsers)
+ */
+export const showNotification = async ({ tag, title, body }) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+  const options = { body, tag, icon: `${process.env.PUBLIC_URL}/logo192.png` };
+  try {
+    const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+};
@@ -0,0 +1,81 @@
+// src/services/watchNotifications.test.js
+import { DEFAULT_WATCH_PREFERENCES, detectWatchEvents, isStationWatched } from './watchNotifications';
+
+const LIVE = { isSample: false, isCached: false, sourceUpdatedAt: new Date().toISOString() };
+
+const preferences = { ...DEFAULT_WATCH_PREFERENCES, stations: ['Hanwella'], rateThreshold: 0.05, notifyStale: false };
+
+const station = (alert, extra = {}) => ({
+  station: 'Hanwella',
+  river: 'Kelani Ganga',
+  alert,
+  level: 6.2,
+  rateOfRise: 0.01,
+  ...extra
+});
+
+const tagsOf = ({ events }) => events.map(event => event.tag);
+
+describe('isStationWatched', () => {
+  it('matches watched stations and stations on watched rivers', () => {
+    expect(isStationWatched(station('normal'), preferences)).toBe(true);
+    expect(isStationWatched(station('normal', { station: 'Glencourse' }), { ...preferences, rivers: ['Kelani Ganga'] })).toBe(true);
+    expect(isStationWatched(station('normal', { station: 'Glencourse' }), preferences)).toBe(false);
+  });
+});
+
+describe('detectWatchEvents', () => {
+  it('only records a station seen for the first time', () => {
+    const result = detectWatchEvents([station('major')], LIVE, preferences, {});
+    expect(result.events).toEqual([]);
+    expect(result.state.Hanwella).toEqual({ severity: 3, rateAbove: false });
+  });
+
+  it('notifies escalations and a rate crossing the limit once', () => {
+    const previous = { Hanwella: { severity: 1, rateAbove: false } };
+    const first = detectWatchEvents([station('minor', { rateOfRise: 0.08 })], LIVE, preferences, previous);
+    expect(tagsOf(first)).toEqual(['alert-Hanwella', 'rate-Hanwella']);
+    expect(first.events[0].title).toBe('Hanwella: Minor Flood');
+
+    expect(tagsOf(detectWatchEvents([station('minor', { rateOfRise: 0.09 })], LIVE, preferences, first.state))).toEqual([]);
+  });
+
+  it('does not notify de-escalations', () => {
+    expect(tagsOf(detectWatchEvents([station('alert')], LIVE, preferences, { Hanwella: { severity: 3, rateAbove: false } }))).toEqual([]);
+  });
+
+  it('ignores unwatched stations', () => {
+    const previous = { Glencourse: { severity: 0, rateAbove: false } };
+    expect(tagsOf(detectWatchEvents([station('major', { station: 'Glencourse' })], LIVE, preferences, previous))).toEqual([]);
+  });
+
+  it('keeps the stored state on sample data and offline copies', () => {
+    const previous = { Hanwella: { severity: 0, rateAbove: false } };
+    [{ ...LIVE, isSample: true }, { ...LIVE, isCached: true }].forEach(dataInfo => {
+      const result = detectWatchEvents([station('major')], dataInfo, preferences, previous);
+      expect(result.events).toEqual([]);
+      expect(result.state).toEqual(previous);
+    });
+  });
+
+  it('skips readings the quality checks exclude', () => {
+    const previous = { Hanwella: { severity: 0, rateAbove: false } };
+    const readings = [
+      station('major', { quality: { flags: ['spike'], weight: 0 } }),
+      station('minor', { quality: { flags: ['duplicate'], weight: 0 } })
+    ];
+    const result = detectWatchEvents(readings, LIVE, preferences, previous);
+    expect(result.events).toEqual([]);
+    expect(result.state).toEqual(previous);
+  });
+
+  it('reports a stale feed once until it recovers', () => {
+    const stalePreferences = { ...preferences, notifyStale: true, staleHours: 6 };
+    const old = { ...LIVE, sourceUpdatedAt: new Date(Date.now() - 8 * 60 * 60 * 1000).toISOString() };
+
+    const first = detectWatchEvents([], old, stalePreferences, {});
+    expect(tagsOf(first)).toEqual(['feed-stale']);
+    expect(tagsOf(detectWatchEvents([], old, stalePreferences, first.state))).toEqual([]);
+    expect(detectWatchEvents([], LIVE, stalePreferences, first.state).state.__feed__).toEqual({ stale: false });
+  });
+});
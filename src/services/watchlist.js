@@ -0,0 +1,112 @@
+// src/services/watchlist.js
+// Personal watchlist: pinned stations in the user's own order, each with an
+// optional personal warning level (metres) on top of the official
+// thresholds. Kept in localStorage and shared between people as a JSON file.
+
+const WATCHLIST_KEY = 'lk-flood-monitor:watchlist';
+
+export const WATCHLIST_FILE_VERSION = 1;
+
+const isLevel = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate a watchlist file (or the stored copy). Accepts
+ * { stations: [{ station, warningLevel }] } with plain station names allowed
+ * in place of objects. Invalid and repeated entries are left out and reported
+ * in `errors`. Returns { watchlist, errors } where watchlist is
+ * [{ station, warningLevel }] with warningLevel a number or null.
+ */
+export const parseWatchlist = (json) => {
+  if (!json || typeof json !== 'object' || !Array.isArray(json.stations)) {
+    throw new Error('Watchlist must be a JSON object with a "stations" list');
+  }
+  if (json.version !== undefined && json.version > WATCHLIST_FILE_VERSION) {
+    throw new Error(`Unsupported watchlist version ${json.version}`);
+  }
+
+  const watchlist = [];
+  const errors = [];
+  json.stations.forEach((item, index) => {
+    const entry = typeof item === 'string' ? { station: item } : item;
+    const station = typeof entry?.station === 'string' ? entry.station.trim() : '';
+    if (!station) {
+      errors.push(`stations[${index}]: missing station name`);
+      return;
+    }
+    if (watchlist.some(existing => existing.station === station)) {
+      errors.push(`stations[${index}]: ${station} is listed twice`);
+      return;
+    }
+    const warningLevel = entry.warningLevel ?? null;
+    if (warningLevel !== null && !isLevel(warningLevel)) {
+      errors.push(`stations[${index}] (${station}): warningLevel must be a level in metres`);
+      watchlist.push({ station, warningLevel: null });
+      return;
+    }
+    watchlist.push({ station, warningLevel });
+  });
+
+  return { watchlist, errors };
+};
+
+export const loadWatchlist = () => {
+  try {
+    const saved = localStorage.getItem(WATCHLIST_KEY);
+    return saved ? parseWatchlist(JSON.parse(saved)).watchlist : [];
+  } catch (error) {
+    console.error(`Error reading ${WATCHLIST_KEY}:`, error);
+    return [];
+  }
+};
+
+export const saveWatchlist = (watchlist) => {
+  try {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify({ version: WATCHLIST_FILE_VERSION, stations: watchlist }));
+  } catch (error) {
+    console.error(`Error saving ${WATCHLIST_KEY}:`, error);
+  }
+};
+
+/**
+ * The watchlist as a file to share, readable by parseWatchlist
+ */
+export const serializeWatchlist = (watchlist) => JSON.stringify({
+  version: WATCHLIST_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  stations: watchlist
+}, null, 2);
+
+/**
+ * Pin a station at the end of the list, or unpin it
+ */
+export const togglePinned = (watchlist, stationName) => (
+  watchlist.some(entry => entry.station === stationName)
+    ? watchlist.filter(entry => entry.station !== stationName)
+    : [...watchlist, { station: stationName, warningLevel: null }]
+);
+
+/**
+ * Move a station `offset` places up (negative) or down the list
+ */
+export const moveEntry = (watchlist, stationName, offset) => {
+  const from = watchlist.findIndex(entry => entry.station === stationName);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= watchlist.length) return watchlist;
+  const next = [...watchlist];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+};
+
+/**
+ * Set or clear (null) a station's personal warning level
+ */
+export const setWarningLevel = (watchlist, stationName, warningLevel) => watchlist.map(entry => (
+  entry.station === stationName ? { ...entry, warningLevel: isLevel(warningLevel) ? warningLevel : null } : entry
+));
+
+/**
+ * Whether a reading is at or above the station's personal warning level
+ */
+export const isAboveWarningLevel = (station, entry) => Boolean(
+  station && entry && entry.warningLevel !== null && station.level >= entry.warningLevel
+);
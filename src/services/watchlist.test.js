@@ -0,0 +1,89 @@
+// src/services/watchlist.test.js
+import {
+  isAboveWarningLevel,
+  loadWatchlist,
+  moveEntry,
+  parseWatchlist,
+  saveWatchlist,
+  serializeWatchlist,
+  setWarningLevel,
+  togglePinned
+} from './watchlist';
+
+const entry = (station, warningLevel = null) => ({ station, warningLevel });
+
+describe('parseWatchlist', () => {
+  it('accepts entries and plain station names', () => {
+    expect(parseWatchlist({ stations: [{ station: ' Hanwella ', warningLevel: 4.5 }, 'Glencourse'] })).toEqual({
+      watchlist: [entry('Hanwella', 4.5), entry('Glencourse')],
+      errors: []
+    });
+  });
+
+  it('reports and leaves out unnamed and repeated entries', () => {
+    const { watchlist, errors } = parseWatchlist({ stations: [{}, 'Hanwella', { station: 'Hanwella' }] });
+    expect(watchlist).toEqual([entry('Hanwella')]);
+    expect(errors).toEqual(['stations[0]: missing station name', 'stations[2]: Hanwella is listed twice']);
+  });
+
+  it('keeps a station with an invalid warning level, without the level', () => {
+    const { watchlist, errors } = parseWatchlist({ stations: [{ station: 'Hanwella', warningLevel: -2 }] });
+    expect(watchlist).toEqual([entry('Hanwella')]);
+    expect(errors).toEqual(['stations[0] (Hanwella): warningLevel must be a level in metres']);
+  });
+
+  it('rejects files that are not watchlists or are from a newer version', () => {
+    expect(() => parseWatchlist([])).toThrow('Watchlist must be a JSON object with a "stations" list');
+    expect(() => parseWatchlist({ version: 2, stations: [] })).toThrow('Unsupported watchlist version 2');
+  });
+
+  it('reads back what serializeWatchlist writes', () => {
+    const watchlist = [entry('Hanwella', 4.5), entry('Glencourse')];
+    expect(parseWatchlist(JSON.parse(serializeWatchlist(watchlist))).watchlist).toEqual(watchlist);
+  });
+});
+
+describe('watchlist changes', () => {
+  const watchlist = [entry('A'), entry('B'), entry('C')];
+
+  it('pins at the end and unpins', () => {
+    expect(togglePinned(watchlist, 'D').map(item => item.station)).toEqual(['A', 'B', 'C', 'D']);
+    expect(togglePinned(watchlist, 'B').map(item => item.station)).toEqual(['A', 'C']);
+  });
+
+  it('moves entries within the list only', () => {
+    expect(moveEntry(watchlist, 'C', -2).map(item => item.station)).toEqual(['C', 'A', 'B']);
+    expect(moveEntry(watchlist, 'A', -1)).toBe(watchlist);
+    expect(moveEntry(watchlist, 'Z', 1)).toBe(watchlist);
+  });
+
+  it('sets and clears warning levels', () => {
+    expect(setWarningLevel(watchlist, 'B', 3)[1]).toEqual(entry('B', 3));
+    expect(setWarningLevel([entry('B', 3)], 'B', null)).toEqual([entry('B')]);
+    expect(setWarningLevel([entry('B', 3)], 'B', NaN)).toEqual([entry('B')]);
+  });
+
+  it('compares readings with the personal warning level', () => {
+    expect(isAboveWarningLevel({ level: 3 }, entry('B', 3))).toBe(true);
+    expect(isAboveWarningLevel({ level: 2.9 }, entry('B', 3))).toBe(false);
+    expect(isAboveWarningLevel({ level: 9 }, entry('B'))).toBe(false);
+    expect(isAboveWarningLevel(undefined, entry('B', 3))).toBe(false);
+  });
+});
+
+describe('stored watchlist', () => {
+  afterEach(() => localStorage.clear());
+
+  it('round-trips through localStorage', () => {
+    saveWatchlist([entry('Hanwella', 4.5)]);
+    expect(loadWatchlist()).toEqual([entry('Hanwella', 4.5)]);
+  });
+
+  it('starts empty when nothing or something unreadable is stored', () => {
+    expect(loadWatchlist()).toEqual([]);
+    localStorage.setItem('lk-flood-monitor:watchlist', '{');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(loadWatchlist()).toEqual([]);
+    console.error.mockRestore();
+  });
+});
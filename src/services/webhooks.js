@@ -0,0 +1,279 @@
+// src/services/webhooks.js
+// Alert-level change detection and outgoing webhook messages for the
+// notification dispatcher (scripts/webhook-dispatcher.mjs). Messages are
+// English, like the CAP feed, and can be rendered as generic JSON or in the
+// shapes Slack incoming webhooks and the Telegram Bot API expect.
+import { ALERT_LABELS, ALERT_ORDER, getAlertSeverity } from './dataService.js';
+
+export const WEBHOOK_TEMPLATES = ['json', 'slack', 'telegram'];
+
+export const DEFAULT_WEBHOOK_CONFIG = {
+  intervalMinutes: 3,
+  cooldownMinutes: 60,
+  retries: 3,
+  dashboardUrl: null,
+  webhooks: []
+};
+
+// First retry delay; each later one doubles
+const RETRY_BASE_DELAY_MS = 2000;
+
+// Longest Retry-After worth waiting for before giving up on a delivery
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Per attempt, so a receiver that never answers cannot hold up the check
+const REQUEST_TIMEOUT_MS = 15000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate a parsed dispatcher config. Invalid webhooks are left out and
+ * invalid settings keep their default; both are reported in `errors`.
+ * Returns { config, errors }.
+ */
+export const parseWebhookConfig = (json) => {
+  if (!json || typeof json !== 'object') {
+    throw new Error('Webhook config must be a JSON object');
+  }
+
+  const errors = [];
+  const pick = (key, valid) => {
+    if (json[key] === undefined) return DEFAULT_WEBHOOK_CONFIG[key];
+    if (valid(json[key])) return json[key];
+    errors.push(`${key}: invalid value ${JSON.stringify(json[key])}`);
+    return DEFAULT_WEBHOOK_CONFIG[key];
+  };
+
+  const webhooks = [];
+  (Array.isArray(json.webhooks) ? json.webhooks : []).forEach((webhook, index) => {
+    const label = `webhooks[${index}]${webhook?.name ? ` (${webhook.name})` : ''}`;
+    const template = webhook?.template || 'json';
+    let url = null;
+    try {
+      url = new URL(webhook?.url).toString();
+    } catch (error) {
+      errors.push(`${label}: invalid url`);
+      return;
+    }
+    if (!WEBHOOK_TEMPLATES.includes(template)) {
+      errors.push(`${label}: unknown template "${template}"`);
+      return;
+    }
+    if (template === 'telegram' && !webhook.chatId) {
+      errors.push(`${label}: telegram webhooks need a chatId`);
+      return;
+    }
+    if (['stations', 'rivers'].some(key => webhook[key] !== undefined && !isStringList(webhook[key]))) {
+      errors.push(`${label}: stations and rivers must be lists of names`);
+      return;
+    }
+    const minLevel = webhook.minLevel || 'alert';
+    if (!ALERT_ORDER.includes(minLevel)) {
+      errors.push(`${label}: minLevel must be one of ${ALERT_ORDER.join(', ')}`);
+      return;
+    }
+
+    webhooks.push({
+      name: webhook.name || `webhook ${index + 1}`,
+      url,
+      template,
+      chatId: webhook.chatId || null,
+      headers: webhook.headers || {},
+      stations: webhook.stations || [],
+      rivers: webhook.rivers || [],
+      minLevel
+    });
+  });
+
+  if (webhooks.length === 0) errors.push('No valid webhooks configured');
+
+  return {
+    config: {
+      intervalMinutes: pick('intervalMinutes', isPositive),
+      cooldownMinutes: pick('cooldownMinutes', value => isPositive(value) || value === 0),
+      retries: pick('retries', value => Number.isInteger(value) && value >= 0),
+      dashboardUrl: pick('dashboardUrl', value => typeof value === 'string'),
+      webhooks
+    },
+    errors
+  };
+};
+
+/**
+ * Alert levels a station was notified of within the cooldown. States saved
+ * before `notified` was kept only know the last one.
+ */
+const getRecentlyNotified = (previous, cooldownMinutes, now) => {
+  const notified = previous.notified || (previous.notifiedAt ? { [previous.alert]: previous.notifiedAt } : {});
+  return Object.keys(notified).filter(alert => (now - new Date(notified[alert])) / 60000 < cooldownMinutes);
+};
+
+/**
+ * Compare the latest readings with the alert levels last notified.
+ *
+ * previousState is { [station]: { alert, notifiedAt, notified, pending } }
+ * where `notified` has the time each alert code was last sent and `pending`
+ * is left to the dispatcher. Returns { changes, suppressed, state } where
+ * changes are
+ * { station, river, from, to, escalated, level, rateOfRise, lastMeasured }.
+ * A station seen for the first time only records its level. A rise above
+ * every level notified within `cooldownMinutes` is sent at once; a fall, or
+ * a return to a level already notified in that time, is suppressed and
+ * looked at again on a later run, so a level flapping around a threshold
+ * sends one message per cooldown. Readings the data-quality checks exclude
+ * (weight 0) are skipped. The state records every change as notified; see
+ * recordUnnotified for changes no webhook received.
+ */
+export const detectAlertChanges = (stations, previousState, { cooldownMinutes, now = new Date() }) => {
+  const changes = [];
+  const suppressed = [];
+  const state = { ...previousState };
+
+  stations.forEach(station => {
+    if (station.quality && station.quality.weight === 0) return;
+    const previous = previousState[station.station];
+
+    if (!previous) {
+      state[station.station] = { alert: station.alert, notifiedAt: null, notified: {} };
+      return;
+    }
+    if (previous.alert === station.alert) return;
+
+    const recent = getRecentlyNotified(previous, cooldownMinutes, now);
+    if (recent.some(alert => getAlertSeverity(alert) >= getAlertSeverity(station.alert))) {
+      suppressed.push(station.station);
+      return;
+    }
+
+    changes.push({
+      station: station.station,
+      river: station.river,
+      from: previous.alert,
+      to: station.alert,
+      escalated: getAlertSeverity(station.alert) > getAlertSeverity(previous.alert),
+      level: station.level,
+      rateOfRise: station.rateOfRise,
+      lastMeasured: station.lastMeasured
+    });
+    const notified = {};
+    recent.forEach(alert => { notified[alert] = previous.notified?.[alert] || previous.notifiedAt; });
+    state[station.station] = {
+      alert: station.alert,
+      notifiedAt: now.toISOString(),
+      notified: { ...notified, [station.alert]: now.toISOString() }
+    };
+  });
+
+  return { changes, suppressed, state };
+};
+
+/**
+ * State for a change that reached no webhook: the new level is recorded so
+ * it is not reported again, but the cooldown does not start
+ */
+export const recordUnnotified = (previous, change) => ({
+  alert: change.to,
+  notifiedAt: previous.notifiedAt,
+  notified: previous.notified || (previous.notifiedAt ? { [previous.alert]: previous.notifiedAt } : {})
+});
+
+/**
+ * Whether a webhook wants to hear about a change: the station or river is
+ * in its lists (empty lists mean all), and the level moved into or out of
+ * `minLevel` or above
+ */
+export const isChangeWanted = (webhook, change) => {
+  const listed = (webhook.stations.length === 0 && webhook.rivers.length === 0) ||
+    webhook.stations.includes(change.station) ||
+    webhook.rivers.includes(change.river);
+  const minimum = getAlertSeverity(webhook.minLevel);
+  return listed && Math.max(getAlertSeverity(change.from), getAlertSeverity(change.to)) >= minimum;
+};
+
+/**
+ * One-line English description of a change
+ */
+export const describeChange = (change) => {
+  const rate = change.rateOfRise === null ? '' : `, ${change.rateOfRise >= 0 ? 'rising' : 'falling'} ${Math.abs(change.rateOfRise).toFixed(3)} m/hr`;
+  return `${change.station} (${change.river}) ${change.escalated ? 'rose to' : 'fell to'} ${ALERT_LABELS[change.to]} ` +
+    `from ${ALERT_LABELS[change.from]}: ${change.level.toFixed(2)} m${rate}`;
+};
+
+const stationLink = (dashboardUrl, stationName) =>
+  dashboardUrl ? `${dashboardUrl.replace(/\/$/, '')}/station/${encodeURIComponent(stationName)}` : null;
+
+/**
+ * Request body for a change in the webhook's template
+ */
+export const buildPayload = (webhook, change, { dashboardUrl = null } = {}) => {
+  const text = describeChange(change);
+  const url = stationLink(dashboardUrl, change.station);
+
+  if (webhook.template === 'slack') {
+    return {
+      text,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${change.escalated ? 'Escalation' : 'De-escalation'}:* ${text}` } },
+        ...(url ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: `<${url}|Open station page>` }] }] : [])
+      ]
+    };
+  }
+
+  if (webhook.template === 'telegram') {
+    return { chat_id: webhook.chatId, text: url ? `${text}\n${url}` : text, disable_web_page_preview: true };
+  }
+
+  return {
+    event: change.escalated ? 'alert.escalated' : 'alert.deescalated',
+    station: change.station,
+    river: change.river,
+    previousAlert: change.from,
+    previousAlertLabel: ALERT_LABELS[change.from],
+    alert: change.to,
+    alertLabel: ALERT_LABELS[change.to],
+    level: change.level,
+    rateOfRise: change.rateOfRise,
+    lastMeasured: change.lastMeasured,
+    url,
+    text
+  };
+};
+
+/**
+ * POST a JSON payload, retrying network errors, 429 and 5xx replies with
+ * exponential back-off (or the Retry-After the server asks for). Each
+ * attempt is abandoned after REQUEST_TIMEOUT_MS and retried like a network
+ * error.
+ * Resolves to { status, attempts }; throws once the retries are used up or
+ * on any other error reply.
+ */
+export const sendWebhook = async (url, payload, { headers = {}, retries = DEFAULT_WEBHOOK_CONFIG.retries } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let failure;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    if (response) {
+      if (response.ok) return { status: response.status, attempts: attempt + 1 };
+      failure = new Error(`HTTP error! status: ${response.status}`);
+      if (response.status !== 429 && response.status < 500) throw failure;
+    }
+
+    const retryAfter = Number(response?.headers.get('retry-after')) * 1000;
+    const delay = retryAfter > 0 ? retryAfter : RETRY_BASE_DELAY_MS * 2 ** attempt;
+    if (attempt >= retries || delay > MAX_RETRY_AFTER_MS) throw failure;
+    await sleep(delay);
+  }
+};
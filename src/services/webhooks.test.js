@@ -0,0 +1,204 @@
+/**
+ * @jest-environment node
+ */
+// src/services/webhooks.test.js
+// Runs under Node like the dispatcher, for fetch's AbortSignal.timeout
+import {
+  buildPayload,
+  describeChange,
+  detectAlertChanges,
+  isChangeWanted,
+  parseWebhookConfig,
+  recordUnnotified,
+  sendWebhook
+} from './webhooks';
+import { getAlertSeverity } from './dataService';
+
+const START = new Date('2026-01-10T06:00:00Z');
+const minutesLater = (minutes) => new Date(START.getTime() + minutes * 60000);
+
+const reading = (alert, extra = {}) => ({
+  station: 'Hanwella',
+  river: 'Kelani Ganga',
+  alert,
+  level: 6.2,
+  rateOfRise: 0.031,
+  lastMeasured: '2026-01-10T05:45:00Z',
+  ...extra
+});
+
+const webhook = (extra = {}) => ({
+  name: 'team',
+  url: 'https://hooks.example.org/flood',
+  template: 'json',
+  chatId: null,
+  headers: {},
+  stations: [],
+  rivers: [],
+  minLevel: 'alert',
+  ...extra
+});
+
+const change = (from, to) => ({
+  station: 'Hanwella',
+  river: 'Kelani Ganga',
+  from,
+  to,
+  escalated: getAlertSeverity(to) > getAlertSeverity(from),
+  level: 6.2,
+  rateOfRise: 0.031,
+  lastMeasured: '2026-01-10T05:45:00Z'
+});
+
+describe('parseWebhookConfig', () => {
+  it('fills in defaults and keeps valid webhooks', () => {
+    const { config, errors } = parseWebhookConfig({ webhooks: [{ url: 'https://hooks.example.org/flood' }] });
+    expect(errors).toEqual([]);
+    expect(config.cooldownMinutes).toBe(60);
+    expect(config.webhooks).toEqual([webhook({ name: 'webhook 1', minLevel: 'alert' })]);
+  });
+
+  it('reports and leaves out invalid webhooks and settings', () => {
+    const { config, errors } = parseWebhookConfig({
+      retries: -1,
+      webhooks: [
+        { name: 'bad url', url: 'not a url' },
+        { url: 'https://api.telegram.org/bot/sendMessage', template: 'telegram' },
+        { url: 'https://hooks.example.org/a', minLevel: 'flood' },
+        { url: 'https://hooks.example.org/b', rivers: 'Kelani Ganga' }
+      ]
+    });
+    expect(config.retries).toBe(3);
+    expect(config.webhooks).toEqual([]);
+    expect(errors).toEqual([
+      'webhooks[0] (bad url): invalid url',
+      'webhooks[1]: telegram webhooks need a chatId',
+      'webhooks[2]: minLevel must be one of normal, alert, minor, major',
+      'webhooks[3]: stations and rivers must be lists of names',
+      'No valid webhooks configured',
+      'retries: invalid value -1'
+    ]);
+  });
+
+  it('rejects anything but an object', () => {
+    expect(() => parseWebhookConfig(null)).toThrow('Webhook config must be a JSON object');
+  });
+});
+
+describe('detectAlertChanges', () => {
+  // Runs the readings through detectAlertChanges in turn, `minutes` apart
+  const run = (steps) => {
+    let state = {};
+    return steps.map(([alert, minutes]) => {
+      const result = detectAlertChanges([reading(alert)], state, { cooldownMinutes: 60, now: minutesLater(minutes) });
+      state = result.state;
+      return { sent: result.changes.map(item => `${item.from}>${item.to}`), suppressed: result.suppressed };
+    });
+  };
+
+  it('only records a station seen for the first time', () => {
+    const { changes, state } = detectAlertChanges([reading('major')], {}, { cooldownMinutes: 60, now: START });
+    expect(changes).toEqual([]);
+    expect(state.Hanwella).toEqual({ alert: 'major', notifiedAt: null, notified: {} });
+  });
+
+  it('sends escalations at once, even within the cooldown', () => {
+    expect(run([['normal', 0], ['alert', 1], ['minor', 2], ['major', 3]]).map(step => step.sent))
+      .toEqual([[], ['normal>alert'], ['alert>minor'], ['minor>major']]);
+  });
+
+  it('holds back de-escalations and returns to a notified level until the cooldown ends', () => {
+    const steps = run([['normal', 0], ['alert', 1], ['minor', 2], ['alert', 3], ['minor', 4], ['alert', 70]]);
+    expect(steps.map(step => step.sent)).toEqual([[], ['normal>alert'], ['alert>minor'], [], [], ['minor>alert']]);
+    expect(steps[3].suppressed).toEqual(['Hanwella']);
+  });
+
+  it('skips readings the quality checks exclude', () => {
+    const previous = { Hanwella: { alert: 'normal', notifiedAt: null, notified: {} } };
+    const { changes, state } = detectAlertChanges(
+      [reading('major', { quality: { flags: ['spike'], weight: 0 } })],
+      previous,
+      { cooldownMinutes: 60, now: START }
+    );
+    expect(changes).toEqual([]);
+    expect(state).toEqual(previous);
+  });
+
+  it('reads state saved before the notified levels were kept', () => {
+    const previous = { Hanwella: { alert: 'minor', notifiedAt: START.toISOString() } };
+    const { suppressed } = detectAlertChanges([reading('alert')], previous, { cooldownMinutes: 60, now: minutesLater(5) });
+    expect(suppressed).toEqual(['Hanwella']);
+  });
+});
+
+describe('recordUnnotified', () => {
+  it('records the new level without starting the cooldown', () => {
+    const previous = { alert: 'normal', notifiedAt: START.toISOString(), notified: { normal: START.toISOString() } };
+    expect(recordUnnotified(previous, change('normal', 'alert'))).toEqual({
+      alert: 'alert',
+      notifiedAt: START.toISOString(),
+      notified: { normal: START.toISOString() }
+    });
+  });
+});
+
+describe('isChangeWanted', () => {
+  it('matches listed stations or rivers, or all when none are listed', () => {
+    expect(isChangeWanted(webhook(), change('normal', 'alert'))).toBe(true);
+    expect(isChangeWanted(webhook({ rivers: ['Kelani Ganga'] }), change('normal', 'alert'))).toBe(true);
+    expect(isChangeWanted(webhook({ stations: ['Glencourse'] }), change('normal', 'alert'))).toBe(false);
+  });
+
+  it('needs the level to reach minLevel before or after the change', () => {
+    expect(isChangeWanted(webhook({ minLevel: 'minor' }), change('normal', 'alert'))).toBe(false);
+    expect(isChangeWanted(webhook({ minLevel: 'minor' }), change('minor', 'alert'))).toBe(true);
+  });
+});
+
+describe('messages', () => {
+  it('describes the change in one line', () => {
+    expect(describeChange(change('alert', 'minor')))
+      .toBe('Hanwella (Kelani Ganga) rose to Minor Flood from Alert: 6.20 m, rising 0.031 m/hr');
+  });
+
+  it('builds each template with a station link', () => {
+    const options = { dashboardUrl: 'https://example.org/app/' };
+    expect(buildPayload(webhook(), change('alert', 'minor'), options)).toMatchObject({
+      event: 'alert.escalated',
+      alert: 'minor',
+      previousAlert: 'alert',
+      url: 'https://example.org/app/station/Hanwella'
+    });
+    expect(buildPayload(webhook({ template: 'telegram', chatId: '-100' }), change('minor', 'alert'), options).chat_id).toBe('-100');
+    expect(buildPayload(webhook({ template: 'slack' }), change('minor', 'alert'), options).blocks[0].text.text)
+      .toMatch(/^\*De-escalation:\*/);
+  });
+});
+
+describe('sendWebhook', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => { global.fetch = originalFetch; });
+
+  const respond = (status) => ({ ok: status < 300, status, headers: { get: () => null } });
+
+  it('posts JSON with a request timeout', async () => {
+    global.fetch = jest.fn().mockResolvedValue(respond(200));
+    await expect(sendWebhook('https://hooks.example.org/flood', { text: 'hi' }, { headers: { 'X-Key': 'k' } }))
+      .resolves.toEqual({ status: 200, attempts: 1 });
+    const [, request] = global.fetch.mock.calls[0];
+    expect(request.body).toBe('{"text":"hi"}');
+    expect(request.headers).toEqual({ 'Content-Type': 'application/json', 'X-Key': 'k' });
+    expect(request.signal).toBeInstanceOf(AbortSignal);
+  });
+
+  it('does not retry client errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue(respond(404));
+    await expect(sendWebhook('https://hooks.example.org/flood', {}, { retries: 3 })).rejects.toThrow('HTTP error! status: 404');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up on server errors once the retries are used', async () => {
+    global.fetch = jest.fn().mockResolvedValue(respond(503));
+    await expect(sendWebhook('https://hooks.example.org/flood', {}, { retries: 0 })).rejects.toThrow('HTTP error! status: 503');
+  });
+});